@@ -1,4 +1,5 @@
 import { createStore } from "redux";
+import { traceStore } from "@jantimon/react-render-loop-tracer/runtime";
 
 export interface RootState {
   count: number;
@@ -17,4 +18,4 @@ function reducer(state: RootState = { count: 0 }, action: Action): RootState {
   }
 }
 
-export const store = createStore(reducer);
+export const store = traceStore(createStore(reducer), "store");
@@ -1,8 +1,85 @@
 /// @ts-check
 
+import nodePath from "node:path";
+import { createFileMatcher } from "./file-matcher.js";
+
+/**
+ * Runtime helpers in the order they are imported.
+ */
+const RUNTIME_IMPORTS = [
+  "__trackedUseState",
+  "__trackedUseReducer",
+  "__trackedUseSyncExternalStore",
+  "__trackedUseTransition",
+  "__trackedUseOptimistic",
+  "__trackedUseActionState",
+  "__trackedUseDispatch",
+  "__trackedUseEffect",
+  "__trackedUseLayoutEffect",
+  "__trackedUseInsertionEffect",
+  "__trackedUseMemo",
+  "__trackedUseCallback",
+  "__trackedUseContext",
+  "__trackedEffectCallback",
+  "__captureEffectContext",
+  "__resumeEffectContext",
+  "__suspendEffectContext",
+  "__enterRender",
+  "__exitRender",
+  "__beginRender",
+  "__endRender",
+];
+
+/**
+ * Hooks provided by React itself. Calls to any other `use*` function are custom hook calls.
+ */
+const REACT_HOOKS = new Set([
+  "use",
+  "useState",
+  "useReducer",
+  "useSyncExternalStore",
+  "useTransition",
+  "useOptimistic",
+  "useActionState",
+  "useEffect",
+  "useLayoutEffect",
+  "useInsertionEffect",
+  "useRef",
+  "useMemo",
+  "useCallback",
+  "useContext",
+  "useId",
+  "useDebugValue",
+  "useDeferredValue",
+  "useImperativeHandle",
+  "useFormStatus",
+]);
+
+/**
+ * Effect hooks → their tracked wrapper.
+ * @type {Record<string, string>}
+ */
+const EFFECT_WRAPPERS = {
+  useEffect: "__trackedUseEffect",
+  useLayoutEffect: "__trackedUseLayoutEffect",
+  useInsertionEffect: "__trackedUseInsertionEffect",
+};
+
+/**
+ * Memo hooks → their tracked wrapper.
+ * @type {Record<string, string>}
+ */
+const MEMO_WRAPPERS = {
+  useMemo: "__trackedUseMemo",
+  useCallback: "__trackedUseCallback",
+};
+
 /**
  * Babel Plugin: react-render-loop-tracer
  *
+ * Only calls which resolve to an import from "react" (or one of the `reactModules`) are transformed,
+ * including aliased, default, namespace and `require` imports.
+ *
  * Transforms:
  *   const [count, setCount] = useState(0)
  * Into:
@@ -18,20 +95,88 @@
  * Into:
  *   const [state, dispatch] = __trackedUseReducer(reducer, initialState, undefined, "file.tsx:8", "MyComponent", "state")
  *
+ * Transforms:
+ *   const total = useMemo(() => sum(items), [items])
+ * Into:
+ *   const total = __trackedUseMemo(() => sum(items), [items], "file.tsx:11", "MyComponent", ["items"])
+ * and useCallback into __trackedUseCallback the same way.
+ *
+ * Transforms useInsertionEffect like useEffect, and
+ *   useSyncExternalStore(subscribe, getSnapshot) → __trackedUseSyncExternalStore(subscribe, getSnapshot, undefined, "file.tsx:12", "MyComponent", "snapshot")
+ *   useTransition()                              → __trackedUseTransition("file.tsx:13", "MyComponent", "isPending")
+ *   useOptimistic(state, reducer)                → __trackedUseOptimistic(state, reducer, "file.tsx:14", "MyComponent", "optimistic")
+ *   useActionState(action, initialState)         → __trackedUseActionState(action, initialState, undefined, "file.tsx:15", "MyComponent", "state")
+ *   useDispatch()                                → __trackedUseDispatch(useDispatch(), "file.tsx:16", "MyComponent", "dispatch")
+ *
+ * Components and hooks which call custom hooks push their name while they render:
+ *   function CartDrawer() { const total = useCartTotal(items); ... }
+ * Into:
+ *   function CartDrawer() { __enterRender("CartDrawer"); try { const total = useCartTotal(items); ... } finally { __exitRender(); } }
+ * so that hooks report their call chain, e.g. "CartDrawer › useCartTotal › useDebouncedValue".
+ *
+ * With the option `renderReasons`, components (capitalized functions rendering JSX or calling hooks,
+ * which are rendered as JSX, wrapped in `memo`/`forwardRef` or exported) report why they re-rendered:
+ *   function Cart({ items, currency }) { const theme = useContext(ThemeContext); ... }
+ * Into:
+ *   function Cart({ items, currency }) {
+ *     __beginRender("Cart", "file.tsx:3:1", { items, currency });
+ *     try { const theme = __trackedUseContext(ThemeContext, "ThemeContext"); ... } finally { __endRender(); }
+ *   }
+ *
+ * Transforms async functions inside effect callbacks:
+ *   async function load() { const res = await fetch(url); setData(res); }
+ * Into:
+ *   async function load() {
+ *     const _effectContext = __captureEffectContext();
+ *     try {
+ *       const res = __resumeEffectContext(_effectContext, await __suspendEffectContext(_effectContext, fetch(url)));
+ *       setData(res);
+ *     } finally {
+ *       __suspendEffectContext(_effectContext);
+ *     }
+ *   }
+ * so that state changes after `await` are still attributed to the effect.
+ *
+ * Locations are `path:line:column` relative to the project root (the plugin option `root`,
+ * defaulting to Babel's root), e.g. "src/components/MyComponent.tsx:5:37".
+ *
  * Injects the import for the tracking wrappers at the top of the file.
  *
+ * Options:
+ *   root        — project root for locations, defaults to Babel's root
+ *   include     — globs (relative to the root) of files to instrument, all files if omitted
+ *   exclude     — globs of files to skip, e.g. ["**\/*.generated.tsx"]
+ *   reactModules — modules re-exporting React's hooks, e.g. ["preact/hooks", "@acme/react"]
+ *   effectHooks — additional effect-like hooks and the index of their callback and deps,
+ *                 e.g. { useDeepCompareEffect: { callback: 0, deps: 1 } }
+ *   renderReasons — instrument components to report why they re-rendered, off by default
+ *
+ * Calls of these hooks keep calling the original hook, only their callback is wrapped:
+ *   useDeepCompareEffect(() => { ... }, [x])
+ * Into:
+ *   useDeepCompareEffect(__trackedEffectCallback(() => { ... }, [x], "file.tsx:20", "MyComponent", ["x"], "useDeepCompareEffect"), [x])
+ *
+ * @typedef {{ callback?: number; deps?: number }} EffectHookOptions
+ * @typedef {{ root?: string; include?: string[]; exclude?: string[]; reactModules?: string[]; effectHooks?: Record<string, EffectHookOptions>; renderReasons?: boolean }} PluginOptions
+ *
  * @param {import("@babel/core")} api
+ * @param {PluginOptions} [pluginOptions]
  * @returns {import("@babel/core").PluginObj}
  */
-export default function reactRenderLoopTracerPlugin({ types: t }) {
+export default function reactRenderLoopTracerPlugin({ types: t }, pluginOptions = {}) {
+  const isIncluded = createFileMatcher(pluginOptions);
+  const effectHooks = pluginOptions.effectHooks || {};
+  const reactModules = new Set(["react", ...(pluginOptions.reactModules || [])]);
+
   /**
    * Walk up the AST to find the enclosing React component name.
    * @param {import("@babel/traverse").NodePath} path
    * @returns {string}
    */
   function getComponentName(path) {
+    // Start at the enclosing function so `const value = useHook()` is not mistaken for the component
     /** @type {import("@babel/traverse").NodePath | null} */
-    let current = path;
+    let current = path.getFunctionParent() || path;
     while (current) {
       if (current.isFunctionDeclaration() && current.node.id) {
         return current.node.id.name;
@@ -60,6 +205,32 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
     return "Unknown";
   }
 
+  /**
+   * Get the filename relative to the project root, using forward slashes.
+   * The root defaults to Babel's root and can be set with the plugin option `root`.
+   * @param {import("@babel/core").PluginPass} state
+   * @returns {string}
+   */
+  function getRelativeFilename(state) {
+    const filename = state.filename || state.file?.opts?.filename;
+    if (!filename) return "unknown";
+    const root = pluginOptions.root || state.file?.opts?.root || state.cwd || process.cwd();
+    const relative = nodePath.isAbsolute(filename) ? nodePath.relative(root, filename) : filename;
+    return relative.split(nodePath.sep).join("/");
+  }
+
+  /**
+   * Get the location of a hook call as `file:line:column`.
+   * @param {import("@babel/traverse").NodePath} path
+   * @param {string} relativeFilename
+   * @returns {string}
+   */
+  function getLocation(path, relativeFilename) {
+    const start = path.node.loc?.start;
+    if (!start) return `${relativeFilename}:?`;
+    return `${relativeFilename}:${start.line}:${start.column + 1}`;
+  }
+
   /**
    * Get the state variable name from the destructuring pattern.
    * `const [count, setCount] = useState(...)` → `"count"`
@@ -76,6 +247,19 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
     return null;
   }
 
+  /**
+   * Get the variable name a hook result is assigned to.
+   * `const count = useSyncExternalStore(...)` → `"count"`
+   * @param {import("@babel/traverse").NodePath<import("@babel/types").CallExpression>} callPath
+   * @returns {string | null}
+   */
+  function getValueNameFromDeclarator(callPath) {
+    const declarator = callPath.parentPath;
+    if (!declarator?.isVariableDeclarator()) return null;
+    const id = declarator.node.id;
+    return t.isIdentifier(id) ? id.name : getStateNameFromDeclarator(callPath);
+  }
+
   /**
    * Stringify dependency array items.
    * `[x, y, props.foo]` → `["x", "y", "props.foo"]`
@@ -109,7 +293,94 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
   }
 
   /**
-   * Check if a callee matches `useEffect` or `React.useEffect`.
+   * Get the module specifier of `require("module")`.
+   * @param {import("@babel/types").Node | null | undefined} node
+   * @returns {string | null}
+   */
+  function getRequireSource(node) {
+    if (
+      t.isCallExpression(node) &&
+      t.isIdentifier(node.callee, { name: "require" }) &&
+      t.isStringLiteral(node.arguments[0])
+    ) {
+      return node.arguments[0].value;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the module and exported name a callee was imported as, following its scope binding.
+   * `useE` of `import { useEffect as useE } from "react"` → `{ source: "react", name: "useEffect" }`
+   * `R.useState` of `import * as R from "react"`          → `{ source: "react", name: "useState" }`
+   * Local functions, shadowed names and globals resolve to `null`.
+   * @param {import("@babel/traverse").NodePath} calleePath
+   * @returns {{ source: string; name: string } | null}
+   */
+  function resolveImport(calleePath) {
+    if (calleePath.isIdentifier()) {
+      const binding = calleePath.scope.getBinding(calleePath.node.name);
+      if (!binding) return null;
+      const bindingPath = binding.path;
+      // import { useEffect as useE } from "react"
+      if (bindingPath.isImportSpecifier()) {
+        const { imported } = bindingPath.node;
+        const declaration = /** @type {import("@babel/types").ImportDeclaration} */ (
+          bindingPath.parent
+        );
+        return {
+          source: declaration.source.value,
+          name: t.isIdentifier(imported) ? imported.name : imported.value,
+        };
+      }
+      // const { useEffect: useE } = require("react")
+      if (bindingPath.isVariableDeclarator() && t.isObjectPattern(bindingPath.node.id)) {
+        const source = getRequireSource(bindingPath.node.init);
+        const property = bindingPath.node.id.properties.find(
+          (prop) =>
+            t.isObjectProperty(prop) &&
+            t.isIdentifier(prop.value, { name: calleePath.node.name }) &&
+            t.isIdentifier(prop.key),
+        );
+        if (source && property) {
+          const key = /** @type {import("@babel/types").Identifier} */ (
+            /** @type {import("@babel/types").ObjectProperty} */ (property).key
+          );
+          return { source, name: key.name };
+        }
+      }
+      return null;
+    }
+
+    if (calleePath.isMemberExpression()) {
+      const { object, property, computed } = calleePath.node;
+      const name =
+        !computed && t.isIdentifier(property)
+          ? property.name
+          : t.isStringLiteral(property)
+            ? property.value
+            : null;
+      if (!name || !t.isIdentifier(object)) return null;
+      const binding = calleePath.scope.getBinding(object.name);
+      if (!binding) return null;
+      const bindingPath = binding.path;
+      // import React from "react" / import * as React from "react"
+      if (bindingPath.isImportDefaultSpecifier() || bindingPath.isImportNamespaceSpecifier()) {
+        const declaration = /** @type {import("@babel/types").ImportDeclaration} */ (
+          bindingPath.parent
+        );
+        return { source: declaration.source.value, name };
+      }
+      // const React = require("react")
+      if (bindingPath.isVariableDeclarator() && t.isIdentifier(bindingPath.node.id)) {
+        const source = getRequireSource(bindingPath.node.init);
+        return source ? { source, name } : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if a callee is named `useX` or `x.useX`, regardless of where it comes from.
    * @param {import("@babel/types").Node} callee
    * @param {string} hookName
    * @returns {boolean}
@@ -126,26 +397,307 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
     return false;
   }
 
+  /**
+   * Get the name of a component or hook function.
+   * `function Foo() {}`, `const Foo = () => {}`, `const Foo = memo(() => {})` → `"Foo"`
+   * @param {import("@babel/traverse").NodePath<import("@babel/types").Function>} fnPath
+   * @returns {string | null}
+   */
+  function getFunctionName(fnPath) {
+    if (fnPath.isFunctionDeclaration()) return fnPath.node.id?.name ?? null;
+    let parent = fnPath.parentPath;
+    if (parent?.isCallExpression()) parent = parent.parentPath;
+    if (parent?.isVariableDeclarator() && t.isIdentifier(parent.node.id)) {
+      return parent.node.id.name;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a function calls a custom hook in its own body (not in nested functions).
+   * @param {import("@babel/traverse").NodePath<import("@babel/types").Function>} fnPath
+   * @returns {boolean}
+   */
+  function callsCustomHook(fnPath) {
+    let found = false;
+    fnPath.traverse({
+      Function(innerPath) {
+        innerPath.skip();
+      },
+      CallExpression(callPath) {
+        const { callee } = callPath.node;
+        const name = t.isIdentifier(callee)
+          ? callee.name
+          : t.isMemberExpression(callee) && t.isIdentifier(callee.property)
+            ? callee.property.name
+            : null;
+        if (!name || !/^use[A-Z0-9]/.test(name) || REACT_HOOKS.has(name)) return;
+        const imported = resolveImport(callPath.get("callee"));
+        if (!imported || !reactModules.has(imported.source)) {
+          found = true;
+          callPath.stop();
+        }
+      },
+    });
+    return found;
+  }
+
+  /**
+   * Push the function name to the render chain while its body runs.
+   * @param {import("@babel/traverse").NodePath<import("@babel/types").Function>} fnPath
+   * @param {string} name
+   */
+  function instrumentRenderFunction(fnPath, name) {
+    if (fnPath.isArrowFunctionExpression()) fnPath.ensureBlock();
+    const body = /** @type {import("@babel/types").BlockStatement} */ (fnPath.node.body);
+    body.body = [
+      t.expressionStatement(
+        t.callExpression(t.identifier("__enterRender"), [t.stringLiteral(name)]),
+      ),
+      t.tryStatement(
+        t.blockStatement(body.body),
+        null,
+        t.blockStatement([
+          t.expressionStatement(t.callExpression(t.identifier("__exitRender"), [])),
+        ]),
+      ),
+    ];
+  }
+
+  /**
+   * Check if a function renders JSX or calls a hook in its own body (not in nested functions).
+   * @param {import("@babel/traverse").NodePath<import("@babel/types").Function>} fnPath
+   * @returns {boolean}
+   */
+  function isComponentBody(fnPath) {
+    let found = false;
+    fnPath.traverse({
+      Function(innerPath) {
+        innerPath.skip();
+      },
+      "JSXElement|JSXFragment"(jsxPath) {
+        found = true;
+        jsxPath.stop();
+      },
+      CallExpression(callPath) {
+        const { callee } = callPath.node;
+        const name = t.isIdentifier(callee)
+          ? callee.name
+          : t.isMemberExpression(callee) && t.isIdentifier(callee.property)
+            ? callee.property.name
+            : null;
+        if (name && /^use(?:[A-Z0-9]|$)/.test(name)) {
+          found = true;
+          callPath.stop();
+        }
+      },
+    });
+    return found;
+  }
+
+  /**
+   * Check if a function is used as a component: rendered as `<Row />`, wrapped in `memo(Row)` or
+   * `forwardRef(Row)`, or exported for other modules to render.
+   * Functions which are only passed by reference, e.g. `renderItem={Row}` or `columns.map(Column)`,
+   * or called as plain functions, e.g. `{Row(item)}`, run inside another component — hooks added to
+   * them would change its hook count.
+   * @param {import("@babel/traverse").NodePath<import("@babel/types").Function>} fnPath
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function isUsedAsComponent(fnPath, name) {
+    const scope = fnPath.isFunctionDeclaration() ? fnPath.parentPath.scope : fnPath.scope.parent;
+    const binding = scope?.getBinding(name);
+    if (!binding) return false;
+    const isCalledDirectly = binding.referencePaths.some(
+      (referencePath) =>
+        referencePath.parentPath?.isCallExpression() &&
+        referencePath.parentPath.node.callee === referencePath.node,
+    );
+    if (isCalledDirectly) return false;
+    const declaration = binding.path.isVariableDeclarator()
+      ? binding.path.parentPath
+      : binding.path;
+    if (declaration?.parentPath?.isExportDeclaration()) return true;
+    return binding.referencePaths.some((referencePath) => {
+      const parent = referencePath.parentPath;
+      if (!parent) return false;
+      if (parent.isJSXOpeningElement() || parent.isExportSpecifier()) return true;
+      if (parent.isExportDefaultDeclaration()) return true;
+      if (!parent.isCallExpression() || parent.node.arguments[0] !== referencePath.node) {
+        return false;
+      }
+      const { callee } = parent.node;
+      const calleeName = t.isIdentifier(callee)
+        ? callee.name
+        : t.isMemberExpression(callee) && t.isIdentifier(callee.property)
+          ? callee.property.name
+          : null;
+      return calleeName === "memo" || calleeName === "forwardRef";
+    });
+  }
+
+  /**
+   * Build an object of the props a component reads from its first parameter.
+   * `props` → `props`, `{ items, currency = "EUR", ...rest }` → `{ items, currency, ...rest }`
+   * Nested patterns and computed keys are left out.
+   * @param {import("@babel/types").Node | undefined} param
+   * @returns {import("@babel/types").Expression}
+   */
+  function getPropsExpression(param) {
+    const pattern = t.isAssignmentPattern(param) ? param.left : param;
+    if (t.isIdentifier(pattern)) return t.identifier(pattern.name);
+    if (!t.isObjectPattern(pattern)) return t.identifier("undefined");
+    /** @type {(import("@babel/types").ObjectProperty | import("@babel/types").SpreadElement)[]} */
+    const properties = [];
+    for (const property of pattern.properties) {
+      if (t.isRestElement(property)) {
+        if (t.isIdentifier(property.argument)) {
+          properties.push(t.spreadElement(t.identifier(property.argument.name)));
+        }
+        continue;
+      }
+      const key = property.computed
+        ? null
+        : t.isIdentifier(property.key)
+          ? property.key.name
+          : t.isStringLiteral(property.key)
+            ? property.key.value
+            : null;
+      const value = t.isAssignmentPattern(property.value) ? property.value.left : property.value;
+      if (key === null || !t.isIdentifier(value)) continue;
+      properties.push(
+        t.objectProperty(
+          t.isValidIdentifier(key) ? t.identifier(key) : t.stringLiteral(key),
+          t.identifier(value.name),
+          false,
+          key === value.name,
+        ),
+      );
+    }
+    return t.objectExpression(properties);
+  }
+
+  /**
+   * Report the render of a component and the props it read.
+   * @param {import("@babel/traverse").NodePath<import("@babel/types").Function>} fnPath
+   * @param {string} name
+   * @param {string} location
+   */
+  function instrumentRenderReasons(fnPath, name, location) {
+    const props = getPropsExpression(fnPath.node.params[0]);
+    if (fnPath.isArrowFunctionExpression()) fnPath.ensureBlock();
+    const body = /** @type {import("@babel/types").BlockStatement} */ (fnPath.node.body);
+    body.body = [
+      t.expressionStatement(
+        t.callExpression(t.identifier("__beginRender"), [
+          t.stringLiteral(name),
+          t.stringLiteral(location),
+          props,
+        ]),
+      ),
+      t.tryStatement(
+        t.blockStatement(body.body),
+        null,
+        t.blockStatement([
+          t.expressionStatement(t.callExpression(t.identifier("__endRender"), [])),
+        ]),
+      ),
+    ];
+  }
+
+  /**
+   * Carry the effect context across `await` in every async function of an effect callback.
+   * @param {import("@babel/traverse").NodePath} callbackPath
+   * @returns {boolean} whether an async function was instrumented
+   */
+  function instrumentAsyncFunctions(callbackPath) {
+    /** @type {import("@babel/traverse").NodePath<import("@babel/types").Function>[]} */
+    const asyncFunctions = [];
+    if (callbackPath.isFunction() && callbackPath.node.async) asyncFunctions.push(callbackPath);
+    callbackPath.traverse({
+      Function(fnPath) {
+        if (fnPath.node.async && !fnPath.node.generator) asyncFunctions.push(fnPath);
+      },
+    });
+
+    let instrumented = false;
+    for (const fnPath of asyncFunctions) {
+      /** @type {import("@babel/traverse").NodePath<import("@babel/types").AwaitExpression>[]} */
+      const awaits = [];
+      fnPath.traverse({
+        Function(innerPath) {
+          innerPath.skip();
+        },
+        AwaitExpression(awaitPath) {
+          awaits.push(awaitPath);
+        },
+      });
+      if (awaits.length === 0) continue;
+
+      instrumented = true;
+      const context = fnPath.scope.generateUidIdentifier("effectContext");
+      for (const awaitPath of awaits) {
+        awaitPath.replaceWith(
+          t.callExpression(t.identifier("__resumeEffectContext"), [
+            context,
+            t.awaitExpression(
+              t.callExpression(t.identifier("__suspendEffectContext"), [
+                context,
+                awaitPath.node.argument,
+              ]),
+            ),
+          ]),
+        );
+      }
+
+      if (fnPath.isArrowFunctionExpression()) fnPath.ensureBlock();
+      const body = /** @type {import("@babel/types").BlockStatement} */ (fnPath.node.body);
+      body.body = [
+        t.variableDeclaration("const", [
+          t.variableDeclarator(
+            context,
+            t.callExpression(t.identifier("__captureEffectContext"), []),
+          ),
+        ]),
+        t.tryStatement(
+          t.blockStatement(body.body),
+          null,
+          t.blockStatement([
+            t.expressionStatement(
+              t.callExpression(t.identifier("__suspendEffectContext"), [context]),
+            ),
+          ]),
+        ),
+      ];
+    }
+    return instrumented;
+  }
+
   return {
     name: "react-render-loop-tracer",
+    // Bundlers pass .ts files with the same parser options as .tsx files,
+    // but `<T>value` type assertions in .ts files don't parse as JSX
+    manipulateOptions(opts, parserOpts) {
+      if (typeof opts.filename === "string" && /\.[cm]?ts$/.test(opts.filename)) {
+        parserOpts.plugins = parserOpts.plugins.filter(
+          (/** @type {string | [string, unknown]} */ plugin) =>
+            (Array.isArray(plugin) ? plugin[0] : plugin) !== "jsx",
+        );
+      }
+    },
     visitor: {
       Program: {
-        enter(_path, state) {
-          state.needsImport = false;
-          state.hasUseState = false;
-          state.hasUseReducer = false;
-          state.hasUseEffect = false;
-          state.hasUseLayoutEffect = false;
+        enter(path, state) {
+          /** @type {Set<string>} */
+          state.usedImports = new Set();
+          state.relativeFilename = getRelativeFilename(state);
+          // Presets share this traversal, so excluded files are not skipped but left alone
+          state.excluded = !isIncluded(/** @type {string} */ (state.relativeFilename));
         },
         exit(path, state) {
-          if (!state.needsImport) return;
-
-          /** @type {string[]} */
-          const names = [];
-          if (state.hasUseState) names.push("__trackedUseState");
-          if (state.hasUseReducer) names.push("__trackedUseReducer");
-          if (state.hasUseEffect) names.push("__trackedUseEffect");
-          if (state.hasUseLayoutEffect) names.push("__trackedUseLayoutEffect");
+          const usedImports = /** @type {Set<string>} */ (state.usedImports);
+          const names = RUNTIME_IMPORTS.filter((name) => usedImports.has(name));
 
           if (names.length === 0) return;
 
@@ -175,14 +727,42 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
         },
       },
 
+      Function(fnPath, state) {
+        if (state.excluded) return;
+        if (fnPath.node.async || fnPath.node.generator) return;
+        const name = getFunctionName(fnPath);
+        if (!name || !/^(?:[A-Z]|use[A-Z0-9])/.test(name)) return;
+        const usedImports = /** @type {Set<string>} */ (state.usedImports);
+        const isComponent =
+          pluginOptions.renderReasons === true &&
+          /^[A-Z]/.test(name) &&
+          isComponentBody(fnPath) &&
+          isUsedAsComponent(fnPath, name);
+
+        if (callsCustomHook(fnPath)) {
+          instrumentRenderFunction(fnPath, name);
+          usedImports.add("__enterRender");
+          usedImports.add("__exitRender");
+        }
+        if (isComponent) {
+          const location = getLocation(fnPath, /** @type {string} */ (state.relativeFilename));
+          instrumentRenderReasons(fnPath, name, location);
+          usedImports.add("__beginRender");
+          usedImports.add("__endRender");
+        }
+      },
+
       CallExpression(path, state) {
+        if (state.excluded) return;
         const { callee } = path.node;
-        const filename = state.filename || state.file?.opts?.filename || "unknown";
-        const shortFilename = filename.split("/").pop() || filename;
+        const imported = resolveImport(path.get("callee"));
+        const reactHook = imported && reactModules.has(imported.source) ? imported.name : null;
+        const relativeFilename = /** @type {string} */ (state.relativeFilename);
+        const usedImports = /** @type {Set<string>} */ (state.usedImports);
 
         // ─── useState ───
-        if (isHookCall(callee, "useState")) {
-          const line = path.node.loc?.start?.line ?? "?";
+        if (reactHook === "useState") {
+          const location = getLocation(path, relativeFilename);
           const componentName = getComponentName(path);
           const stateName = getStateNameFromDeclarator(path) || "anonymous";
 
@@ -192,20 +772,19 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
           path.replaceWith(
             t.callExpression(t.identifier("__trackedUseState"), [
               /** @type {import("@babel/types").Expression} */ (initialValue),
-              t.stringLiteral(`${shortFilename}:${line}`),
+              t.stringLiteral(location),
               t.stringLiteral(componentName),
               t.stringLiteral(stateName),
             ]),
           );
 
-          state.needsImport = true;
-          state.hasUseState = true;
+          usedImports.add("__trackedUseState");
           return;
         }
 
         // ─── useReducer ───
-        if (isHookCall(callee, "useReducer")) {
-          const line = path.node.loc?.start?.line ?? "?";
+        if (reactHook === "useReducer") {
+          const location = getLocation(path, relativeFilename);
           const componentName = getComponentName(path);
           const stateName = getStateNameFromDeclarator(path) || "anonymous";
 
@@ -219,23 +798,187 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
               /** @type {import("@babel/types").Expression} */ (reducer),
               /** @type {import("@babel/types").Expression} */ (initialArg),
               /** @type {import("@babel/types").Expression} */ (init),
-              t.stringLiteral(`${shortFilename}:${line}`),
+              t.stringLiteral(location),
               t.stringLiteral(componentName),
               t.stringLiteral(stateName),
             ]),
           );
 
-          state.needsImport = true;
-          state.hasUseReducer = true;
+          usedImports.add("__trackedUseReducer");
           return;
         }
 
-        // ─── useEffect / useLayoutEffect ───
-        const isEffect = isHookCall(callee, "useEffect");
-        const isLayoutEffect = isHookCall(callee, "useLayoutEffect");
+        // ─── useSyncExternalStore ───
+        if (reactHook === "useSyncExternalStore") {
+          const location = getLocation(path, relativeFilename);
+          const componentName = getComponentName(path);
+          const stateName = getValueNameFromDeclarator(path) || "anonymous";
+
+          const args = path.node.arguments;
+          const subscribe = args[0] || t.identifier("undefined");
+          const getSnapshot = args[1] || t.identifier("undefined");
+          const getServerSnapshot = args[2] || t.identifier("undefined");
+
+          path.replaceWith(
+            t.callExpression(t.identifier("__trackedUseSyncExternalStore"), [
+              /** @type {import("@babel/types").Expression} */ (subscribe),
+              /** @type {import("@babel/types").Expression} */ (getSnapshot),
+              /** @type {import("@babel/types").Expression} */ (getServerSnapshot),
+              t.stringLiteral(location),
+              t.stringLiteral(componentName),
+              t.stringLiteral(stateName),
+            ]),
+          );
+
+          usedImports.add("__trackedUseSyncExternalStore");
+          return;
+        }
 
-        if (isEffect || isLayoutEffect) {
-          const line = path.node.loc?.start?.line ?? "?";
+        // ─── useTransition ───
+        if (reactHook === "useTransition") {
+          const location = getLocation(path, relativeFilename);
+          const componentName = getComponentName(path);
+          const stateName = getStateNameFromDeclarator(path) || "anonymous";
+
+          path.replaceWith(
+            t.callExpression(t.identifier("__trackedUseTransition"), [
+              t.stringLiteral(location),
+              t.stringLiteral(componentName),
+              t.stringLiteral(stateName),
+            ]),
+          );
+
+          usedImports.add("__trackedUseTransition");
+          return;
+        }
+
+        // ─── useOptimistic ───
+        if (reactHook === "useOptimistic") {
+          const location = getLocation(path, relativeFilename);
+          const componentName = getComponentName(path);
+          const stateName = getStateNameFromDeclarator(path) || "anonymous";
+
+          const args = path.node.arguments;
+          const passthrough = args[0] || t.identifier("undefined");
+          const reducer = args[1] || t.identifier("undefined");
+
+          path.replaceWith(
+            t.callExpression(t.identifier("__trackedUseOptimistic"), [
+              /** @type {import("@babel/types").Expression} */ (passthrough),
+              /** @type {import("@babel/types").Expression} */ (reducer),
+              t.stringLiteral(location),
+              t.stringLiteral(componentName),
+              t.stringLiteral(stateName),
+            ]),
+          );
+
+          usedImports.add("__trackedUseOptimistic");
+          return;
+        }
+
+        // ─── useActionState ───
+        if (reactHook === "useActionState") {
+          const location = getLocation(path, relativeFilename);
+          const componentName = getComponentName(path);
+          const stateName = getStateNameFromDeclarator(path) || "anonymous";
+
+          const args = path.node.arguments;
+          const action = args[0] || t.identifier("undefined");
+          const initialState = args[1] || t.identifier("undefined");
+          const permalink = args[2] || t.identifier("undefined");
+
+          path.replaceWith(
+            t.callExpression(t.identifier("__trackedUseActionState"), [
+              /** @type {import("@babel/types").Expression} */ (action),
+              /** @type {import("@babel/types").Expression} */ (initialState),
+              /** @type {import("@babel/types").Expression} */ (permalink),
+              t.stringLiteral(location),
+              t.stringLiteral(componentName),
+              t.stringLiteral(stateName),
+            ]),
+          );
+
+          usedImports.add("__trackedUseActionState");
+          return;
+        }
+
+        // ─── useDispatch (react-redux) ───
+        if (imported?.source === "react-redux" && imported.name === "useDispatch") {
+          // Skip the original call inside the wrapper
+          const parent = path.parentPath;
+          if (
+            parent?.isCallExpression() &&
+            t.isIdentifier(parent.node.callee, { name: "__trackedUseDispatch" })
+          ) {
+            return;
+          }
+
+          const location = getLocation(path, relativeFilename);
+          const componentName = getComponentName(path);
+          const stateName = getValueNameFromDeclarator(path) || "dispatch";
+
+          path.replaceWith(
+            t.callExpression(t.identifier("__trackedUseDispatch"), [
+              path.node,
+              t.stringLiteral(location),
+              t.stringLiteral(componentName),
+              t.stringLiteral(stateName),
+            ]),
+          );
+
+          usedImports.add("__trackedUseDispatch");
+          return;
+        }
+
+        // ─── useContext (only with renderReasons) ───
+        if (reactHook === "useContext" && pluginOptions.renderReasons === true) {
+          const context = path.node.arguments[0];
+          if (!t.isExpression(context)) return;
+          path.replaceWith(
+            t.callExpression(t.identifier("__trackedUseContext"), [
+              context,
+              t.stringLiteral(memberExpressionToString(context)),
+            ]),
+          );
+
+          usedImports.add("__trackedUseContext");
+          return;
+        }
+
+        // ─── useMemo / useCallback ───
+        const memoHook = Object.keys(MEMO_WRAPPERS).find((hookName) => reactHook === hookName);
+
+        if (memoHook) {
+          const args = path.node.arguments;
+          const deps = args[1];
+          const depNames = stringifyDeps(
+            /** @type {import("@babel/types").Node | undefined} */ (deps),
+          );
+          const wrapperName = MEMO_WRAPPERS[memoHook];
+
+          path.replaceWith(
+            t.callExpression(t.identifier(wrapperName), [
+              /** @type {import("@babel/types").Expression} */ (
+                args[0] || t.identifier("undefined")
+              ),
+              /** @type {import("@babel/types").Expression} */ (deps || t.identifier("undefined")),
+              t.stringLiteral(getLocation(path, relativeFilename)),
+              t.stringLiteral(getComponentName(path)),
+              depNames
+                ? t.arrayExpression(depNames.map((d) => t.stringLiteral(d)))
+                : t.nullLiteral(),
+            ]),
+          );
+
+          usedImports.add(wrapperName);
+          return;
+        }
+
+        // ─── useEffect / useLayoutEffect / useInsertionEffect ───
+        const effectHook = Object.keys(EFFECT_WRAPPERS).find((hookName) => reactHook === hookName);
+
+        if (effectHook) {
+          const location = getLocation(path, relativeFilename);
           const componentName = getComponentName(path);
           const args = path.node.arguments;
           const callback = args[0];
@@ -248,25 +991,74 @@ export default function reactRenderLoopTracerPlugin({ types: t }) {
             ? t.arrayExpression(depNames.map((d) => t.stringLiteral(d)))
             : t.nullLiteral();
 
-          const wrapperName = isEffect ? "__trackedUseEffect" : "__trackedUseLayoutEffect";
+          const wrapperName = EFFECT_WRAPPERS[effectHook];
+
+          const callbackPath = path.get("arguments")[0];
+          if (callbackPath && instrumentAsyncFunctions(callbackPath)) {
+            usedImports.add("__captureEffectContext");
+            usedImports.add("__resumeEffectContext");
+            usedImports.add("__suspendEffectContext");
+          }
 
           const newArgs = [
             /** @type {import("@babel/types").Expression} */ (
               callback || t.identifier("undefined")
             ),
             /** @type {import("@babel/types").Expression} */ (deps || t.identifier("undefined")),
-            t.stringLiteral(`${shortFilename}:${line}`),
+            t.stringLiteral(location),
             t.stringLiteral(componentName),
             depNamesArg,
           ];
 
           path.replaceWith(t.callExpression(t.identifier(wrapperName), newArgs));
 
-          state.needsImport = true;
-          if (isEffect) state.hasUseEffect = true;
-          if (isLayoutEffect) state.hasUseLayoutEffect = true;
+          usedImports.add(wrapperName);
           return;
         }
+
+        // ─── User-defined effect-like hooks ───
+        const customEffectHook = Object.keys(effectHooks).find((hookName) =>
+          isHookCall(callee, hookName),
+        );
+
+        if (customEffectHook) {
+          const { callback: callbackIndex = 0, deps: depsIndex = 1 } =
+            effectHooks[customEffectHook];
+          const args = path.node.arguments;
+          const callback = args[callbackIndex];
+          if (!callback || !t.isExpression(callback)) return;
+          const deps = args[depsIndex];
+
+          const depNames = stringifyDeps(
+            /** @type {import("@babel/types").Node | undefined} */ (deps),
+          );
+          const depNamesArg = depNames
+            ? t.arrayExpression(depNames.map((d) => t.stringLiteral(d)))
+            : t.nullLiteral();
+          // Deps are passed a second time, only if that can't cause side effects
+          const depsArg =
+            depNames && !depNames.includes("complex")
+              ? t.cloneNode(/** @type {import("@babel/types").ArrayExpression} */ (deps))
+              : t.identifier("undefined");
+
+          const callbackPath = path.get("arguments")[callbackIndex];
+          if (callbackPath && instrumentAsyncFunctions(callbackPath)) {
+            usedImports.add("__captureEffectContext");
+            usedImports.add("__resumeEffectContext");
+            usedImports.add("__suspendEffectContext");
+          }
+
+          args[callbackIndex] = t.callExpression(t.identifier("__trackedEffectCallback"), [
+            /** @type {import("@babel/types").Expression} */ (args[callbackIndex]),
+            depsArg,
+            t.stringLiteral(getLocation(path, relativeFilename)),
+            t.stringLiteral(getComponentName(path)),
+            depNamesArg,
+            t.stringLiteral(customEffectHook),
+          ]);
+
+          usedImports.add("__trackedEffectCallback");
+        }
       },
     },
   };
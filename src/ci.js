@@ -0,0 +1,285 @@
+/// @ts-check
+
+import { readFile } from "node:fs/promises";
+
+/**
+ * Render loop budgets for CI.
+ *
+ * Loads pages of a running app in a headless browser, collects the tracer's entries
+ * through the `window.__renderLoopTracer` global of the runtime and checks them against
+ * a budget file. Works with Playwright and Puppeteer pages — only `goto` and `evaluate`
+ * are used.
+ *
+ *   import { chromium } from "playwright";
+ *   import { assertRenderLoopBudget } from "@jantimon/react-render-loop-tracer/ci";
+ *
+ *   const page = await (await chromium.launch()).newPage();
+ *   await assertRenderLoopBudget(page, {
+ *     baseUrl: "http://localhost:3000",
+ *     budget: "./render-loop-budget.json",
+ *   });
+ *
+ * @typedef {import("./runtime.js").TraceEvent} TraceEvent
+ * @typedef {import("./runtime.js").HydrationReport} HydrationReport
+ * @typedef {{ goto: (url: string) => Promise<unknown>; evaluate: <T>(fn: () => T) => Promise<T> }} BrowserPage
+ */
+
+/**
+ * @typedef {object} RenderLoopBudget
+ * @property {number} [maxStateChanges] effect→setState during hydration of the route
+ * @property {number} [maxStateChangesPerComponent] effect→setState during hydration of one component
+ * @property {number} [maxEffectDuration] slowest allowed effect run in ms, effects are only
+ *   reported from 8ms on
+ * @property {boolean} [allowLoops] don't fail on detected render loops, defaults to `false`
+ */
+
+/**
+ * @typedef {object} BudgetFile
+ * @property {RenderLoopBudget} [default] budget for every route
+ * @property {Record<string, RenderLoopBudget>} [routes] budgets per route, merged over `default`
+ */
+
+/**
+ * @typedef {Omit<TraceEvent, "cause"> & { message: string }} CollectedEvent
+ * @typedef {{ route: string; events: CollectedEvent[]; hydration: HydrationReport | null }} RouteEntries
+ * @typedef {{ route: string; rule: keyof RenderLoopBudget; limit: number; actual: number; message: string }} BudgetViolation
+ */
+
+/**
+ * Thrown by {@link assertRenderLoopBudget} when a route exceeds its budget.
+ */
+export class RenderLoopBudgetError extends Error {
+  /**
+   * @param {string} message
+   * @param {BudgetViolation[]} violations
+   */
+  constructor(message, violations) {
+    super(message);
+    this.name = "RenderLoopBudgetError";
+    this.violations = violations;
+  }
+}
+
+/**
+ * Wait until the page finished hydrating and read the tracer's entries.
+ * Entries of a page which doesn't finish hydrating within `timeout` are returned
+ * with `hydration: null`.
+ *
+ * @param {BrowserPage} page
+ * @param {{ route?: string; timeout?: number; interval?: number }} [options]
+ * @returns {Promise<RouteEntries>}
+ */
+export async function collectEntries(page, { route = "", timeout = 10000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (true) {
+    // Runs in the browser — must not reference anything from this module
+    const entries = await page.evaluate(() => {
+      const tracer = /** @type {any} */ (globalThis).__renderLoopTracer;
+      if (!tracer) return null;
+      return {
+        hydration: tracer.getHydrationReport(),
+        events: tracer.getRecordedEvents().map((/** @type {TraceEvent} */ { cause, ...event }) => ({
+          ...event,
+          message: tracer.formatEvent({ ...event, cause }),
+        })),
+      };
+    });
+    const timedOut = Date.now() >= deadline;
+    if (entries && (entries.hydration || timedOut)) {
+      return { route, ...entries };
+    }
+    if (timedOut) {
+      throw new Error(
+        `The render loop tracer runtime was not found on ${route || "the page"} — ` +
+          `is the app built with withRenderLoopTracer?`,
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Load every route on the given page one after another and collect its entries.
+ *
+ * @param {BrowserPage} page
+ * @param {{ baseUrl: string; routes: string[]; timeout?: number }} options
+ * @returns {Promise<RouteEntries[]>}
+ */
+export async function collectRoutes(page, { baseUrl, routes, timeout }) {
+  /** @type {RouteEntries[]} */
+  const results = [];
+  for (const route of routes) {
+    await page.goto(new URL(route, baseUrl).href);
+    results.push(await collectEntries(page, { route, timeout }));
+  }
+  return results;
+}
+
+/**
+ * @param {string} file path to a JSON {@link BudgetFile}
+ * @returns {Promise<BudgetFile>}
+ */
+export async function loadBudget(file) {
+  return JSON.parse(await readFile(file, "utf8"));
+}
+
+/**
+ * @param {CollectedEvent} event
+ */
+function getOwningComponent(event) {
+  return event.componentName.split(" › ")[0];
+}
+
+/**
+ * Effect→setState per owning component during hydration, most first.
+ * @param {RouteEntries} result
+ * @returns {[string, number][]}
+ */
+function countHydrationStateChanges(result) {
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  for (const event of result.events) {
+    if (event.type !== "state-change" || event.phase !== "hydration") continue;
+    const component = getOwningComponent(event);
+    counts.set(component, (counts.get(component) ?? 0) + 1);
+  }
+  return [...counts].sort(([, a], [, b]) => b - a);
+}
+
+/**
+ * Check collected entries against a budget.
+ *
+ * @param {RouteEntries[]} results
+ * @param {BudgetFile} budgetFile
+ * @returns {BudgetViolation[]}
+ */
+export function checkBudget(results, budgetFile) {
+  /** @type {BudgetViolation[]} */
+  const violations = [];
+  for (const result of results) {
+    const { route } = result;
+    const budget = { ...budgetFile.default, ...budgetFile.routes?.[route] };
+    const perComponent = countHydrationStateChanges(result);
+    const stateChanges = perComponent.reduce((sum, [, count]) => sum + count, 0);
+
+    if (budget.maxStateChanges !== undefined && stateChanges > budget.maxStateChanges) {
+      violations.push({
+        route,
+        rule: "maxStateChanges",
+        limit: budget.maxStateChanges,
+        actual: stateChanges,
+        message: `${stateChanges} effect→setState during hydration (budget ${budget.maxStateChanges})`,
+      });
+    }
+
+    const maxPerComponent = budget.maxStateChangesPerComponent;
+    if (maxPerComponent !== undefined) {
+      for (const [component, count] of perComponent) {
+        if (count <= maxPerComponent) continue;
+        violations.push({
+          route,
+          rule: "maxStateChangesPerComponent",
+          limit: maxPerComponent,
+          actual: count,
+          message: `${count} effect→setState in ${component} during hydration (budget ${maxPerComponent})`,
+        });
+      }
+    }
+
+    for (const event of result.events) {
+      const duration = event.duration ?? 0;
+      if (
+        event.type === "slow-effect" &&
+        budget.maxEffectDuration !== undefined &&
+        duration > budget.maxEffectDuration
+      ) {
+        violations.push({
+          route,
+          rule: "maxEffectDuration",
+          limit: budget.maxEffectDuration,
+          actual: duration,
+          message: `${event.message} (budget ${budget.maxEffectDuration}ms)`,
+        });
+      }
+      if (event.type === "render-loop" && !budget.allowLoops) {
+        violations.push({ route, rule: "allowLoops", limit: 0, actual: 1, message: event.message });
+      }
+    }
+  }
+  return violations;
+}
+
+/** Components listed per route in the report */
+const REPORT_TOP_COMPONENTS = 5;
+
+/**
+ * Readable report of all routes, e.g.
+ *
+ *   ✗ /checkout — 40 effect→setState during hydration in 380ms
+ *       40 effect→setState during hydration (budget 3)
+ *       top components: CartDrawer 25, PriceDisplay 10, CheckoutButton 5
+ *   ✓ / — 2 effect→setState during hydration in 120ms
+ *
+ * @param {RouteEntries[]} results
+ * @param {BudgetViolation[]} violations
+ * @returns {string}
+ */
+export function formatBudgetReport(results, violations) {
+  const lines = [
+    violations.length > 0
+      ? `Render loop budget exceeded — ${violations.length} ${violations.length > 1 ? "violations" : "violation"}`
+      : "Render loop budget met",
+    "",
+  ];
+  for (const result of results) {
+    const routeViolations = violations.filter((violation) => violation.route === result.route);
+    const perComponent = countHydrationStateChanges(result);
+    const stateChanges = perComponent.reduce((sum, [, count]) => sum + count, 0);
+    const duration = result.hydration
+      ? ` in ${Math.round(result.hydration.duration)}ms`
+      : " (hydration did not finish)";
+    lines.push(
+      `${routeViolations.length > 0 ? "✗" : "✓"} ${result.route} — ${stateChanges} effect→setState during hydration${duration}`,
+    );
+    if (routeViolations.length === 0) continue;
+    for (const violation of routeViolations) {
+      lines.push(`    ${violation.message}`);
+    }
+    if (perComponent.length > 0) {
+      const top = perComponent
+        .slice(0, REPORT_TOP_COMPONENTS)
+        .map(([component, count]) => `${component} ${count}`);
+      lines.push(`    top components: ${top.join(", ")}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Load the routes of the budget (or the given routes), check them and throw a
+ * {@link RenderLoopBudgetError} with a readable report if any route exceeds its budget.
+ *
+ * @param {BrowserPage} page
+ * @param {{ baseUrl: string; budget: BudgetFile | string; routes?: string[]; timeout?: number; log?: (report: string) => void }} options
+ * @returns {Promise<RouteEntries[]>}
+ */
+export async function assertRenderLoopBudget(page, options) {
+  const budget =
+    typeof options.budget === "string" ? await loadBudget(options.budget) : options.budget;
+  const routes = options.routes ?? Object.keys(budget.routes ?? {});
+  if (routes.length === 0) {
+    throw new Error("No routes to check — pass `routes` or list them in the budget file");
+  }
+  const results = await collectRoutes(page, {
+    baseUrl: options.baseUrl,
+    routes,
+    timeout: options.timeout,
+  });
+  const violations = checkBudget(results, budget);
+  const report = formatBudgetReport(results, violations);
+  if (violations.length > 0) {
+    throw new RenderLoopBudgetError(report, violations);
+  }
+  options.log?.(report);
+  return results;
+}
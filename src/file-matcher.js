@@ -0,0 +1,76 @@
+/// @ts-check
+
+/**
+ * @typedef {object} FileFilterOptions
+ * @property {string[]} [include] globs of files to instrument, all files if omitted
+ * @property {string[]} [exclude] globs of files to skip, wins over `include`
+ */
+
+/**
+ * Convert a glob to a regular expression.
+ * Supports `**` (any number of folders), `*`, `?` and `{a,b}`.
+ *
+ *   "src/**\/*.tsx" → /^src\/(?:.*\/)?[^/]*\.tsx$/
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  let groupDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      source += "(?:";
+      groupDepth++;
+    } else if (char === "}" && groupDepth > 0) {
+      source += ")";
+      groupDepth--;
+    } else if (char === "," && groupDepth > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a matcher for project-relative paths with forward slashes.
+ * A file matches if it matches any `include` glob (or no `include` is given) and no `exclude` glob.
+ *
+ * @param {FileFilterOptions} [options]
+ * @returns {(relativeFilename: string) => boolean}
+ */
+export function createFileMatcher({ include, exclude } = {}) {
+  const includes = include?.map(globToRegExp) ?? null;
+  const excludes = exclude?.map(globToRegExp) ?? [];
+  return (relativeFilename) =>
+    (!includes || includes.some((pattern) => pattern.test(relativeFilename))) &&
+    !excludes.some((pattern) => pattern.test(relativeFilename));
+}
+
+/**
+ * Extensions of the files every bundler integration passes to the tracer —
+ * webpack rules, Turbopack rules and the Vite plugin are all derived from this list,
+ * `include` / `exclude` are applied by the Babel plugin for all of them.
+ */
+export const SOURCE_EXTENSIONS = ["js", "jsx", "ts", "tsx"];
+
+/** Webpack rule `test` for {@link SOURCE_EXTENSIONS} */
+export const SOURCE_FILE_PATTERN = new RegExp(`\\.(?:${SOURCE_EXTENSIONS.join("|")})$`);
+
+/** Turbopack rule keys for {@link SOURCE_EXTENSIONS}, matched against the file name */
+export const SOURCE_FILE_GLOBS = SOURCE_EXTENSIONS.map((extension) => `*.${extension}`);
@@ -13,8 +13,15 @@ declare module "babel-loader" {
 declare var __effectTracker: {
   location: string;
   componentName: string;
+  instanceId: number;
+  hook: "useEffect" | "useLayoutEffect" | "useInsertionEffect" | (string & {});
   changedDeps: string[] | null;
+  deepEqualDeps: string[];
+  unstableDeps: string[];
   depNames: string[] | null;
+  cause: object | null;
+  async: string | null;
+  cleanup: boolean;
   stateWasSet: boolean;
 } | null;
 
@@ -1,3 +1,32 @@
 import type { NextConfig } from "next";
 
-export function withRenderLoopTracer(nextConfig?: NextConfig): NextConfig;
+export interface RenderLoopTracerOptions {
+  /** Project root for locations, defaults to Babel's root */
+  root?: string;
+  /** Globs (relative to the root) of files to instrument, all files if omitted */
+  include?: string[];
+  /** Globs of files to skip, wins over `include` */
+  exclude?: string[];
+  /** Modules re-exporting React's hooks, e.g. `["preact/hooks", "@acme/react"]` */
+  reactModules?: string[];
+  /**
+   * Additional effect-like hooks to instrument and the index of their callback and deps arguments,
+   * e.g. `{ useDeepCompareEffect: { callback: 0, deps: 1 } }`
+   */
+  effectHooks?: Record<string, { callback?: number; deps?: number }>;
+  /**
+   * Instrument component bodies to report why each re-render happened:
+   * own state, changed props, changed context or a re-rendering parent
+   */
+  renderReasons?: boolean;
+  /**
+   * Instrument production builds as well, e.g. for the runtime's field mode.
+   * By default `next build` is left untouched.
+   */
+  production?: boolean;
+}
+
+export function withRenderLoopTracer(
+  nextConfig?: NextConfig,
+  tracerOptions?: RenderLoopTracerOptions,
+): NextConfig;
@@ -2,9 +2,17 @@
 
 import { fileURLToPath } from "node:url";
 import path from "node:path";
+import { SOURCE_FILE_GLOBS, SOURCE_FILE_PATTERN } from "./file-matcher.js";
+import { createLoaderOptions } from "./loader-options.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const RUNTIME_IMPORT = "@jantimon/react-render-loop-tracer/runtime";
+
+/**
+ * @typedef {import("./babel-plugin.js").PluginOptions} PluginOptions
+ */
+
 /**
  * @typedef {object} WebpackConfig
  * @property {{ rules: object[] }} module
@@ -23,47 +31,80 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * Usage in next.config.mjs:
  *
  *   import { withRenderLoopTracer } from "@jantimon/react-render-loop-tracer";
- *   export default withRenderLoopTracer({ ... });
+ *   export default withRenderLoopTracer({ ... }, { exclude: ["**\/*.generated.tsx"] });
+ *
+ * Production builds (`next build`) are left untouched unless `production: true` is set,
+ * e.g. to measure real users with the runtime's field mode.
+ * All other tracer options are passed on to the Babel plugin, see {@link PluginOptions}.
  *
  * @param {Record<string, any> & { webpack?: (config: WebpackConfig, context: WebpackContext) => WebpackConfig }} nextConfig
+ * @param {PluginOptions & { production?: boolean }} [tracerOptions]
  * @returns {Record<string, any> & { webpack: (config: WebpackConfig, context: WebpackContext) => WebpackConfig }}
  */
-export function withRenderLoopTracer(nextConfig = {}) {
+export function withRenderLoopTracer(nextConfig = {}, tracerOptions = {}) {
+  const { production = false, ...pluginOptions } = tracerOptions;
   const originalWebpack = nextConfig.webpack;
 
   const loaderConfig = {
     loader:
       "./" + path.relative(process.cwd(), path.resolve(__dirname, "./react-hook-babel-loader.cjs")),
-    options: {
-      plugins: [path.resolve(__dirname, "./babel-plugin.js")],
-      presets: [],
-      parserOpts: { plugins: ["jsx", "typescript"] },
-      sourceType: "unambiguous",
-    },
+    options: createLoaderOptions(pluginOptions),
   };
+  // Instrumented builds need the real runtime, not the stub of the `production` export condition
+  const runtime = path.resolve(__dirname, "./runtime.js");
 
-  const turboRules = {
-    "*.jsx": { loaders: [loaderConfig], as: "*.jsx" },
-    "*.tsx": { loaders: [loaderConfig], as: "*.tsx" },
-  };
+  // Next.js sets NODE_ENV before loading the config, Turbopack has no per-build context
+  const isProductionBuild = process.env.NODE_ENV === "production";
+  const isTurbopackTraced = !isProductionBuild || production;
+  const userTurboRules = nextConfig.turbopack?.rules ?? {};
+  const turboRules = isTurbopackTraced
+    ? Object.fromEntries(
+        SOURCE_FILE_GLOBS.map((glob) => [
+          glob,
+          addTurbopackLoader(userTurboRules[glob], loaderConfig, glob),
+        ]),
+      )
+    : {};
+  const turboAliases = isTurbopackTraced
+    ? { [RUNTIME_IMPORT]: "./" + path.relative(process.cwd(), runtime) }
+    : {};
 
   return {
     ...nextConfig,
     turbopack: {
       ...nextConfig.turbopack,
-      rules: { ...nextConfig.turbopack?.rules, ...turboRules },
+      rules: { ...userTurboRules, ...turboRules },
+      resolveAlias: { ...nextConfig.turbopack?.resolveAlias, ...turboAliases },
     },
     /** @param {WebpackConfig} config @param {WebpackContext} context */
     webpack(config, context) {
-      if (!context.isServer) {
+      if (!context.isServer && (context.dev || production)) {
         config.module.rules.push({
-          test: /\.(j|t)sx?$/,
+          test: SOURCE_FILE_PATTERN,
           enforce: "pre",
           use: loaderConfig,
         });
+        config.resolve.alias = { [RUNTIME_IMPORT]: runtime, ...config.resolve.alias };
       }
 
       return originalWebpack ? originalWebpack(config, context) : config;
     },
   };
 }
+
+/**
+ * Append the tracer loader to the user's Turbopack rule for the same glob, if there is one.
+ * Loaders run from last to first, so the tracer still sees the original source.
+ * `undefined` → `{ loaders: [tracer], as: glob }`
+ * `["@svgr/webpack"]` → `{ loaders: ["@svgr/webpack", tracer], as: glob }`
+ * `{ loaders: [a], as: "*.js" }` → `{ loaders: [a, tracer], as: "*.js" }`
+ *
+ * @param {any} rule
+ * @param {object} loaderConfig
+ * @param {string} glob
+ * @returns {Record<string, any>}
+ */
+function addTurbopackLoader(rule, loaderConfig, glob) {
+  if (Array.isArray(rule)) return { loaders: [...rule, loaderConfig], as: glob };
+  return { as: glob, ...rule, loaders: [...(rule?.loaders ?? []), loaderConfig] };
+}
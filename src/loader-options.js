@@ -0,0 +1,24 @@
+/// @ts-check
+
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @typedef {import("./babel-plugin.js").PluginOptions} PluginOptions
+ */
+
+/**
+ * Options of `react-hook-babel-loader.cjs`, shared by the Next.js config and the webpack plugin
+ *
+ * @param {PluginOptions} pluginOptions
+ */
+export function createLoaderOptions(pluginOptions) {
+  return {
+    plugins: [[path.resolve(__dirname, "./babel-plugin.js"), pluginOptions]],
+    presets: [],
+    parserOpts: { plugins: ["jsx", "typescript"] },
+    sourceType: "unambiguous",
+  };
+}
@@ -0,0 +1,304 @@
+/// @ts-check
+
+/**
+ * In-page overlay which lists trace events live — an alternative to the console output
+ * which keeps the long task / slow interaction grouping while filtering.
+ *
+ * Built with plain DOM APIs so that it never renders through (and gets traced by) React.
+ *
+ * @typedef {import("./runtime.js").TraceEvent} TraceEvent
+ * @typedef {import("./runtime.js").TraceGroup} TraceGroup
+ * @typedef {import("./runtime.js").TraceListener} TraceListener
+ * @typedef {{ subscribe: (listener: TraceListener) => () => void; formatMessage: (event: TraceEvent) => string; getEditorLink: (location: string) => string | null; exportTrace: () => void }} OverlaySource
+ */
+
+/** Oldest entries are dropped once the overlay holds more events */
+const MAX_ENTRIES = 500;
+
+/** Components shown in the per-component counts */
+const MAX_COMPONENT_COUNTS = 8;
+
+/** @type {Record<TraceEvent["type"], string>} */
+const typeColors = {
+  "state-change": "#4fc1ff",
+  "effect-run": "#9d9d9d",
+  "slow-effect": "#e5c07b",
+  "render-loop": "#f14c4c",
+  "effect-churn": "#e5c07b",
+  "memo-recompute": "#9d9d9d",
+  "unstable-memo": "#e5c07b",
+  render: "#c586c0",
+};
+
+const rootStyle = [
+  "position:fixed",
+  "right:8px",
+  "bottom:8px",
+  "z-index:2147483647",
+  "display:flex",
+  "flex-direction:column",
+  "width:min(560px, calc(100vw - 16px))",
+  "max-height:45vh",
+  "background:#1e1e1e",
+  "color:#d4d4d4",
+  "font:12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace",
+  "border-radius:6px",
+  "box-shadow:0 4px 16px rgba(0,0,0,.4)",
+].join(";");
+
+/**
+ * Create an element with inline styles and text.
+ * @template {keyof HTMLElementTagNameMap} K
+ * @param {K} tag
+ * @param {string} [style]
+ * @param {string} [text]
+ * @returns {HTMLElementTagNameMap[K]}
+ */
+function h(tag, style, text) {
+  const element = document.createElement(tag);
+  if (style) element.setAttribute("style", style);
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Open an editor link. Protocol links (`vscode://`) are navigated to,
+ * http links like Next.js' `/__nextjs_launch-editor` are requested in the background.
+ * @param {string} link
+ */
+function openEditorLink(link) {
+  if (/^(https?:)?\//.test(link)) {
+    fetch(link).catch(() => {});
+  } else {
+    window.location.href = link;
+  }
+}
+
+/**
+ * Mount the overlay into the current document.
+ * @param {OverlaySource} source
+ * @returns {() => void} unmount
+ */
+export function mountOverlay(source) {
+  /** @type {TraceEvent[]} */
+  let entries = [];
+  /** @type {TraceEvent[]} */
+  const pending = [];
+  /** @type {Map<number, TraceGroup>} */
+  const groups = new Map();
+  /** @type {Set<number>} */
+  const openGroups = new Set();
+  let paused = false;
+  let collapsed = false;
+  let filter = "";
+  let renderScheduled = false;
+
+  const root = h("div", rootStyle);
+  root.setAttribute("data-render-loop-tracer", "");
+
+  const header = h(
+    "div",
+    "display:flex;gap:6px;align-items:center;padding:6px 8px;border-bottom:1px solid #333",
+  );
+  const title = h("strong", "flex:1;white-space:nowrap", "Render Loop Tracer");
+  const filterInput = h(
+    "input",
+    "flex:2;min-width:0;background:#2d2d2d;color:inherit;border:1px solid #444;border-radius:3px;padding:2px 4px;font:inherit",
+  );
+  filterInput.placeholder = "Filter";
+  filterInput.setAttribute("aria-label", "Filter trace entries");
+  const buttonStyle =
+    "background:#2d2d2d;color:inherit;border:1px solid #444;border-radius:3px;padding:2px 6px;font:inherit;cursor:pointer";
+  const pauseButton = h("button", buttonStyle, "Pause");
+  const clearButton = h("button", buttonStyle, "Clear");
+  const exportButton = h("button", buttonStyle, "Export");
+  exportButton.title = "Download a trace file for Perfetto or the Chrome Performance panel";
+  const collapseButton = h("button", buttonStyle, "–");
+  collapseButton.setAttribute("aria-label", "Collapse");
+  header.append(title, filterInput, pauseButton, clearButton, exportButton, collapseButton);
+
+  const counts = h(
+    "div",
+    "display:flex;flex-wrap:wrap;gap:4px;padding:4px 8px;border-bottom:1px solid #333",
+  );
+  const list = h("div", "overflow:auto;padding:4px 8px");
+  root.append(header, counts, list);
+
+  filterInput.addEventListener("input", () => {
+    filter = filterInput.value;
+    scheduleRender();
+  });
+  pauseButton.addEventListener("click", () => {
+    paused = !paused;
+    if (!paused) {
+      addEntries(pending.splice(0));
+    }
+    scheduleRender();
+  });
+  clearButton.addEventListener("click", () => {
+    entries = [];
+    pending.length = 0;
+    groups.clear();
+    openGroups.clear();
+    scheduleRender();
+  });
+  exportButton.addEventListener("click", () => {
+    source.exportTrace();
+  });
+  collapseButton.addEventListener("click", () => {
+    collapsed = !collapsed;
+    scheduleRender();
+  });
+
+  /** @param {TraceEvent[]} events */
+  function addEntries(events) {
+    entries.push(...events);
+    if (entries.length > MAX_ENTRIES) entries = entries.slice(-MAX_ENTRIES);
+  }
+
+  const unsubscribe = source.subscribe((event) => {
+    if (event.type === "long-task" || event.type === "slow-interaction") {
+      groups.set(event.groupId, /** @type {TraceGroup} */ (event));
+    } else if (paused) {
+      pending.push(/** @type {TraceEvent} */ (event));
+    } else {
+      addEntries([/** @type {TraceEvent} */ (event)]);
+    }
+    scheduleRender();
+  });
+
+  // Events arrive in bursts during hydration, render once per burst
+  function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    Promise.resolve().then(() => {
+      renderScheduled = false;
+      render();
+    });
+  }
+
+  /**
+   * @param {TraceEvent} event
+   * @returns {HTMLElement}
+   */
+  function renderEntry(event) {
+    const row = h("div", "padding:1px 0;white-space:pre-wrap;word-break:break-word");
+    row.append(h("span", `color:${typeColors[event.type]}`, `[${event.type}] `));
+    const message = source.formatMessage(event);
+    const index = message.indexOf(event.location);
+    const link = source.getEditorLink(event.location);
+    if (index === -1 || !link) {
+      row.append(message);
+      return row;
+    }
+    const anchor = h("a", "color:inherit;text-decoration:underline", event.location);
+    anchor.href = link;
+    anchor.title = "Open in editor";
+    anchor.addEventListener("click", (clickEvent) => {
+      clickEvent.preventDefault();
+      openEditorLink(link);
+    });
+    row.append(message.slice(0, index), anchor, message.slice(index + event.location.length));
+    return row;
+  }
+
+  /** @param {TraceEvent} event */
+  function matchesFilter(event) {
+    if (!filter) return true;
+    const text = `${event.type} ${source.formatMessage(event)}`.toLowerCase();
+    return text.includes(filter.toLowerCase());
+  }
+
+  function render() {
+    if (!root.isConnected) return;
+    pauseButton.textContent = paused
+      ? `Resume${pending.length > 0 ? ` (${pending.length})` : ""}`
+      : "Pause";
+    collapseButton.textContent = collapsed ? "+" : "–";
+    collapseButton.setAttribute("aria-label", collapsed ? "Expand" : "Collapse");
+    counts.style.display = collapsed ? "none" : "flex";
+    list.style.display = collapsed ? "none" : "block";
+
+    // Effects which didn't set state and memo recomputes are only context for a group — like in the console
+    const visible = entries.filter(
+      (event) => (event.type !== "effect-run" && event.type !== "memo-recompute") || event.groupId,
+    );
+    title.textContent = `Render Loop Tracer (${visible.length})`;
+
+    /** @type {Map<string, number>} */
+    const perComponent = new Map();
+    for (const event of visible) {
+      const component = event.componentName.split(" › ")[0];
+      perComponent.set(component, (perComponent.get(component) ?? 0) + 1);
+    }
+    counts.replaceChildren(
+      ...[...perComponent]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, MAX_COMPONENT_COUNTS)
+        .map(([component, count]) => {
+          const chip = h("button", `${buttonStyle};padding:0 4px`, `${component} ${count}`);
+          chip.title = `Filter by ${component}`;
+          chip.addEventListener("click", () => {
+            filterInput.value = component;
+            filter = component;
+            scheduleRender();
+          });
+          return chip;
+        }),
+    );
+
+    const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+    /** @type {HTMLElement[]} */
+    const rows = [];
+    /** @type {Map<number, HTMLDetailsElement>} */
+    const groupElements = new Map();
+    for (const event of visible) {
+      if (!matchesFilter(event)) continue;
+      const group = event.groupId !== null ? groups.get(event.groupId) : undefined;
+      if (!group) {
+        rows.push(renderEntry(event));
+        continue;
+      }
+      let details = groupElements.get(group.groupId);
+      if (!details) {
+        details = h("details", "margin:2px 0");
+        const groupId = group.groupId;
+        details.open = openGroups.has(groupId);
+        details.addEventListener("toggle", () => {
+          if (details?.open) openGroups.add(groupId);
+          else openGroups.delete(groupId);
+        });
+        const label = group.type === "long-task" ? "Long Task" : `Slow Interaction: ${group.name}`;
+        const size = group.events.length;
+        details.append(
+          h(
+            "summary",
+            "cursor:pointer;color:#c586c0",
+            `${label} (${Math.round(group.duration)}ms) — ${size} ${size > 1 ? "entries" : "entry"}`,
+          ),
+        );
+        groupElements.set(group.groupId, details);
+        rows.push(details);
+      }
+      details.append(renderEntry(event));
+    }
+    list.replaceChildren(...rows);
+    if (atBottom) list.scrollTop = list.scrollHeight;
+  }
+
+  const attach = () => {
+    document.body.append(root);
+    render();
+  };
+  if (document.body) {
+    attach();
+  } else {
+    document.addEventListener("DOMContentLoaded", attach, { once: true });
+  }
+
+  return () => {
+    unsubscribe();
+    document.removeEventListener("DOMContentLoaded", attach);
+    root.remove();
+  };
+}
@@ -1,45 +1,18 @@
 /// @ts-check
 
-const path = require("path");
 const babelLoader = require("babel-loader");
-
-const ignoredFolders = [
-  "/node_modules/react-dom/",
-  "/node_modules/react/",
-  "/compiled/react-dom/",
-  "/compiled/react/",
-  "/compiled/react-server-dom-webpack/",
-  "compiled/next-devtools/",
-  "react-refresh/cjs/react-refresh-runtime.development.js",
-].map((folder) => folder.split("/").join(path.sep));
+const { shouldSkipFile } = require("./skip-rules.cjs");
 
 /**
- * Custom loader that skips babel entirely if the source
- * doesn't reference "react" at all.
+ * Custom loader that skips babel entirely for React itself, sources which
+ * don't reference "react" at all and files which are already transformed.
  *
- * @this {import("webpack").LoaderContext<{ plugins: string[], presets: unknown[], parserOpts: Record<string, unknown> }>}
+ * @this {import("webpack").LoaderContext<{ plugins: (string | [string, object])[], presets: unknown[], parserOpts: Record<string, unknown> }>}
  * @param {string} source
  * @param {Parameters<import("webpack").LoaderDefinitionFunction>[1]} [sourceMap]
  */
 module.exports = function reactHookBabelLoader(source, sourceMap) {
-  // ignore react packages
-  if (ignoredFolders.some((folder) => this.resourcePath.includes(folder))) {
-    this.callback(null, source, sourceMap);
-    return;
-  }
-
-  if (!source.includes("react")) {
-    this.callback(null, source, sourceMap);
-    return;
-  }
-
-  // skip files already transformed by the plugin
-  if (
-    source.includes("__trackedUseState") ||
-    source.includes("__trackedUseReducer") ||
-    source.includes("__trackedUseEffect") ||
-    source.includes("__trackedUseLayoutEffect")
-  ) {
+  if (shouldSkipFile(this.resourcePath, source)) {
     this.callback(null, source, sourceMap);
     return;
   }
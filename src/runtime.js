@@ -1,10 +1,39 @@
 /// @ts-check
 
-import { useState, useReducer, useEffect, useLayoutEffect, useRef } from "react";
+import {
+  useState,
+  useReducer,
+  useEffect,
+  useLayoutEffect,
+  useInsertionEffect,
+  useSyncExternalStore,
+  useTransition,
+  useMemo,
+  useCallback,
+  useContext,
+  useRef,
+} from "react";
+import * as React from "react";
+import { mountOverlay } from "./overlay.js";
 
 /**
- * @typedef {{ location: string; componentName: string; changedDeps: string[] | null; depNames: string[] | null; stateWasSet: boolean }} EffectTracker
- * @typedef {{ message: string; time: number; type: "state-change" | "effect-run" | "slow-effect"; location: string; countKey: string }} LogEntry
+ * @typedef {"useEffect" | "useLayoutEffect" | "useInsertionEffect" | (string & {})} EffectHookKind
+ * @typedef {"useState" | "useReducer" | "useSyncExternalStore" | "useTransition" | "useOptimistic" | "useActionState" | "useDispatch" | "store"} StateHookKind
+ * @typedef {"state-change" | "effect-run" | "slow-effect" | "render-loop" | "effect-churn" | "memo-recompute" | "unstable-memo" | "render"} EntryType
+ * @typedef {"await" | "promise" | "setTimeout" | "setInterval" | "requestAnimationFrame" | "requestIdleCallback" | "queueMicrotask" | "addEventListener" | "ResizeObserver" | "MutationObserver" | "IntersectionObserver"} AsyncSource
+ * @typedef {{ instanceId: number; location: string; componentName: string; hook: EffectHookKind; changedDeps: string[] | null; deepEqualDeps: string[]; unstableDeps: string[]; depNames: string[] | null; cause: StateCause | null; async: AsyncSource | null; cleanup: boolean; stateWasSet: boolean }} EffectTracker
+ * @typedef {{ id: number; time: number; stateName: string; stateHook: StateHookKind; location: string; componentName: string; effect: { location: string; componentName: string; hook: EffectHookKind } | null; eventId: number | null; parent: StateCause | null }} StateCause
+ * @typedef {{ id: number; location: string; componentName: string; stateName: string; render?: RenderTracker | null }} StateMeta
+ * @typedef {{ location: string; componentName: string; stateName: string }} LoopStep
+ * @typedef {{ count: number; windowMs: number; action: LoopAction; cycle: LoopStep[] }} RenderLoopInfo
+ * @typedef {{ count: number; windowMs: number; changedDeps: Record<string, number> }} EffectChurnInfo
+ * @typedef {{ kind: "state"; stateName: string; stateHook: StateHookKind; effect: { location: string; componentName: string; hook: EffectHookKind } | null } | { kind: "props" | "context"; names: string[] } | { kind: "parent" }} RenderReason
+ * @typedef {{ count: number; reasons: RenderReason[] }} RenderInfo
+ * @typedef {{ location: string; count: number; props: Record<string, unknown> | undefined; contexts: Map<unknown, unknown>; pendingStates: RenderReason[]; committed: ComponentRender | null }} RenderTracker
+ * @typedef {{ tracker: RenderTracker; componentName: string; props: Record<string, unknown> | undefined; contexts: Map<unknown, unknown>; changedContexts: string[]; states: RenderReason[]; reasons: RenderReason[] | null }} ComponentRender
+ * @typedef {{ id: number; type: EntryType; location: string; componentName: string; hook: EffectHookKind; stateName: string | null; stateHook: StateHookKind | null; action: string | null; prevValue: string | null; nextValue: string | null; changedDeps: string[] | null; deepEqualDeps: string[]; unstableDeps: string[]; depNames: string[] | null; duration: number | null; timestamp: number; phase: TracePhase; groupId: number | null; cause: StateCause | null; async: AsyncSource | null; cleanup: boolean; loop?: RenderLoopInfo; churn?: EffectChurnInfo; render?: RenderInfo }} TraceEvent
+ * @typedef {{ type: "long-task" | "slow-interaction"; groupId: number; name: string; timestamp: number; duration: number; events: TraceEvent[] }} TraceGroup
+ * @typedef {(event: TraceEvent | TraceGroup) => void} TraceListener
  * @typedef {{ startTime: number; duration: number; processingStart: number; processingEnd: number; interactionId: number; name: string; entryType: string }} PerformanceEventTimingLike
  *
  * Log entry types:
@@ -13,6 +42,44 @@ import { useState, useReducer, useEffect, useLayoutEffect, useRef } from "react"
  * - "effect-run"   — An effect ran but did NOT set state. Suppressed unless it falls inside
  *                     a Long Task or Slow Interaction, where it is included in the collapsed group for context.
  * - "slow-effect"  — An effect whose synchronous body took >= 8 ms. Always printed as a warning.
+ * - "render-loop"  — The same effect kept setting the same state (directly or through a cycle of
+ *                     effects) within the loop detection window. Always printed as an error.
+ * - "effect-churn" — An effect was cleaned up and re-subscribed many times within the churn
+ *                     detection window, usually caused by unstable deps. Always printed as a warning.
+ * - "memo-recompute" — A useMemo recomputed (with the factory's `duration`) or a useCallback
+ *                     returned a new function. Like "effect-run" only printed inside a group.
+ * - "unstable-memo" — A useMemo or useCallback recomputed on every one of the last renders,
+ *                     so its value can't keep effects depending on it stable. Always printed as a warning.
+ * - "render"       — A component re-rendered, with the `reasons` why. Only reported for components
+ *                     instrumented with the Babel plugin option `renderReasons`.
+ *
+ * Cleanup functions returned by effects are tracked as well: state changes and slow cleanups
+ * are reported like those of the effect body, their events have `cleanup: true`.
+ *
+ * Dispatches to external stores (react-redux `useDispatch`, stores passed to {@link traceStore})
+ * are reported as "state-change" as well, their events carry the dispatched `action` type if known.
+ *
+ * Changed deps which are deep-equal to their previous value are listed in `deepEqualDeps`,
+ * deps which got a new identity on every one of the last renders in `unstableDeps` —
+ * both usually point to an inline object, array or function.
+ *
+ * State changes from callbacks an effect scheduled (timers, promises, listeners, observers,
+ * continuations after `await`) are attributed to the effect, their events have `async` set.
+ *
+ * A {@link StateCause} remembers which tracked setter produced a state value. When an effect re-runs
+ * because of such a value, its events point to that cause — following `cause.parent` leads to the
+ * root cause of a cascade (a state update outside of effects or an effect that ran on mount).
+ *
+ * Every event is tagged with its `phase`: "hydration" from the first tracked render until the
+ * page committed and went idle, "interactive" afterwards.
+ *
+ * `componentName` is the render chain of the hook: the owning component followed by the
+ * custom hooks it was called through, e.g. "CartDrawer › useCartTotal › useDebouncedValue".
+ *
+ * Every entry is first emitted as a structured {@link TraceEvent} to subscribers.
+ * The console output below is just one consumer of these events.
+ * When buffered entries are grouped, a {@link TraceGroup} is emitted and the
+ * grouped events get its `groupId`.
  */
 
 /**
@@ -24,35 +91,418 @@ const globals =
     /** @type {unknown} */ (globalThis)
   );
 
+/** @returns {number} */
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : 0;
+}
+
+// ─── Options ─────────────────────────────────────────────────────────
+
+/**
+ * @typedef {"log" | "halt" | "throw"} LoopAction
+ * @typedef {{ threshold: number; windowMs: number; action: LoopAction }} LoopDetectionOptions
+ * @typedef {{ threshold: number; windowMs: number }} ChurnDetectionOptions
+ * @typedef {{ template: string; root: string | null }} EditorLinkOptions
+ * @typedef {{ sampleRate: number; endpoint: string | null; maxEvents: number; flushIntervalMs: number; reporter: ((batch: FieldBatch) => void) | null }} FieldOptions
+ * @typedef {{ loopDetection: LoopDetectionOptions | false; asyncTracking: boolean; churnDetection: ChurnDetectionOptions | false; editorLink: EditorLinkOptions | false; valuePreviews: boolean; overlay: boolean; summary: boolean; hydrationReport: boolean; userTiming: boolean; field: FieldOptions | false }} TracerOptions
+ */
+
+/** @type {LoopDetectionOptions} */
+const defaultLoopDetection = { threshold: 10, windowMs: 1000, action: "log" };
+
+/** @type {ChurnDetectionOptions} */
+const defaultChurnDetection = { threshold: 5, windowMs: 1000 };
+
+/** @type {FieldOptions} */
+const defaultField = {
+  sampleRate: 0.01,
+  endpoint: null,
+  maxEvents: 200,
+  flushIntervalMs: 10000,
+  reporter: null,
+};
+
+/** @type {TracerOptions} */
+const options = {
+  loopDetection: defaultLoopDetection,
+  asyncTracking: true,
+  churnDetection: defaultChurnDetection,
+  editorLink: false,
+  valuePreviews: false,
+  overlay: false,
+  summary: true,
+  hydrationReport: true,
+  userTiming: false,
+  field: false,
+};
+
+/** @type {(() => void) | null} */
+let unmountOverlay = null;
+
+/**
+ * Configure the runtime. Omitted options keep their current value.
+ *
+ * - `loopDetection.threshold` — how often the same effect may set the same state within the window
+ * - `loopDetection.windowMs`  — the sliding time window in milliseconds
+ * - `loopDetection.action`    — `"log"` reports the loop, `"halt"` additionally stops forwarding
+ *                               the setter call to React, `"throw"` throws a {@link RenderLoopError}
+ * - `loopDetection: false`    — disables loop detection
+ * - `asyncTracking`           — attribute state changes from callbacks scheduled by effects,
+ *                               must be configured before the first effect runs
+ * - `churnDetection`          — report effects which were cleaned up and re-run `threshold` times
+ *                               within `windowMs`, or `false` to disable
+ * - `editorLink.template`     — append a link to every message: `"vscode"`, `"cursor"` or a URL
+ *                               template with `{path}`, `{file}`, `{line}` and `{column}`
+ * - `editorLink.root`         — absolute project root, needed for `{path}`
+ * - `valuePreviews`           — show truncated previews of the previous and next value of state
+ *                               changes, and the action type of `useReducer` dispatches
+ * - `overlay`                 — show a floating in-page panel listing the entries live,
+ *                               in addition to the console output
+ * - `summary`                 — print a per-component summary table once the page settled
+ *                               after load, see {@link printSummary}
+ * - `hydrationReport`         — print a report of the hydration phase once it ended,
+ *                               see {@link getHydrationReport}
+ * - `userTiming`              — emit `performance.measure` entries for effect runs and
+ *                               `performance.mark` entries for state changes, shown as
+ *                               their own track in the DevTools Performance panel
+ * - `field`                   — field mode for real users: traces only `sampleRate` of the
+ *                               page loads, keeps at most `maxEvents` compact events, prints
+ *                               nothing and sends batches every `flushIntervalMs` and when the
+ *                               page is hidden — to `reporter` or via `navigator.sendBeacon`
+ *                               to `endpoint`. Configure it before the first render.
+ *
+ * @param {{ loopDetection?: Partial<LoopDetectionOptions> | false; asyncTracking?: boolean; churnDetection?: Partial<ChurnDetectionOptions> | false; editorLink?: { template: string; root?: string } | false; valuePreviews?: boolean; overlay?: boolean; summary?: boolean; hydrationReport?: boolean; userTiming?: boolean; field?: Partial<FieldOptions> | false }} newOptions
+ */
+export function configure(newOptions) {
+  if (newOptions.loopDetection !== undefined) {
+    options.loopDetection = newOptions.loopDetection && {
+      ...defaultLoopDetection,
+      ...newOptions.loopDetection,
+    };
+  }
+  if (newOptions.asyncTracking !== undefined) {
+    options.asyncTracking = newOptions.asyncTracking;
+  }
+  if (newOptions.churnDetection !== undefined) {
+    options.churnDetection = newOptions.churnDetection && {
+      ...defaultChurnDetection,
+      ...newOptions.churnDetection,
+    };
+  }
+  if (newOptions.valuePreviews !== undefined) {
+    options.valuePreviews = newOptions.valuePreviews;
+  }
+  if (newOptions.editorLink !== undefined) {
+    options.editorLink = newOptions.editorLink && {
+      template: newOptions.editorLink.template,
+      root: newOptions.editorLink.root ?? null,
+    };
+  }
+  if (newOptions.field !== undefined) {
+    options.field = newOptions.field && { ...defaultField, ...newOptions.field };
+    startFieldMode();
+  }
+  if (newOptions.userTiming !== undefined) {
+    options.userTiming = newOptions.userTiming;
+  }
+  if (newOptions.hydrationReport !== undefined) {
+    options.hydrationReport = newOptions.hydrationReport;
+  }
+  if (newOptions.summary !== undefined) {
+    options.summary = newOptions.summary;
+  }
+  if (newOptions.overlay !== undefined) {
+    options.overlay = newOptions.overlay;
+    if (options.overlay && !unmountOverlay && typeof document !== "undefined") {
+      unmountOverlay = mountOverlay({ subscribe, formatMessage, getEditorLink, exportTrace });
+    } else if (!options.overlay && unmountOverlay) {
+      unmountOverlay();
+      unmountOverlay = null;
+    }
+  }
+}
+
+// ─── Editor links ────────────────────────────────────────────────────
+
+/** @type {Record<string, string>} */
+const editorTemplates = {
+  vscode: "vscode://file{path}:{line}:{column}",
+  cursor: "cursor://file{path}:{line}:{column}",
+};
+
+/**
+ * Build a link which opens a location in the configured editor.
+ * `"src/Button.tsx:12:5"` → `"vscode://file/Users/me/app/src/Button.tsx:12:5"`
+ * @param {string} location `file:line:column` relative to the project root
+ * @returns {string | null} null if editor links are disabled or the location can't be resolved
+ */
+export function getEditorLink(location) {
+  const editorLink = options.editorLink;
+  if (!editorLink) return null;
+  const match = /^(.+?):(\d+)(?::(\d+))?$/.exec(location);
+  if (!match) return null;
+  const [, file, line, column = "1"] = match;
+
+  const template = editorTemplates[editorLink.template] ?? editorLink.template;
+  if (template.includes("{path}") && !editorLink.root) return null;
+  const root = (editorLink.root ?? "").replace(/\\/g, "/").replace(/\/$/, "");
+  const path = `${root.startsWith("/") ? "" : "/"}${root}/${file}`;
+
+  return template
+    .replace("{path}", encodeURI(path))
+    .replace("{file}", encodeURIComponent(file))
+    .replace("{line}", line)
+    .replace("{column}", column);
+}
+
+// ─── Structured events ───────────────────────────────────────────────
+
+/** @type {Set<TraceListener>} */
+const listeners = new Set();
+
+let nextEventId = 1;
+let nextGroupId = 1;
+
+/**
+ * Subscribe to structured trace events.
+ * The listener receives every {@link TraceEvent} as soon as it happens and a
+ * {@link TraceGroup} whenever buffered events are grouped by a long task or slow interaction.
+ *
+ * @param {TraceListener} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * @param {TraceEvent | TraceGroup} event
+ */
+function notify(event) {
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      // A broken subscriber must never break the traced app
+      console.error(error);
+    }
+  }
+}
+
+/**
+ * Create a structured event for the given effect tracker.
+ * @param {EntryType} type
+ * @param {Pick<EffectTracker, "location" | "componentName" | "hook" | "changedDeps" | "deepEqualDeps" | "unstableDeps" | "depNames" | "cause" | "async" | "cleanup">} effect
+ * @param {{ stateName?: string; stateHook?: StateHookKind; action?: string | null; prevValue?: string | null; nextValue?: string | null; duration?: number; loop?: RenderLoopInfo; churn?: EffectChurnInfo; render?: RenderInfo }} [details]
+ * @returns {TraceEvent}
+ */
+function createEvent(type, effect, details = {}) {
+  return {
+    id: nextEventId++,
+    type,
+    location: effect.location,
+    componentName: effect.componentName,
+    hook: effect.hook,
+    stateName: details.stateName ?? null,
+    stateHook: details.stateHook ?? null,
+    action: details.action ?? null,
+    prevValue: details.prevValue ?? null,
+    nextValue: details.nextValue ?? null,
+    changedDeps: effect.changedDeps,
+    deepEqualDeps: effect.deepEqualDeps,
+    unstableDeps: effect.unstableDeps,
+    depNames: effect.depNames,
+    duration: details.duration ?? null,
+    timestamp: now(),
+    phase: getPhase(),
+    groupId: null,
+    cause: effect.cause,
+    async: effect.async,
+    cleanup: effect.cleanup,
+    ...(details.loop && { loop: details.loop }),
+    ...(details.churn && { churn: details.churn }),
+    ...(details.render && { render: details.render }),
+  };
+}
+
+/**
+ * Describe why an effect ran.
+ * @param {Pick<TraceEvent, "changedDeps" | "deepEqualDeps" | "unstableDeps">} event
+ * @returns {string}
+ */
+function formatReason({ changedDeps, deepEqualDeps, unstableDeps }) {
+  if (changedDeps === null) return "it was initially mounted";
+  if (changedDeps.length === 0) return "it re-ran (no deps changed detected)";
+
+  const stable = changedDeps.filter(
+    (name) => !deepEqualDeps.includes(name) && !unstableDeps.includes(name),
+  );
+  const unstable = changedDeps
+    .filter((name) => !stable.includes(name))
+    .map((name) => {
+      const everyRender = unstableDeps.includes(name) ? " on every render" : "";
+      const deepEqual = deepEqualDeps.includes(name) ? " but is deep-equal" : "";
+      return `${name} changed identity${everyRender}${deepEqual} \u2014 unstable reference`;
+    });
+  return [...(stable.length > 0 ? [`${stable.join(", ")} changed`] : []), ...unstable].join(", ");
+}
+
+/**
+ * @param {number} duration in ms
+ * @returns {string} e.g. "12ms" or "0.4ms"
+ */
+function formatDuration(duration) {
+  return duration >= 10 ? `${Math.round(duration)}ms` : `${Math.round(duration * 10) / 10}ms`;
+}
+
+/**
+ * @param {RenderReason} reason
+ * @returns {string}
+ */
+function formatRenderReason(reason) {
+  switch (reason.kind) {
+    case "state": {
+      const effect = reason.effect
+        ? ` by ${reason.effect.hook} ${reason.effect.location} in ${reason.effect.componentName}`
+        : "";
+      return `${reason.stateHook} "${reason.stateName}" changed${effect}`;
+    }
+    case "props":
+      return `props ${reason.names.join(", ")} changed`;
+    case "context":
+      return `context ${reason.names.join(", ")} changed`;
+    default:
+      return "its parent re-rendered";
+  }
+}
+
+/**
+ * Entries which are only context for a long task or slow interaction group
+ * and are not printed on their own.
+ * @param {EntryType} type
+ * @returns {boolean}
+ */
+function isContextEntry(type) {
+  return type === "effect-run" || type === "memo-recompute";
+}
+
+/**
+ * Format a structured event as the human readable console message.
+ * @param {TraceEvent} event
+ * @returns {string}
+ */
+export function formatEvent(event) {
+  const message = formatMessage(event);
+  const link = getEditorLink(event.location);
+  return link ? `${message} ${link}` : message;
+}
+
+/**
+ * @param {TraceEvent} event
+ * @returns {string}
+ */
+function formatMessage(event) {
+  const effect = `${event.hook} ${event.location} in ${event.componentName}`;
+  switch (event.type) {
+    case "state-change": {
+      const details = [
+        ...(event.action ? [`action "${event.action}"`] : []),
+        ...(event.prevValue !== null ? [`${event.prevValue} \u2192 ${event.nextValue}`] : []),
+      ];
+      const change = `changed ${event.stateHook} "${event.stateName}"${details.length > 0 ? ` (${details.join(", ")})` : ""}`;
+      const async = event.async ? ` asynchronously (${event.async})` : "";
+      if (event.cleanup) {
+        return `cleanup of ${effect} ${change}${async}`;
+      }
+      return `${effect} ${change}${async} because ${formatReason(event)}`;
+    }
+    case "slow-effect":
+      return `Slow ${event.cleanup ? "cleanup" : "effect"}: ${effect} took ${Math.round(event.duration ?? 0)}ms`;
+    case "effect-churn": {
+      const churn = /** @type {EffectChurnInfo} */ (event.churn);
+      const deps = Object.entries(churn.changedDeps)
+        .sort(([, a], [, b]) => b - a)
+        .map(([name, count]) => `${name} changed ${count}\u00d7`);
+      const reason =
+        event.depNames === null
+          ? "it has no deps array"
+          : deps.length === 0
+            ? "no deps changed detected"
+            : deps.join(", ");
+      return `Effect churn: ${effect} was cleaned up and re-subscribed ${churn.count} times within ${churn.windowMs}ms (${reason})`;
+    }
+    case "memo-recompute": {
+      const memo = `${event.hook} ${event.location} in ${event.componentName}`;
+      const took = event.duration !== null ? ` (took ${formatDuration(event.duration)})` : "";
+      const reason = event.depNames === null ? "it has no deps array" : formatReason(event);
+      return `${memo} ${event.hook === "useCallback" ? "recreated" : "recomputed"}${took} because ${reason}`;
+    }
+    case "unstable-memo": {
+      const memo = `${event.hook} ${event.location} in ${event.componentName}`;
+      const reason = event.depNames === null ? "it has no deps array" : formatReason(event);
+      return `Unstable memo: ${memo} recomputed on each of the last ${UNSTABLE_RENDER_STREAK} renders (${reason})`;
+    }
+    case "render": {
+      const render = /** @type {RenderInfo} */ (event.render);
+      const reasons = render.reasons.map(formatRenderReason);
+      return `${event.componentName} ${event.location} re-rendered (render #${render.count}) because ${[...new Set(reasons)].join(", ")}`;
+    }
+    case "render-loop": {
+      const loop = /** @type {RenderLoopInfo} */ (event.loop);
+      const steps = [...loop.cycle, loop.cycle[0]].map(
+        (step) => `${step.location} sets "${step.stateName}"`,
+      );
+      const halted =
+        loop.action === "halt" ? " \u2014 halted" : loop.action === "throw" ? " \u2014 threw" : "";
+      return (
+        `Render loop: ${effect} changed ${event.stateHook} "${event.stateName}" ` +
+        `${loop.count} times within ${loop.windowMs}ms (cycle: ${steps.join(" \u2192 ")})${halted}`
+      );
+    }
+    default:
+      return `${effect} ran because ${formatReason(event)}`;
+  }
+}
+
 // ─── Logging with Long Task grouping ─────────────────────────────────
 
-/** @type {LogEntry[]} */
+/** @type {TraceEvent[]} */
 const logBuffer = [];
 
 /** @type {ReturnType<typeof setTimeout> | null} */
 let flushTimer = null;
 
 /**
- * Buffer a log entry. Custom loggers get immediate output (used by tests).
+ * Emit an event to subscribers and buffer it for console output.
+ * Custom loggers get immediate output (used by tests).
  * Otherwise entries are buffered and flushed — grouped by long tasks when available.
- * @param {string} message
- * @param {"state-change" | "effect-run" | "slow-effect"} [type]
- * @param {string} [location]
- * @param {string} [countKey]
+ * @param {TraceEvent} event
  */
-function log(message, type = "state-change", location = "", countKey = "") {
+function log(event) {
+  notify(event);
+  if (options.field) {
+    if (!isContextEntry(event.type) && event.type !== "render") recordFieldEvent(event);
+    return;
+  }
+  if (options.userTiming && (event.type === "state-change" || event.type === "render-loop")) {
+    markEvent(event);
+  }
+  if (!isContextEntry(event.type)) recordTraceEvent(event);
   // Custom logger → immediate (also used by tests)
   if (globals.__effectTrackerLogger) {
-    globals.__effectTrackerLogger(message);
+    globals.__effectTrackerLogger(formatEvent(event));
     return;
   }
   // Buffer for long task grouping
   if (typeof performance !== "undefined") {
-    logBuffer.push({ message, time: performance.now(), type, location, countKey });
+    logBuffer.push(event);
     scheduleFlush();
   } else {
     // No performance API (SSR) → immediate
-    printSingle(type, message);
+    printSingle(event.type, formatEvent(event));
   }
 }
 
@@ -66,41 +516,132 @@ function scheduleFlush() {
 
 /**
  * Output a single message using the appropriate console method for the given type.
- * @param {"state-change" | "effect-run" | "slow-effect"} type
+ * @param {EntryType} type
  * @param {string} formatted
  */
 function printSingle(type, formatted) {
-  if (type === "slow-effect") {
+  if (type === "render-loop") {
+    console.error(formatted);
+  } else if (type === "slow-effect" || type === "effect-churn" || type === "unstable-memo") {
     console.warn(formatted);
-  } else if (type === "effect-run") {
+  } else if (isContextEntry(type) || type === "render") {
     console.info(formatted);
   } else {
     console.log(formatted);
   }
 }
 
+/**
+ * Events of the same effect instance are counted together.
+ * @param {TraceEvent} event
+ * @returns {string}
+ */
+function getCountKey(event) {
+  return `${event.location}:${event.componentName}`;
+}
+
+/**
+ * Describe the origin of a cascade, e.g. `locale changed in LocaleProvider`.
+ * @param {StateCause} cause
+ * @returns {string}
+ */
+function describeCause(cause) {
+  return cause.effect
+    ? `${cause.effect.hook} ${cause.effect.location} in ${cause.effect.componentName} changed "${cause.stateName}"`
+    : `${cause.stateName} changed in ${cause.componentName}`;
+}
+
+/** Deepest indentation level when printing a cascade tree */
+const MAX_CASCADE_INDENT = 8;
+
+/**
+ * Group the state changes of a batch by the root cause of their cascade.
+ * Only cascades with at least one effect re-run caused by a tracked state change are returned.
+ * @param {TraceEvent[]} entries
+ * @returns {Map<TraceEvent, { root: StateCause; events: TraceEvent[] }>} first event of a cascade → cascade
+ */
+function collectCascades(entries) {
+  /** @type {Map<number, { root: StateCause; events: TraceEvent[] }>} */
+  const byRoot = new Map();
+  for (const entry of entries) {
+    if (entry.type !== "state-change" || !entry.cause) continue;
+    const root = getCauseChain(entry)[0];
+    let cascade = byRoot.get(root.id);
+    if (!cascade) {
+      cascade = { root, events: [] };
+      byRoot.set(root.id, cascade);
+    }
+    cascade.events.push(entry);
+  }
+  // A root cause produced by an effect is printed as the top of its tree
+  for (const cascade of byRoot.values()) {
+    const rootEvent = entries.find((entry) => entry.id === cascade.root.eventId);
+    if (rootEvent) cascade.events.unshift(rootEvent);
+  }
+  /** @type {Map<TraceEvent, { root: StateCause; events: TraceEvent[] }>} */
+  const cascades = new Map();
+  for (const cascade of byRoot.values()) {
+    cascades.set(cascade.events[0], cascade);
+  }
+  return cascades;
+}
+
 /**
  * Output a batch of log entries with [type] prefix and N/M counting per countKey.
  * Count is only shown when the same countKey appears more than once.
- * @param {LogEntry[]} entries
+ * State changes which are part of a cascade are printed together as one tree.
+ * @param {TraceEvent[]} entries
  */
 function printEntries(entries) {
   // Count totals per countKey
   /** @type {Map<string, number>} */
   const totals = new Map();
   for (const entry of entries) {
-    totals.set(entry.countKey, (totals.get(entry.countKey) || 0) + 1);
+    const countKey = getCountKey(entry);
+    totals.set(countKey, (totals.get(countKey) || 0) + 1);
   }
 
-  // Print each entry with running index
+  // Label each entry with its running index
   /** @type {Map<string, number>} */
   const current = new Map();
+  /** @type {Map<TraceEvent, string>} */
+  const lines = new Map();
   for (const entry of entries) {
-    const idx = (current.get(entry.countKey) || 0) + 1;
-    current.set(entry.countKey, idx);
-    const total = totals.get(entry.countKey) || 1;
+    const countKey = getCountKey(entry);
+    const idx = (current.get(countKey) || 0) + 1;
+    current.set(countKey, idx);
+    const total = totals.get(countKey) || 1;
     const count = total > 1 ? ` ${idx}/${total}` : "";
-    printSingle(entry.type, `[${entry.type}]${count} ${entry.message}`);
+    lines.set(entry, `[${entry.type}]${count} ${formatEvent(entry)}`);
+  }
+
+  const cascades = collectCascades(entries);
+  /** @type {Set<TraceEvent>} */
+  const inCascade = new Set();
+  for (const cascade of cascades.values()) {
+    for (const event of cascade.events) inCascade.add(event);
+  }
+
+  for (const entry of entries) {
+    const cascade = cascades.get(entry);
+    if (cascade) {
+      const renders = cascade.events.filter((event) => event.cause).length;
+      console.groupCollapsed(
+        `Cascade \u2014 root cause: ${describeCause(cascade.root)} \u2192 ` +
+          `${renders} cascading ${renders > 1 ? "renders" : "render"}`,
+      );
+      for (const event of cascade.events) {
+        const chain = event.cause ? getCauseChain(event) : [];
+        const depth = chain.length - (cascade.root.eventId === null ? 1 : 0);
+        // Long cascades (e.g. loops) are flattened after a few levels
+        const indent =
+          depth > 0 ? `${"  ".repeat(Math.min(depth, MAX_CASCADE_INDENT) - 1)}\u21b3 ` : "";
+        printSingle(event.type, `${indent}${lines.get(event)}`);
+      }
+      console.groupEnd();
+    } else if (!inCascade.has(entry)) {
+      printSingle(entry.type, /** @type {string} */ (lines.get(entry)));
+    }
   }
 }
 
@@ -108,11 +649,49 @@ function printEntries(entries) {
  * Flush all remaining buffered entries as individual log lines.
  */
 function flushBuffer() {
-  const toFlush = logBuffer.filter((entry) => entry.type !== "effect-run");
+  const toFlush = logBuffer.filter((entry) => !isContextEntry(entry.type));
   printEntries(toFlush);
   logBuffer.length = 0;
 }
 
+/**
+ * Summary for a console group header,
+ * e.g. "1 render loop, 3 effect→setState, 2 other effects, 4 memo recomputes".
+ * @param {TraceEvent[]} entries
+ * @returns {string}
+ */
+function summarizeGroup(entries) {
+  const renderLoops = entries.filter((entry) => entry.type === "render-loop").length;
+  const stateChanges = entries.filter((entry) => entry.type === "state-change").length;
+  const memos = entries.filter((entry) => entry.type === "memo-recompute").length;
+  // An unstable memo is reported next to its recompute
+  const unstableMemos = entries.filter((entry) => entry.type === "unstable-memo").length;
+  const renders = entries.filter((entry) => entry.type === "render").length;
+  const effectRuns = entries.length - renderLoops - stateChanges - memos - unstableMemos - renders;
+  const parts = [];
+  if (renderLoops > 0) parts.push(`${renderLoops} render ${renderLoops > 1 ? "loops" : "loop"}`);
+  if (stateChanges > 0) parts.push(`${stateChanges} effect\u2192setState`);
+  if (effectRuns > 0) parts.push(`${effectRuns} other effects`);
+  if (memos > 0) parts.push(`${memos} memo ${memos > 1 ? "recomputes" : "recompute"}`);
+  if (renders > 0) parts.push(`${renders} ${renders > 1 ? "re-renders" : "re-render"}`);
+  return parts.join(", ");
+}
+
+/**
+ * Assign a group id to the events covered by a long task or slow interaction
+ * and emit the group to subscribers.
+ * @param {TraceGroup["type"]} type
+ * @param {string} name
+ * @param {number} timestamp
+ * @param {number} duration
+ * @param {TraceEvent[]} events
+ */
+function emitGroup(type, name, timestamp, duration, events) {
+  const groupId = nextGroupId++;
+  for (const event of events) event.groupId = groupId;
+  notify({ type, groupId, name, timestamp, duration, events });
+}
+
 /**
  * Start a PerformanceObserver for "longtask" entries.
  * Groups buffered log entries that fall within a long task (>50ms)
@@ -125,17 +704,18 @@ function initLongTaskObserver() {
       for (const task of list.getEntries()) {
         const taskStart = task.startTime;
         const taskEnd = task.startTime + task.duration;
+        recordTraceSlice("Long Task", "long-task", taskStart, task.duration);
 
         // Partition buffer: before task, during task, after task
-        /** @type {LogEntry[]} */
+        /** @type {TraceEvent[]} */
         const before = [];
-        /** @type {LogEntry[]} */
+        /** @type {TraceEvent[]} */
         const during = [];
-        /** @type {LogEntry[]} */
+        /** @type {TraceEvent[]} */
         const after = [];
         for (const entry of logBuffer) {
-          if (entry.time < taskStart) before.push(entry);
-          else if (entry.time <= taskEnd) during.push(entry);
+          if (entry.timestamp < taskStart) before.push(entry);
+          else if (entry.timestamp <= taskEnd) during.push(entry);
           else after.push(entry);
         }
 
@@ -144,13 +724,9 @@ function initLongTaskObserver() {
 
         // Group entries that happened during this long task
         if (during.length > 0) {
+          emitGroup("long-task", task.name, taskStart, task.duration, during);
           const ms = Math.round(task.duration);
-          const stateChanges = during.filter((entry) => entry.type === "state-change").length;
-          const effectRuns = during.filter((entry) => entry.type !== "state-change").length;
-          const parts = [];
-          if (stateChanges > 0) parts.push(`${stateChanges} effect\u2192setState`);
-          if (effectRuns > 0) parts.push(`${effectRuns} other effects`);
-          console.groupCollapsed(`Long Task (${ms}ms) \u2014 ${parts.join(", ")}`);
+          console.groupCollapsed(`Long Task (${ms}ms) \u2014 ${summarizeGroup(during)}`);
           printEntries(during);
           console.groupEnd();
         }
@@ -198,30 +774,32 @@ function initINPObserver() {
         );
         const procStart = worst.processingStart;
         const procEnd = worst.processingEnd;
+        recordTraceSlice(
+          `Slow Interaction: ${worst.name}`,
+          "slow-interaction",
+          worst.startTime,
+          worst.duration,
+        );
 
-        /** @type {LogEntry[]} */
+        /** @type {TraceEvent[]} */
         const before = [];
-        /** @type {LogEntry[]} */
+        /** @type {TraceEvent[]} */
         const during = [];
-        /** @type {LogEntry[]} */
+        /** @type {TraceEvent[]} */
         const after = [];
         for (const entry of logBuffer) {
-          if (entry.time < procStart) before.push(entry);
-          else if (entry.time <= procEnd) during.push(entry);
+          if (entry.timestamp < procStart) before.push(entry);
+          else if (entry.timestamp <= procEnd) during.push(entry);
           else after.push(entry);
         }
 
-        printEntries(before.filter((entry) => entry.type !== "effect-run"));
+        printEntries(before.filter((entry) => !isContextEntry(entry.type)));
 
         if (during.length > 0) {
+          emitGroup("slow-interaction", worst.name, worst.startTime, worst.duration, during);
           const ms = Math.round(worst.duration);
-          const stateChanges = during.filter((entry) => entry.type === "state-change").length;
-          const effectRuns = during.filter((entry) => entry.type !== "state-change").length;
-          const parts = [];
-          if (stateChanges > 0) parts.push(`${stateChanges} effect\u2192setState`);
-          if (effectRuns > 0) parts.push(`${effectRuns} other effects`);
           console.groupCollapsed(
-            `Slow Interaction: ${worst.name} (${ms}ms) \u2014 ${parts.join(", ")}`,
+            `Slow Interaction: ${worst.name} (${ms}ms) \u2014 ${summarizeGroup(during)}`,
           );
           printEntries(during);
           console.groupEnd();
@@ -239,218 +817,2028 @@ function initINPObserver() {
 
 initINPObserver();
 
-// ─── Dependency diffing ──────────────────────────────────────────────
+// ─── Summary ─────────────────────────────────────────────────────────
 
 /**
- * Determines which dependencies changed by comparing previous vs current.
- * @param {ReadonlyArray<unknown> | undefined} prevDeps
- * @param {ReadonlyArray<unknown> | undefined} currentDeps
- * @param {string[] | null} depNames
- * @returns {string[] | null}
+ * @typedef {{ stateChanges: number; effectRuns: number; totalTime: number; slowestRun: number }} SummaryCounts
+ * @typedef {SummaryCounts & { componentName: string }} ComponentSummary
+ * @typedef {SummaryCounts & { componentName: string; location: string; hook: EffectHookKind }} EffectSummary
+ * @typedef {{ components: ComponentSummary[]; effects: EffectSummary[] }} TraceSummary
  */
-function getChangedDeps(prevDeps, currentDeps, depNames) {
-  if (!prevDeps || !depNames || !currentDeps) return null;
-  /** @type {string[]} */
-  const changed = [];
-  for (let i = 0; i < currentDeps.length; i++) {
-    if (!Object.is(prevDeps[i], currentDeps[i])) {
-      changed.push(depNames[i] || `dep[${i}]`);
-    }
-  }
-  return changed;
-}
-
-// ─── Tracked hooks ───────────────────────────────────────────────────
-
-/** @type {WeakMap<Function, { wrapper: Function, meta: { location: string, componentName: string, stateName: string } }>} */
-const stateTrackerMap = new WeakMap();
 
-/** @type {WeakMap<Function, { wrapper: Function, meta: { location: string, componentName: string, stateName: string } }>} */
-const reducerTrackerMap = new WeakMap();
+/** @type {Map<string, EffectSummary>} effect location and render chain → counts */
+const effectSummaries = new Map();
 
 /**
- * @template T
- * @param {T | (() => T)} initialValue
- * @param {string} location
- * @param {string} componentName
- * @param {string} stateName
- * @returns {[T, (value: T | ((prev: T) => T)) => void]}
+ * @param {Pick<EffectTracker, "location" | "componentName" | "hook">} tracker
+ * @returns {EffectSummary}
  */
-export function __trackedUseState(initialValue, location, componentName, stateName) {
-  const [state, rawSetState] = useState(initialValue);
-
-  let tracked = stateTrackerMap.get(rawSetState);
-  if (!tracked) {
-    const meta = { location, componentName, stateName };
-    let value =
-      typeof initialValue === "function" ? /** @type {() => T} */ (initialValue)() : initialValue;
-    const wrapper = (/** @type {T | ((prev: T) => T)} */ valueOrUpdater) => {
-      const newValue =
-        typeof valueOrUpdater === "function"
-          ? /** @type {(prev: T) => T} */ (valueOrUpdater)(value)
-          : valueOrUpdater;
-      const tracker = globals.__effectTracker;
-
-      if (tracker) {
-        if (value !== newValue) {
-          tracker.stateWasSet = true;
-          const reason =
-            tracker.changedDeps === null
-              ? "it was initially mounted"
-              : tracker.changedDeps.length === 0
-                ? "it re-ran (no deps changed detected)"
-                : `${tracker.changedDeps.join(", ")} changed`;
-
-          log(
-            `useEffect ${tracker.location} in ${tracker.componentName} ` +
-              `changed useState "${meta.stateName}" because ${reason}`,
-            "state-change",
-            tracker.location,
-            `${tracker.location}:${tracker.componentName}`,
-          );
-        }
-      }
-      value = newValue;
-      rawSetState(valueOrUpdater);
+function getEffectSummary(tracker) {
+  const key = `${tracker.location}:${tracker.componentName}`;
+  let summary = effectSummaries.get(key);
+  if (!summary) {
+    summary = {
+      componentName: tracker.componentName,
+      location: tracker.location,
+      hook: tracker.hook,
+      stateChanges: 0,
+      effectRuns: 0,
+      totalTime: 0,
+      slowestRun: 0,
     };
-    tracked = { wrapper, meta };
-    stateTrackerMap.set(rawSetState, tracked);
+    effectSummaries.set(key, summary);
   }
-
-  return [state, /** @type {(value: T | ((prev: T) => T)) => void} */ (tracked.wrapper)];
+  return summary;
 }
 
 /**
- * @template S
- * @template A
- * @param {(state: S, action: A) => S} reducer
- * @param {any} initialArg
- * @param {((arg: any) => S) | undefined} init
- * @param {string} location
- * @param {string} componentName
- * @param {string} stateName
- * @returns {[S, (action: A) => void]}
+ * @param {EffectTracker} tracker
+ * @param {number} duration
  */
-export function __trackedUseReducer(reducer, initialArg, init, location, componentName, stateName) {
-  const [state, rawDispatch] = init
-    ? useReducer(reducer, initialArg, init)
-    : useReducer(reducer, initialArg);
+function recordEffectRun(tracker, duration) {
+  const summary = getEffectSummary(tracker);
+  summary.effectRuns++;
+  summary.totalTime += duration;
+  summary.slowestRun = Math.max(summary.slowestRun, duration);
+}
 
-  let tracked = reducerTrackerMap.get(rawDispatch);
-  if (!tracked) {
-    const meta = { location, componentName, stateName };
-    let trackedState = state;
-    const wrapper = (/** @type {A} */ action) => {
-      const nextState = reducer(trackedState, action);
-      const tracker = globals.__effectTracker;
-
-      if (tracker && trackedState !== nextState) {
-        tracker.stateWasSet = true;
-        const reason =
-          tracker.changedDeps === null
-            ? "it was initially mounted"
-            : tracker.changedDeps.length === 0
-              ? "it re-ran (no deps changed detected)"
-              : `${tracker.changedDeps.join(", ")} changed`;
-
-        log(
-          `useEffect ${tracker.location} in ${tracker.componentName} ` +
-            `changed useReducer "${meta.stateName}" because ${reason}`,
-          "state-change",
-          tracker.location,
-          `${tracker.location}:${tracker.componentName}`,
-        );
-      }
+/**
+ * @param {SummaryCounts} a
+ * @param {SummaryCounts} b
+ */
+function compareSummaries(a, b) {
+  return b.stateChanges - a.stateChanges || b.totalTime - a.totalTime;
+}
 
-      trackedState = nextState;
-      rawDispatch(action);
+/**
+ * Aggregate all effect runs and state changes since the page was loaded,
+ * per owning component and per effect location — most state changes first.
+ * @returns {TraceSummary}
+ */
+export function getSummary() {
+  const effects = [...effectSummaries.values()].map((summary) => ({ ...summary }));
+  /** @type {Map<string, ComponentSummary>} */
+  const components = new Map();
+  for (const effect of effects) {
+    const componentName = effect.componentName.split(" \u203a ")[0];
+    const component = components.get(componentName) ?? {
+      componentName,
+      stateChanges: 0,
+      effectRuns: 0,
+      totalTime: 0,
+      slowestRun: 0,
     };
-    tracked = { wrapper, meta };
-    reducerTrackerMap.set(rawDispatch, tracked);
+    component.stateChanges += effect.stateChanges;
+    component.effectRuns += effect.effectRuns;
+    component.totalTime += effect.totalTime;
+    component.slowestRun = Math.max(component.slowestRun, effect.slowestRun);
+    components.set(componentName, component);
   }
+  return {
+    components: [...components.values()].sort(compareSummaries),
+    effects: effects.sort(compareSummaries),
+  };
+}
 
-  return [state, /** @type {(action: A) => void} */ (tracked.wrapper)];
+/**
+ * Forget all counts, e.g. to measure a single interaction.
+ */
+export function resetSummary() {
+  effectSummaries.clear();
 }
 
 /**
- * Shared implementation for tracked effect hooks.
- * @param {(effect: React.EffectCallback, deps?: React.DependencyList) => void} effectHook
- * @param {() => (void | (() => void))} callback
- * @param {ReadonlyArray<unknown> | undefined} deps
- * @param {string} location
- * @param {string} componentName
- * @param {string[] | null} depNames
+ * @param {SummaryCounts} counts
  */
-function trackedEffectImpl(effectHook, callback, deps, location, componentName, depNames) {
-  /** @type {{ current: ReadonlyArray<unknown> | undefined }} */
-  const prevDepsRef = useRef(undefined);
-  const isInitialRef = useRef(true);
+function toTableRow(counts) {
+  return {
+    "state changes": counts.stateChanges,
+    "effect runs": counts.effectRuns,
+    "total ms": Math.round(counts.totalTime * 10) / 10,
+    "slowest ms": Math.round(counts.slowestRun * 10) / 10,
+  };
+}
 
-  effectHook(() => {
-    /** @type {string[] | null} */
-    let changedDeps = null;
+/**
+ * Print the summary as two `console.table`s — per component and per effect location.
+ */
+export function printSummary() {
+  const { components, effects } = getSummary();
+  if (effects.length === 0) return;
+  const stateChanges = components.reduce((sum, component) => sum + component.stateChanges, 0);
+  console.group(
+    `Render Loop Tracer summary \u2014 ${stateChanges} effect\u2192setState in ${components.length} ${components.length > 1 ? "components" : "component"}`,
+  );
+  console.table(
+    components.map((component) => ({
+      component: component.componentName,
+      ...toTableRow(component),
+    })),
+  );
+  console.table(
+    effects.map((effect) => ({
+      effect: `${effect.hook} ${effect.location}`,
+      component: effect.componentName,
+      ...toTableRow(effect),
+    })),
+  );
+  console.groupEnd();
+}
 
-    if (isInitialRef.current) {
-      changedDeps = null;
-      isInitialRef.current = false;
+/** Longest wait for an idle period after load before printing the summary anyway */
+const SUMMARY_IDLE_TIMEOUT = 2000;
+
+/**
+ * Print the summary once after the first idle period following the load event.
+ */
+function scheduleSummary() {
+  if (typeof window === "undefined" || typeof document === "undefined") return;
+  const print = () => {
+    if (options.summary && !options.field) printSummary();
+  };
+  const onLoad = () => {
+    if (typeof requestIdleCallback === "function") {
+      requestIdleCallback(print, { timeout: SUMMARY_IDLE_TIMEOUT });
     } else {
-      changedDeps = getChangedDeps(prevDepsRef.current, deps, depNames);
-      if (changedDeps === null) changedDeps = [];
+      setTimeout(print, SUMMARY_IDLE_TIMEOUT);
     }
+  };
+  if (document.readyState === "complete") onLoad();
+  else window.addEventListener("load", onLoad, { once: true });
+}
 
-    prevDepsRef.current = deps ? [...deps] : undefined;
+scheduleSummary();
+
+// ─── Hydration phase ─────────────────────────────────────────────────
+
+/**
+ * @typedef {"hydration" | "interactive"} TracePhase
+ * @typedef {{ componentName: string; stateChanges: number; effectRuns: number }} HydrationComponent
+ * @typedef {{ duration: number; stateChanges: number; effectRuns: number; components: HydrationComponent[] }} HydrationReport
+ */
+
+/** Hydration ends once no tracked effect ran or set state for this long and the browser is idle */
+const HYDRATION_QUIET_MS = 100;
+
+/** Longest wait for an idle period before checking whether hydration is quiet */
+const HYDRATION_IDLE_TIMEOUT = 1000;
+
+const hydration = {
+  /** @type {number | null} time of the first tracked render */
+  start: null,
+  lastActivity: 0,
+  ended: false,
+  endScheduled: false,
+  /** @type {Map<string, HydrationComponent>} */
+  components: new Map(),
+  /** @type {HydrationReport | null} */
+  report: null,
+};
+
+/**
+ * @returns {TracePhase}
+ */
+function getPhase() {
+  return hydration.ended ? "interactive" : "hydration";
+}
+
+/**
+ * Start the hydration window with the first tracked render in the browser.
+ * It also ends for pages without any tracked effect activity.
+ */
+function markHydrationRender() {
+  if (hydration.start === null && typeof window !== "undefined") {
+    hydration.start = now();
+    hydration.lastActivity = hydration.start;
+    scheduleHydrationEnd();
+  }
+}
+
+/**
+ * Count an effect run or state change of the hydration phase and postpone its end.
+ * @param {Pick<EffectTracker, "componentName">} tracker
+ * @param {"stateChanges" | "effectRuns"} kind
+ */
+function recordHydrationActivity(tracker, kind) {
+  if (hydration.ended || hydration.start === null) return;
+  hydration.lastActivity = now();
+  const componentName = tracker.componentName.split(" \u203a ")[0];
+  let component = hydration.components.get(componentName);
+  if (!component) {
+    component = { componentName, stateChanges: 0, effectRuns: 0 };
+    hydration.components.set(componentName, component);
+  }
+  component[kind]++;
+  scheduleHydrationEnd();
+}
+
+function scheduleHydrationEnd() {
+  if (hydration.endScheduled) return;
+  hydration.endScheduled = true;
+  const check = () => {
+    hydration.endScheduled = false;
+    if (now() - hydration.lastActivity < HYDRATION_QUIET_MS) scheduleHydrationEnd();
+    else endHydration();
+  };
+  if (typeof requestIdleCallback === "function") {
+    requestIdleCallback(check, { timeout: HYDRATION_IDLE_TIMEOUT });
+  } else {
+    setTimeout(check, HYDRATION_QUIET_MS);
+  }
+}
+
+function endHydration() {
+  hydration.ended = true;
+  const components = [...hydration.components.values()].sort(
+    (a, b) => b.stateChanges - a.stateChanges || b.effectRuns - a.effectRuns,
+  );
+  hydration.report = {
+    duration: hydration.lastActivity - (hydration.start ?? hydration.lastActivity),
+    stateChanges: components.reduce((sum, component) => sum + component.stateChanges, 0),
+    effectRuns: components.reduce((sum, component) => sum + component.effectRuns, 0),
+    components,
+  };
+  hydration.components.clear();
+  if (options.field) flushField();
+  else if (options.hydrationReport) printHydrationReport(hydration.report);
+}
+
+/**
+ * The effect runs and state changes from the first tracked render until the page
+ * committed and went idle.
+ * @returns {HydrationReport | null} null while the page is still hydrating
+ */
+export function getHydrationReport() {
+  return hydration.report;
+}
+
+/**
+ * Print the report as a collapsed `console.table`, pages which hydrated without any effect
+ * runs stay silent.
+ * @param {HydrationReport} report
+ */
+function printHydrationReport(report) {
+  if (report.stateChanges === 0 && report.effectRuns === 0) return;
+  const components = report.components.filter((component) => component.stateChanges > 0);
+  console.groupCollapsed(
+    `hydration: ${report.stateChanges} effect\u2192setState across ${components.length} ${components.length === 1 ? "component" : "components"}, ${Math.round(report.duration)}ms`,
+  );
+  console.table(
+    report.components.map((component) => ({
+      component: component.componentName,
+      "state changes": component.stateChanges,
+      "effect runs": component.effectRuns,
+    })),
+  );
+  console.groupEnd();
+}
+
+// ─── User Timing ─────────────────────────────────────────────────────
+
+/**
+ * Entries use the `detail.devtools` format of the Chrome DevTools extensibility API
+ * so that they get their own track in the Performance panel, next to long tasks,
+ * commits and interactions. Other browsers show them as plain User Timing entries.
+ * @see https://developer.chrome.com/docs/devtools/performance/extension
+ */
+const DEVTOOLS_TRACK_GROUP = "Render Loop Tracer";
+
+/** Effects with at least this duration are colored as slow */
+const SLOW_EFFECT_MS = 8;
+
+/**
+ * Entries are cleared right after they were created — a profile recording keeps them,
+ * but the performance entry buffer doesn't grow over a long dev session.
+ * @param {() => void} emit
+ */
+function emitUserTiming(emit) {
+  if (typeof performance === "undefined" || typeof performance.measure !== "function") return;
+  try {
+    emit();
+  } catch {
+    // Browsers without User Timing Level 3 reject the options argument
+  }
+}
+
+/**
+ * Add the run of an effect or cleanup to the "Effects" track.
+ * @param {EffectTracker} tracker
+ * @param {number} startTime
+ * @param {number} duration
+ */
+function measureEffectRun(tracker, startTime, duration) {
+  const reason = tracker.cleanup ? "cleanup" : formatReason(tracker);
+  const name = `${tracker.cleanup ? "cleanup of " : ""}${tracker.hook} ${tracker.location}`;
+  emitUserTiming(() => {
+    performance.measure(name, {
+      start: startTime,
+      duration,
+      detail: {
+        devtools: {
+          dataType: "track-entry",
+          track: "Effects",
+          trackGroup: DEVTOOLS_TRACK_GROUP,
+          color: duration >= SLOW_EFFECT_MS ? "error" : tracker.stateWasSet ? "warning" : "primary",
+          tooltipText: `${tracker.componentName} \u2014 ${reason}`,
+          properties: [
+            ["component", tracker.componentName],
+            ["location", tracker.location],
+            ["reason", reason],
+            ["set state", String(tracker.stateWasSet)],
+          ],
+        },
+      },
+    });
+    performance.clearMeasures(name);
+  });
+}
+
+/**
+ * Add a marker for a state change or render loop.
+ * @param {TraceEvent} event
+ */
+function markEvent(event) {
+  const name = `${event.stateHook} "${event.stateName}" changed`;
+  emitUserTiming(() => {
+    performance.mark(name, {
+      startTime: event.timestamp,
+      detail: {
+        devtools: {
+          dataType: "marker",
+          color: event.type === "render-loop" ? "error" : "warning",
+          tooltipText: formatMessage(event),
+          properties: [
+            ["type", event.type],
+            ["component", event.componentName],
+            ["effect", `${event.hook} ${event.location}`],
+            ["phase", event.phase],
+          ],
+        },
+      },
+    });
+    performance.clearMarks(name);
+  });
+}
+
+// ─── Trace export ────────────────────────────────────────────────────
+
+/**
+ * Recorded activity in the Trace Event Format, which opens in Perfetto and
+ * the Chrome Performance panel. Timestamps are microseconds since the time origin.
+ * @see https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ * @typedef {{ name: string; cat: string; ph: "X" | "i" | "M"; ts: number; dur?: number; s?: "t"; pid: number; tid: number; args: Record<string, unknown> }} TraceFileEvent
+ * @typedef {{ traceEvents: TraceFileEvent[]; displayTimeUnit: "ms"; otherData: Record<string, string> }} TraceFile
+ */
+
+/** Oldest entries are dropped once the recording holds more trace events */
+const MAX_TRACE_EVENTS = 20000;
+
+const TRACE_PID = 1;
+
+/** Every kind of activity gets its own row in the trace viewer */
+const traceThreads = {
+  effects: { tid: 1, name: "Effects" },
+  stateChanges: { tid: 2, name: "State changes & warnings" },
+  tasks: { tid: 3, name: "Long tasks & interactions" },
+};
+
+/** @type {TraceFileEvent[]} */
+const traceRecording = [];
+
+/** @type {TraceEvent[]} the structured events behind the recorded trace, except effect runs */
+const recordedEvents = [];
+
+/**
+ * @param {TraceFileEvent} traceEvent
+ */
+function pushTraceEvent(traceEvent) {
+  // Field mode keeps only its own compact buffer
+  if (options.field) return;
+  traceRecording.push(traceEvent);
+  if (traceRecording.length > MAX_TRACE_EVENTS) {
+    traceRecording.splice(0, traceRecording.length - MAX_TRACE_EVENTS);
+  }
+}
+
+/** @param {number} ms */
+function toMicroseconds(ms) {
+  return Math.round(ms * 1000);
+}
+
+/**
+ * @param {EffectTracker} tracker
+ * @param {number} startTime
+ * @param {number} duration
+ */
+function recordTraceEffectRun(tracker, startTime, duration) {
+  pushTraceEvent({
+    name: `${tracker.cleanup ? "cleanup of " : ""}${tracker.hook} ${tracker.location}`,
+    cat: "effect",
+    ph: "X",
+    ts: toMicroseconds(startTime),
+    dur: toMicroseconds(duration),
+    pid: TRACE_PID,
+    tid: traceThreads.effects.tid,
+    args: {
+      component: tracker.componentName,
+      location: tracker.location,
+      reason: tracker.cleanup ? "cleanup" : formatReason(tracker),
+      setState: tracker.stateWasSet,
+      phase: getPhase(),
+    },
+  });
+}
+
+/**
+ * @param {TraceEvent} event
+ */
+function recordTraceEvent(event) {
+  recordedEvents.push(event);
+  if (recordedEvents.length > MAX_TRACE_EVENTS) {
+    recordedEvents.splice(0, recordedEvents.length - MAX_TRACE_EVENTS);
+  }
+  pushTraceEvent({
+    name:
+      event.type === "state-change" || event.type === "render-loop"
+        ? `${event.stateHook} "${event.stateName}" changed`
+        : event.type,
+    cat: event.type,
+    ph: "i",
+    s: "t",
+    ts: toMicroseconds(event.timestamp),
+    pid: TRACE_PID,
+    tid: traceThreads.stateChanges.tid,
+    args: {
+      message: formatMessage(event),
+      component: event.componentName,
+      location: event.location,
+      phase: event.phase,
+    },
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {TraceGroup["type"]} type
+ * @param {number} startTime
+ * @param {number} duration
+ */
+function recordTraceSlice(name, type, startTime, duration) {
+  pushTraceEvent({
+    name,
+    cat: type,
+    ph: "X",
+    ts: toMicroseconds(startTime),
+    dur: toMicroseconds(duration),
+    pid: TRACE_PID,
+    tid: traceThreads.tasks.tid,
+    args: {},
+  });
+}
+
+/**
+ * The recorded effect runs, state changes, long tasks and slow interactions
+ * in the Trace Event Format.
+ * @returns {TraceFile}
+ */
+export function getTrace() {
+  /** @type {TraceFileEvent[]} */
+  const metadata = [
+    {
+      name: "process_name",
+      cat: "__metadata",
+      ph: "M",
+      ts: 0,
+      pid: TRACE_PID,
+      tid: 0,
+      args: { name: "Render Loop Tracer" },
+    },
+    ...Object.values(traceThreads).map(({ tid, name }) => ({
+      name: "thread_name",
+      cat: "__metadata",
+      ph: /** @type {const} */ ("M"),
+      ts: 0,
+      pid: TRACE_PID,
+      tid,
+      args: { name },
+    })),
+  ];
+  return {
+    traceEvents: [...metadata, ...traceRecording],
+    displayTimeUnit: "ms",
+    otherData: {
+      url: typeof location !== "undefined" ? location.href : "",
+      recordedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Forget everything recorded so far.
+ */
+export function clearTrace() {
+  traceRecording.length = 0;
+  recordedEvents.length = 0;
+}
+
+/**
+ * The recorded state changes, slow effects, render loops and effect churn, oldest first.
+ * @returns {TraceEvent[]}
+ */
+export function getRecordedEvents() {
+  return [...recordedEvents];
+}
+
+/**
+ * Download the recorded trace as a JSON file, to open it in Perfetto
+ * (https://ui.perfetto.dev) or the Chrome Performance panel.
+ * @param {string} [filename]
+ * @returns {TraceFile}
+ */
+export function exportTrace(filename = `render-loop-trace-${Date.now()}.json`) {
+  const trace = getTrace();
+  if (typeof document !== "undefined" && typeof URL.createObjectURL === "function") {
+    const url = URL.createObjectURL(
+      new Blob([JSON.stringify(trace)], { type: "application/json" }),
+    );
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = filename;
+    anchor.click();
+    URL.revokeObjectURL(url);
+  }
+  return trace;
+}
+
+// Console command `__renderLoopTracer.exportTrace()`,
+// also read by the CI collector in ./ci.js
+if (typeof window !== "undefined") {
+  /** @type {Record<string, unknown>} */ (/** @type {unknown} */ (globalThis)).__renderLoopTracer =
+    {
+      exportTrace,
+      getTrace,
+      clearTrace,
+      getSummary,
+      printSummary,
+      getRecordedEvents,
+      getHydrationReport,
+      formatEvent,
+    };
+}
+
+// ─── Field mode ──────────────────────────────────────────────────────
+
+/**
+ * @typedef {{ t: EntryType; l: string; c: string; s?: string; h?: StateHookKind; d?: number; p: TracePhase; ts: number }} CompactEvent
+ * @typedef {{ url: string; session: string; events: CompactEvent[]; dropped: number; hydration: HydrationReport | null }} FieldBatch
+ */
+
+const field = {
+  /** whether this page load was picked by `sampleRate` */
+  sampled: true,
+  session: "",
+  /** @type {CompactEvent[]} ring buffer, oldest events are dropped */
+  buffer: [],
+  dropped: 0,
+  hydrationSent: false,
+  /** @type {ReturnType<typeof setInterval> | null} */
+  timer: null,
+};
+
+/**
+ * Whether effects and state changes are traced at all.
+ * Page loads which were not sampled in field mode skip all tracking work.
+ * @returns {boolean}
+ */
+function isTracingActive() {
+  return !options.field || field.sampled;
+}
+
+function onVisibilityChange() {
+  if (document.visibilityState === "hidden") flushField();
+}
+
+function startFieldMode() {
+  if (field.timer !== null) clearInterval(field.timer);
+  field.timer = null;
+  if (typeof window !== "undefined") {
+    window.removeEventListener("pagehide", flushField);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+  }
+  const fieldOptions = options.field;
+  if (!fieldOptions) {
+    field.sampled = true;
+    return;
+  }
+  field.sampled = Math.random() < fieldOptions.sampleRate;
+  field.session = Math.random().toString(36).slice(2, 10);
+  if (!field.sampled || typeof window === "undefined") return;
+  field.timer = setInterval(flushField, fieldOptions.flushIntervalMs);
+  window.addEventListener("pagehide", flushField);
+  document.addEventListener("visibilitychange", onVisibilityChange);
+}
+
+/**
+ * @param {TraceEvent} event
+ */
+function recordFieldEvent(event) {
+  const fieldOptions = /** @type {FieldOptions} */ (options.field);
+  field.buffer.push({
+    t: event.type,
+    l: event.location,
+    c: event.componentName,
+    ...(event.stateName !== null && { s: event.stateName }),
+    ...(event.stateHook !== null && { h: event.stateHook }),
+    ...(event.duration !== null && { d: Math.round(event.duration) }),
+    p: event.phase,
+    ts: Math.round(event.timestamp),
+  });
+  if (field.buffer.length > fieldOptions.maxEvents) {
+    field.dropped += field.buffer.length - fieldOptions.maxEvents;
+    field.buffer.splice(0, field.buffer.length - fieldOptions.maxEvents);
+  }
+}
+
+/**
+ * Send the buffered events — and the hydration report once it is available — as one batch.
+ */
+function flushField() {
+  const fieldOptions = options.field;
+  if (!fieldOptions || !field.sampled) return;
+  const hydrationReport = field.hydrationSent ? null : getHydrationReport();
+  if (field.buffer.length === 0 && !hydrationReport) return;
+  if (hydrationReport) field.hydrationSent = true;
+
+  /** @type {FieldBatch} */
+  const batch = {
+    url: typeof location !== "undefined" ? location.pathname : "",
+    session: field.session,
+    events: field.buffer.splice(0),
+    dropped: field.dropped,
+    hydration: hydrationReport,
+  };
+  field.dropped = 0;
+  try {
+    if (fieldOptions.reporter) {
+      fieldOptions.reporter(batch);
+    } else if (fieldOptions.endpoint && typeof navigator !== "undefined" && navigator.sendBeacon) {
+      navigator.sendBeacon(fieldOptions.endpoint, JSON.stringify(batch));
+    }
+  } catch (error) {
+    // Reporting must never break the traced app
+    console.error(error);
+  }
+}
+
+// ─── Dependency diffing ──────────────────────────────────────────────
+
+/**
+ * Determines which dependencies changed by comparing previous vs current.
+ * @param {ReadonlyArray<unknown> | undefined} prevDeps
+ * @param {ReadonlyArray<unknown> | undefined} currentDeps
+ * @param {string[] | null} depNames
+ * @returns {string[] | null}
+ */
+function getChangedDeps(prevDeps, currentDeps, depNames) {
+  if (!prevDeps || !depNames || !currentDeps) return null;
+  /** @type {string[]} */
+  const changed = [];
+  for (let i = 0; i < currentDeps.length; i++) {
+    if (!Object.is(prevDeps[i], currentDeps[i])) {
+      changed.push(depNames[i] || `dep[${i}]`);
+    }
+  }
+  return changed;
+}
+
+const MAX_DEEP_EQUAL_DEPTH = 5;
+const MAX_DEEP_EQUAL_ENTRIES = 200;
+
+/**
+ * Compare two values structurally. Arrays, plain objects and dates are compared by content
+ * up to a bounded depth and number of entries, anything beyond is treated as different.
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function isDeepEqual(a, b) {
+  let budget = MAX_DEEP_EQUAL_ENTRIES;
+
+  /**
+   * @param {unknown} x
+   * @param {unknown} y
+   * @param {number} depth
+   * @returns {boolean}
+   */
+  const compare = (x, y, depth) => {
+    if (Object.is(x, y)) return true;
+    if (typeof x !== "object" || typeof y !== "object" || x === null || y === null) return false;
+    if (depth >= MAX_DEEP_EQUAL_DEPTH) return false;
+    if (x instanceof Date || y instanceof Date) {
+      return x instanceof Date && y instanceof Date && x.getTime() === y.getTime();
+    }
+    if (Array.isArray(x) || Array.isArray(y)) {
+      if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length) return false;
+      budget -= x.length;
+      return budget >= 0 && x.every((item, i) => compare(item, y[i], depth + 1));
+    }
+    if (!isPlainObject(x) || !isPlainObject(y)) return false;
+    const keys = Object.keys(x);
+    if (keys.length !== Object.keys(y).length) return false;
+    budget -= keys.length;
+    return (
+      budget >= 0 &&
+      keys.every(
+        (key) =>
+          Object.prototype.hasOwnProperty.call(y, key) &&
+          compare(
+            /** @type {Record<string, unknown>} */ (x)[key],
+            /** @type {Record<string, unknown>} */ (y)[key],
+            depth + 1,
+          ),
+      )
+    );
+  };
+
+  return compare(a, b, 0);
+}
+
+/**
+ * @param {object} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Find the deps which changed their identity but are deep-equal to their previous value.
+ * @param {ReadonlyArray<unknown> | undefined} prevDeps
+ * @param {ReadonlyArray<unknown> | undefined} currentDeps
+ * @param {string[] | null} depNames
+ * @returns {string[]}
+ */
+function getDeepEqualDeps(prevDeps, currentDeps, depNames) {
+  if (!prevDeps || !depNames || !currentDeps) return [];
+  /** @type {string[]} */
+  const deepEqual = [];
+  for (let i = 0; i < currentDeps.length; i++) {
+    if (!Object.is(prevDeps[i], currentDeps[i]) && isDeepEqual(prevDeps[i], currentDeps[i])) {
+      deepEqual.push(depNames[i] || `dep[${i}]`);
+    }
+  }
+  return deepEqual;
+}
+
+/**
+ * How many renders in a row a dep must get a new identity to be reported as unstable.
+ */
+const UNSTABLE_RENDER_STREAK = 3;
+
+/**
+ * @typedef {{ deps: ReadonlyArray<unknown>; streaks: number[] }} RenderDeps
+ */
+
+/**
+ * Count for every dep in how many consecutive renders it got a new identity.
+ * Must be called during render.
+ * @param {{ current: RenderDeps | null }} renderDepsRef
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string[] | null} depNames
+ * @returns {string[]} deps which changed on each of the last {@link UNSTABLE_RENDER_STREAK} renders
+ */
+function getUnstableDeps(renderDepsRef, deps, depNames) {
+  if (!deps || !depNames) return [];
+  const previous = renderDepsRef.current;
+  const streaks = deps.map((dep, i) =>
+    previous && !Object.is(previous.deps[i], dep) ? (previous.streaks[i] ?? 0) + 1 : 0,
+  );
+  renderDepsRef.current = { deps, streaks };
+  return deps
+    .map((_, i) => depNames[i] || `dep[${i}]`)
+    .filter((_, i) => streaks[i] >= UNSTABLE_RENDER_STREAK);
+}
+
+// ─── Async effect context ────────────────────────────────────────────
+
+/**
+ * Wrap a callback so that it runs with the currently active effect as its context.
+ * Returns the callback unchanged when no effect is running.
+ * @template T
+ * @param {T} callback
+ * @param {AsyncSource} source
+ * @returns {T}
+ */
+function bindEffectContext(callback, source) {
+  const tracker = globals.__effectTracker;
+  if (!tracker || typeof callback !== "function") return callback;
+  // Keep the first hop so that nested callbacks still show how the effect went async
+  const asyncTracker = tracker.async ? tracker : { ...tracker, async: source };
+  /** @this {unknown} @param {unknown[]} args */
+  function bound(...args) {
+    const previousTracker = globals.__effectTracker;
+    globals.__effectTracker = asyncTracker;
+    try {
+      return /** @type {Function} */ (callback).apply(this, args);
+    } finally {
+      globals.__effectTracker = previousTracker;
+    }
+  }
+  return /** @type {T} */ (bound);
+}
+
+/**
+ * Patch timers, promises, listeners and observers once per realm so that callbacks
+ * created while an effect runs carry the effect context.
+ * Outside of effects the patched APIs only add a single check.
+ * React captures the unpatched timer functions when it is loaded, so its own scheduling
+ * is not attributed to effects.
+ */
+function installAsyncTracking() {
+  const realm = /** @type {Record<string, any>} */ (/** @type {unknown} */ (globalThis));
+  if (realm.__effectTrackerAsyncInstalled) return;
+  realm.__effectTrackerAsyncInstalled = true;
+
+  for (const name of /** @type {const} */ ([
+    "setTimeout",
+    "setInterval",
+    "requestAnimationFrame",
+    "requestIdleCallback",
+    "queueMicrotask",
+  ])) {
+    const original = realm[name];
+    if (typeof original !== "function") continue;
+    realm[name] = (/** @type {unknown} */ callback, /** @type {unknown[]} */ ...args) =>
+      original.call(globalThis, bindEffectContext(callback, name), ...args);
+  }
+
+  const promisePrototype = /** @type {{ then: Function }} */ (Promise.prototype);
+  const originalThen = promisePrototype.then;
+  // `catch` and `finally` call `then` internally
+  /** @this {Promise<unknown>} @param {unknown} onFulfilled @param {unknown} onRejected */
+  promisePrototype.then = function (onFulfilled, onRejected) {
+    return originalThen.call(
+      this,
+      bindEffectContext(onFulfilled, "promise"),
+      bindEffectContext(onRejected, "promise"),
+    );
+  };
+
+  if (typeof EventTarget !== "undefined") {
+    /**
+     * Wrappers per target, per `type` and `capture` — like the registrations of the DOM, so the
+     * same handler added by two effects is attributed to each of them.
+     * @type {WeakMap<EventTarget, Map<string, WeakMap<Function, EventListener>>>}
+     */
+    const boundListeners = new WeakMap();
+    /**
+     * @param {string} type
+     * @param {boolean | EventListenerOptions | undefined} listenerOptions
+     */
+    const getRegistrationKey = (type, listenerOptions) => {
+      const capture =
+        typeof listenerOptions === "boolean" ? listenerOptions : Boolean(listenerOptions?.capture);
+      return `${type}\u0000${capture}`;
+    };
+    const { addEventListener, removeEventListener } = EventTarget.prototype;
+    /**
+     * @this {EventTarget}
+     * @param {string} type
+     * @param {EventListenerOrEventListenerObject | null} listener
+     * @param {boolean | AddEventListenerOptions} [listenerOptions]
+     */
+    EventTarget.prototype.addEventListener = function (type, listener, listenerOptions) {
+      let bound = listener;
+      if (typeof listener === "function" && globals.__effectTracker) {
+        let registrations = boundListeners.get(this);
+        if (!registrations) {
+          registrations = new Map();
+          boundListeners.set(this, registrations);
+        }
+        const key = getRegistrationKey(type, listenerOptions);
+        let listeners = registrations.get(key);
+        if (!listeners) {
+          listeners = new WeakMap();
+          registrations.set(key, listeners);
+        }
+        bound = listeners.get(listener) || bindEffectContext(listener, "addEventListener");
+        listeners.set(listener, bound);
+      }
+      addEventListener.call(this, type, bound, listenerOptions);
+    };
+    /**
+     * @this {EventTarget}
+     * @param {string} type
+     * @param {EventListenerOrEventListenerObject | null} listener
+     * @param {boolean | EventListenerOptions} [listenerOptions]
+     */
+    EventTarget.prototype.removeEventListener = function (type, listener, listenerOptions) {
+      const listeners =
+        typeof listener === "function" &&
+        boundListeners.get(this)?.get(getRegistrationKey(type, listenerOptions));
+      const bound = listeners && listeners.get(listener);
+      if (bound) {
+        listeners.delete(listener);
+        removeEventListener.call(this, type, bound, listenerOptions);
+      }
+      removeEventListener.call(this, type, listener, listenerOptions);
+    };
+  }
+
+  for (const name of /** @type {const} */ ([
+    "ResizeObserver",
+    "MutationObserver",
+    "IntersectionObserver",
+  ])) {
+    const Original = realm[name];
+    if (typeof Original !== "function") continue;
+    realm[name] = class extends Original {
+      /** @param {unknown} callback @param {unknown[]} args */
+      constructor(callback, ...args) {
+        super(bindEffectContext(callback, name), ...args);
+      }
+    };
+  }
+}
+
+/**
+ * @typedef {{ tracker: EffectTracker; previousTracker: EffectTracker | null; active: boolean }} AsyncFunctionContext
+ */
+
+/**
+ * Called by the Babel plugin at the start of async functions inside effect callbacks.
+ * @returns {AsyncFunctionContext | null}
+ */
+export function __captureEffectContext() {
+  const tracker = globals.__effectTracker;
+  if (!tracker) return null;
+  return {
+    tracker: tracker.async ? tracker : { ...tracker, async: "await" },
+    previousTracker: null,
+    active: false,
+  };
+}
+
+/**
+ * The outcome of an awaited promise, so that a rejection is rethrown only after the
+ * effect context was restored — `catch` blocks after a failed `await` belong to the effect.
+ * @template T
+ */
+class SettledAwait {
+  /**
+   * @param {boolean} rejected
+   * @param {T | unknown} result the value, or the error if rejected
+   */
+  constructor(rejected, result) {
+    this.rejected = rejected;
+    this.result = result;
+  }
+}
+
+/**
+ * Called by the Babel plugin after an `await` resumed — restores the effect context.
+ * @template T
+ * @param {AsyncFunctionContext | null} context
+ * @param {T | SettledAwait<T>} value
+ * @returns {T}
+ */
+export function __resumeEffectContext(context, value) {
+  if (context && !context.active) {
+    context.previousTracker = globals.__effectTracker;
+    globals.__effectTracker = context.tracker;
+    context.active = true;
+  }
+  if (value instanceof SettledAwait) {
+    if (value.rejected) throw value.result;
+    return /** @type {T} */ (value.result);
+  }
+  return value;
+}
+
+/**
+ * Called by the Babel plugin before an `await` and when the async function completes.
+ * Awaited promises settle into a {@link SettledAwait} for {@link __resumeEffectContext}.
+ * @template T
+ * @param {AsyncFunctionContext | null} context
+ * @param {T} [value]
+ * @returns {T | Promise<SettledAwait<Awaited<T>>> | undefined}
+ */
+export function __suspendEffectContext(context, value) {
+  if (!context) return value;
+  if (context.active) {
+    globals.__effectTracker = context.previousTracker;
+    context.previousTracker = null;
+    context.active = false;
+  }
+  if (isThenable(value)) {
+    return Promise.resolve(value).then(
+      (result) => new SettledAwait(false, result),
+      (error) => new SettledAwait(true, error),
+    );
+  }
+  return value;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PromiseLike<unknown>}
+ */
+function isThenable(value) {
+  return (
+    (typeof value === "object" || typeof value === "function") &&
+    value !== null &&
+    typeof (/** @type {{ then?: unknown }} */ (value).then) === "function"
+  );
+}
+
+// ─── Cascades ────────────────────────────────────────────────────────
+
+let nextCauseId = 1;
+
+/**
+ * Latest tracked state values → the update which produced them.
+ * Lets an effect find out which state change made its deps change.
+ * Keyed by {@link getCauseKey}.
+ * @type {Map<unknown, StateCause>}
+ */
+const causesByValue = new Map();
+
+/** Upper bound for remembered values, oldest are forgotten first */
+const MAX_REMEMBERED_CAUSES = 1000;
+
+/** @type {WeakMap<StateMeta, unknown>} */
+const lastKeyByState = new WeakMap();
+
+/**
+ * Objects and functions are identified by their identity. Primitives like `true` or `0` are
+ * shared by unrelated states, so they only match a state named like the dep, e.g. `total`
+ * for the deps `total` or `props.total`.
+ * @param {string} name state name or dep name
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function getCauseKey(name, value) {
+  if ((typeof value === "object" && value !== null) || typeof value === "function") return value;
+  return `${name.split(".").pop()}\u0000${typeof value}\u0000${String(value)}`;
+}
+
+/** @type {WeakMap<StateMeta, number>} */
+const lastCauseIdByState = new WeakMap();
+
+/**
+ * Remember that `value` was produced by the given state update.
+ * @param {StateMeta} meta
+ * @param {StateHookKind} stateHook
+ * @param {unknown} value
+ * @param {EffectTracker | null} tracker
+ * @param {TraceEvent | null} event
+ */
+function recordStateCause(meta, stateHook, value, tracker, event) {
+  if (lastKeyByState.has(meta)) {
+    const previousKey = lastKeyByState.get(meta);
+    if (causesByValue.get(previousKey)?.id === lastCauseIdByState.get(meta)) {
+      causesByValue.delete(previousKey);
+    }
+  }
+  /** @type {StateCause} */
+  const cause = {
+    id: nextCauseId++,
+    time: now(),
+    stateName: meta.stateName,
+    stateHook,
+    location: meta.location,
+    componentName: meta.componentName,
+    effect: tracker && {
+      location: tracker.location,
+      componentName: tracker.componentName,
+      hook: tracker.hook,
+    },
+    eventId: event && event.id,
+    parent: tracker && tracker.cause,
+  };
+  const key = getCauseKey(meta.stateName, value);
+  lastKeyByState.set(meta, key);
+  lastCauseIdByState.set(meta, cause.id);
+  causesByValue.delete(key);
+  causesByValue.set(key, cause);
+  if (causesByValue.size > MAX_REMEMBERED_CAUSES) {
+    causesByValue.delete(causesByValue.keys().next().value);
+  }
+}
+
+/**
+ * Find the most recent tracked state update which produced one of the changed deps
+ * after the effect ran the last time.
+ * @param {ReadonlyArray<unknown> | undefined} prevDeps
+ * @param {ReadonlyArray<unknown> | undefined} currentDeps
+ * @param {number} since
+ * @param {string[] | null} depNames
+ * @returns {StateCause | null}
+ */
+function findCause(prevDeps, currentDeps, since, depNames) {
+  if (!prevDeps || !currentDeps) return null;
+  /** @type {StateCause | null} */
+  let found = null;
+  for (let i = 0; i < currentDeps.length; i++) {
+    if (Object.is(prevDeps[i], currentDeps[i])) continue;
+    const cause = causesByValue.get(getCauseKey(depNames?.[i] ?? "complex", currentDeps[i]));
+    if (cause && cause.time >= since && (!found || cause.time > found.time)) {
+      found = cause;
+    }
+  }
+  return found;
+}
+
+/**
+ * Returns the causes which led to an event — from the root cause to the direct cause.
+ * @param {Pick<TraceEvent, "cause">} event
+ * @returns {StateCause[]}
+ */
+export function getCauseChain(event) {
+  /** @type {StateCause[]} */
+  const chain = [];
+  for (let cause = event.cause; cause; cause = cause.parent) {
+    chain.unshift(cause);
+  }
+  return chain;
+}
+
+// ─── Render loop detection ───────────────────────────────────────────
+
+/**
+ * Thrown from a state setter when loop detection is configured with `action: "throw"`.
+ */
+export class RenderLoopError extends Error {
+  /**
+   * @param {string} message
+   * @param {TraceEvent} event
+   */
+  constructor(message, event) {
+    super(message);
+    this.name = "RenderLoopError";
+    this.event = event;
+  }
+}
+
+/**
+ * Recent state changes from effects inside the loop detection window.
+ * `key` identifies one effect instance setting one state instance.
+ * @type {{ key: string; time: number; step: LoopStep }[]}
+ */
+const recentStateChanges = [];
+
+/**
+ * Keys of detected loops → time of their last state change.
+ * A loop is reported once and stays tripped until it was quiet for a whole window.
+ * @type {Map<string, number>}
+ */
+const trippedLoops = new Map();
+
+/**
+ * Record a state change and detect whether the same effect instance keeps setting
+ * the same state — either directly or through a cycle of other effects.
+ * @param {EffectTracker} tracker
+ * @param {StateMeta} meta
+ * @param {StateHookKind} stateHook
+ * @returns {boolean} whether the update should be forwarded to React
+ */
+function detectRenderLoop(tracker, meta, stateHook) {
+  const loopDetection = options.loopDetection;
+  if (!loopDetection) return true;
+
+  const time = now();
+  const key = `${tracker.instanceId}:${meta.id}`;
+
+  const trippedAt = trippedLoops.get(key);
+  if (trippedAt !== undefined) {
+    if (time - trippedAt < loopDetection.windowMs) {
+      trippedLoops.set(key, time);
+      return loopDetection.action !== "halt";
+    }
+    trippedLoops.delete(key);
+  }
+
+  while (
+    recentStateChanges.length > 0 &&
+    time - recentStateChanges[0].time > loopDetection.windowMs
+  ) {
+    recentStateChanges.shift();
+  }
+  recentStateChanges.push({
+    key,
+    time,
+    step: {
+      location: tracker.location,
+      componentName: tracker.componentName,
+      stateName: meta.stateName,
+    },
+  });
+
+  const occurrences = recentStateChanges.filter((change) => change.key === key).length;
+  if (occurrences < loopDetection.threshold) return true;
+
+  // The cycle is everything that happened since this key was set the previous time
+  const last = recentStateChanges.length - 1;
+  let previous = last - 1;
+  while (recentStateChanges[previous].key !== key) previous--;
+  /** @type {Map<string, LoopStep>} */
+  const cycle = new Map();
+  for (const change of recentStateChanges.slice(previous, last)) {
+    if (!cycle.has(change.key)) cycle.set(change.key, change.step);
+  }
+  for (const cycleKey of cycle.keys()) trippedLoops.set(cycleKey, time);
+
+  const event = createEvent("render-loop", tracker, {
+    stateName: meta.stateName,
+    stateHook,
+    loop: {
+      count: occurrences,
+      windowMs: loopDetection.windowMs,
+      action: loopDetection.action,
+      cycle: [...cycle.values()],
+    },
+  });
+  log(event);
+  if (loopDetection.action === "throw") {
+    throw new RenderLoopError(formatEvent(event), event);
+  }
+  return loopDetection.action !== "halt";
+}
+
+/**
+ * Track a state update which changes the value.
+ * Updates from inside an effect are reported as "state-change" and checked for loops,
+ * every update is remembered as the possible cause of later effect runs.
+ * @param {StateMeta} meta
+ * @param {StateHookKind} stateHook
+ * @param {unknown} newValue
+ * @param {{ action?: string | null; prevValue?: unknown }} [details] type of the dispatched
+ *   action and the previous value, previewed if `valuePreviews` is enabled
+ * @returns {boolean} whether the update should be forwarded to React
+ */
+function trackStateUpdate(meta, stateHook, newValue, details = {}) {
+  if (!isTracingActive()) return true;
+  const tracker = globals.__effectTracker;
+  if (!tracker) {
+    if (newValue !== UNKNOWN_VALUE) recordStateCause(meta, stateHook, newValue, null, null);
+    recordPendingState(meta, stateHook, null);
+    return true;
+  }
+  tracker.stateWasSet = true;
+  getEffectSummary(tracker).stateChanges++;
+  recordHydrationActivity(tracker, "stateChanges");
+  const { action = null, prevValue = UNKNOWN_VALUE } = details;
+  const hasPreview =
+    options.valuePreviews && prevValue !== UNKNOWN_VALUE && newValue !== UNKNOWN_VALUE;
+  const event = createEvent("state-change", tracker, {
+    stateName: meta.stateName,
+    stateHook,
+    action,
+    prevValue: hasPreview ? formatValuePreview(prevValue) : null,
+    nextValue: hasPreview ? formatValuePreview(newValue) : null,
+  });
+  log(event);
+  if (!detectRenderLoop(tracker, meta, stateHook)) return false;
+  if (newValue !== UNKNOWN_VALUE) recordStateCause(meta, stateHook, newValue, tracker, event);
+  recordPendingState(meta, stateHook, tracker);
+  return true;
+}
+
+const MAX_PREVIEW_LENGTH = 40;
+
+/**
+ * Preview a state value without serializing large or unsafe structures.
+ * `"abc"`, `42`, `Array(3)`, `{"open":true}`, `{id, name, items, …}`, `ƒ onSelect`, `Map(2)`
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatValuePreview(value) {
+  /** @param {string} text */
+  const truncate = (text) =>
+    text.length > MAX_PREVIEW_LENGTH ? `${text.slice(0, MAX_PREVIEW_LENGTH - 1)}\u2026` : text;
+
+  if (typeof value === "string") return truncate(JSON.stringify(value));
+  if (typeof value === "function") return `\u0192 ${value.name || "anonymous"}`;
+  if (typeof value === "bigint") return `${value}n`;
+  if (typeof value !== "object" || value === null) return String(value);
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Map || value instanceof Set) {
+    return `${value.constructor.name}(${value.size})`;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return `${prototype.constructor?.name || "Object"} {\u2026}`;
+  }
+
+  const entries = Object.entries(value);
+  const isFlat = entries.every(([, entry]) => typeof entry !== "object" || entry === null);
+  if (entries.length <= 5 && isFlat) {
+    const json = JSON.stringify(value);
+    if (json.length <= MAX_PREVIEW_LENGTH) return json;
+  }
+  const keys = entries.slice(0, 3).map(([key]) => key);
+  return truncate(`{${keys.join(", ")}${entries.length > 3 ? ", \u2026" : ""}}`);
+}
+
+/**
+ * Passed to {@link trackStateUpdate} when an update is queued but its value is only known
+ * once React processed it (e.g. `useActionState`), so it can't become the cause of later effects.
+ */
+const UNKNOWN_VALUE = Symbol("unknown");
+
+// ─── Effect cleanups ─────────────────────────────────────────────────
+
+/**
+ * @typedef {{ runs: { time: number; changedDeps: string[] }[]; trippedAt: number }} ChurnState
+ */
+
+/**
+ * Record a re-run of an effect whose previous run returned a cleanup
+ * and report when it re-subscribes too often within the churn window.
+ * @param {EffectTracker} tracker
+ * @param {ChurnState} churnState
+ */
+function detectEffectChurn(tracker, churnState) {
+  const churnDetection = options.churnDetection;
+  if (!churnDetection) return;
+
+  const time = now();
+  const runs = churnState.runs.filter((run) => time - run.time <= churnDetection.windowMs);
+  runs.push({ time, changedDeps: tracker.changedDeps || [] });
+  churnState.runs = runs;
+
+  // Report once until the effect was quiet for a whole window
+  const isTripped = time - churnState.trippedAt < churnDetection.windowMs;
+  if (isTripped) churnState.trippedAt = time;
+  if (isTripped || runs.length < churnDetection.threshold) return;
+  churnState.trippedAt = time;
+
+  /** @type {Record<string, number>} */
+  const changedDeps = {};
+  for (const run of runs) {
+    for (const name of run.changedDeps) changedDeps[name] = (changedDeps[name] || 0) + 1;
+  }
+  log(
+    createEvent("effect-churn", tracker, {
+      churn: { count: runs.length, windowMs: churnDetection.windowMs, changedDeps },
+    }),
+  );
+}
+
+/**
+ * Wrap an effect cleanup to attribute its state changes and measure its duration.
+ * @param {() => void} cleanup
+ * @param {EffectTracker} tracker
+ * @returns {() => void}
+ */
+function trackCleanup(cleanup, tracker) {
+  return () => {
+    /** @type {EffectTracker} */
+    const cleanupTracker = {
+      ...tracker,
+      changedDeps: null,
+      deepEqualDeps: [],
+      unstableDeps: [],
+      cause: null,
+      async: null,
+      cleanup: true,
+      stateWasSet: false,
+    };
+    const previousTracker = globals.__effectTracker;
+    globals.__effectTracker = cleanupTracker;
+    const startTime = now();
+    try {
+      cleanup();
+    } finally {
+      globals.__effectTracker = previousTracker;
+    }
+
+    // Slow cleanup detection (>=8ms)
+    const duration = startTime > 0 ? now() - startTime : 0;
+    if (options.userTiming) measureEffectRun(cleanupTracker, startTime, duration);
+    recordTraceEffectRun(cleanupTracker, startTime, duration);
+    if (duration >= 8) {
+      log(createEvent("slow-effect", cleanupTracker, { duration }));
+    }
+  };
+}
+
+// ─── Render chain ────────────────────────────────────────────────────
+
+/**
+ * Components and custom hooks which are currently rendering, outermost first.
+ * Pushed and popped by the Babel plugin around their bodies.
+ * @type {string[]}
+ */
+const renderStack = [];
+
+/**
+ * @param {string} name component or custom hook name
+ */
+export function __enterRender(name) {
+  renderStack.push(name);
+}
+
+export function __exitRender() {
+  renderStack.pop();
+}
+
+/**
+ * Describe where a hook is called from, e.g. "CartDrawer › useCartTotal › useDebouncedValue".
+ * Must be called during render.
+ * @param {string} componentName the name of the function the hook is called in
+ * @returns {string}
+ */
+function getRenderChain(componentName) {
+  markHydrationRender();
+  if (renderStack.length === 0) return componentName;
+  const chain =
+    renderStack[renderStack.length - 1] === componentName
+      ? renderStack
+      : [...renderStack, componentName];
+  return chain.join(" \u203a ");
+}
+
+// ─── Render reasons ──────────────────────────────────────────────────
+
+/**
+ * Components which are currently rendering, innermost last.
+ * Only components instrumented with the Babel plugin option `renderReasons` are pushed.
+ * @type {ComponentRender[]}
+ */
+const componentRenders = [];
+
+/**
+ * `useLayoutEffect` warns when it is rendered on the server, where nothing is committed anyway.
+ */
+const useCommitEffect = typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+/**
+ * @returns {RenderTracker | null} the component which is currently rendering
+ */
+function getCurrentRender() {
+  return componentRenders[componentRenders.length - 1]?.tracker ?? null;
+}
+
+/**
+ * Start a render of a component, called by the Babel plugin at the top of the component body.
+ * Re-renders are reported once React committed them, so StrictMode's double render and
+ * interrupted concurrent renders are not reported.
+ * @param {string} componentName
+ * @param {string} location
+ * @param {Record<string, unknown> | undefined} props the props the component reads
+ */
+export function __beginRender(componentName, location, props) {
+  /** @type {{ current: RenderTracker | null }} */
+  const trackerRef = useRef(null);
+  trackerRef.current ??= {
+    location,
+    count: 0,
+    props: undefined,
+    contexts: new Map(),
+    pendingStates: [],
+    committed: null,
+  };
+  const tracker = trackerRef.current;
+  /** @type {ComponentRender} */
+  const render = {
+    tracker,
+    componentName: getRenderChain(componentName),
+    props,
+    contexts: new Map(),
+    changedContexts: [],
+    states: [...tracker.pendingStates],
+    reasons: null,
+  };
+  componentRenders.push(render);
+  useCommitEffect(() => commitRender(render));
+}
+
+/**
+ * End the render of a component and collect why it re-rendered.
+ * Called by the Babel plugin in a `finally` block of the component body.
+ */
+export function __endRender() {
+  const render = componentRenders.pop();
+  if (!render || render.tracker.count === 0) return;
+
+  /** @type {RenderReason[]} */
+  const reasons = [...render.states];
+  const changedProps = getChangedProps(render.tracker.props, render.props);
+  if (changedProps.length > 0) reasons.push({ kind: "props", names: changedProps });
+  if (render.changedContexts.length > 0) {
+    reasons.push({ kind: "context", names: render.changedContexts });
+  }
+  // Without own state, prop or context changes React re-rendered it along with its parent
+  if (reasons.length === 0) reasons.push({ kind: "parent" });
+  render.reasons = reasons;
+}
+
+/**
+ * Report a committed re-render and remember what it rendered with.
+ * @param {ComponentRender} render
+ */
+function commitRender(render) {
+  const { tracker } = render;
+  // StrictMode runs effects twice on mount
+  if (tracker.committed === render) return;
+  tracker.committed = render;
+  tracker.count++;
+  tracker.props = render.props;
+  tracker.contexts = render.contexts;
+  tracker.pendingStates = tracker.pendingStates.filter((state) => !render.states.includes(state));
+  if (!render.reasons || !isTracingActive()) return;
+
+  const component = {
+    location: tracker.location,
+    componentName: render.componentName,
+    hook: "render",
+    changedDeps: null,
+    deepEqualDeps: [],
+    unstableDeps: [],
+    depNames: null,
+    cause: null,
+    async: null,
+    cleanup: false,
+  };
+  log(
+    createEvent("render", component, { render: { count: tracker.count, reasons: render.reasons } }),
+  );
+}
+
+/**
+ * @param {Record<string, unknown> | undefined} prevProps
+ * @param {Record<string, unknown> | undefined} props
+ * @returns {string[]} names of the props which changed identity
+ */
+function getChangedProps(prevProps, props) {
+  if (!prevProps || !props) return [];
+  const names = new Set([...Object.keys(prevProps), ...Object.keys(props)]);
+  return [...names].filter((name) => !Object.is(prevProps[name], props[name]));
+}
+
+/**
+ * Remember a state update as the reason for the next render of the component owning the state.
+ * @param {StateMeta} meta
+ * @param {StateHookKind} stateHook
+ * @param {EffectTracker | null} tracker the effect which set the state
+ */
+function recordPendingState(meta, stateHook, tracker) {
+  if (!meta.render) return;
+  meta.render.pendingStates.push({
+    kind: "state",
+    stateName: meta.stateName,
+    stateHook,
+    effect: tracker && {
+      location: tracker.location,
+      componentName: tracker.componentName,
+      hook: tracker.hook,
+    },
+  });
+}
+
+/**
+ * @template T
+ * @param {import("react").Context<T>} context
+ * @param {string} contextName
+ * @returns {T}
+ */
+export function __trackedUseContext(context, contextName) {
+  const value = useContext(context);
+  const render = componentRenders[componentRenders.length - 1];
+  if (render) {
+    const { contexts } = render.tracker;
+    if (contexts.has(context) && !Object.is(contexts.get(context), value)) {
+      render.changedContexts.push(contextName);
+    }
+    render.contexts.set(context, value);
+  }
+  return value;
+}
+
+// ─── Tracked hooks ───────────────────────────────────────────────────
+
+let nextInstanceId = 1;
+
+/**
+ * Must be called during render.
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {StateMeta}
+ */
+function createStateMeta(location, componentName, stateName) {
+  return {
+    id: nextInstanceId++,
+    location,
+    componentName: getRenderChain(componentName),
+    stateName,
+    render: getCurrentRender(),
+  };
+}
+
+/** @type {WeakMap<Function, { wrapper: Function, meta: StateMeta }>} */
+const stateTrackerMap = new WeakMap();
+
+/** @type {WeakMap<Function, { wrapper: Function, meta: StateMeta }>} */
+const reducerTrackerMap = new WeakMap();
+
+/**
+ * @template T
+ * @param {T | (() => T)} initialValue
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {[T, (value: T | ((prev: T) => T)) => void]}
+ */
+export function __trackedUseState(initialValue, location, componentName, stateName) {
+  const [state, rawSetState] = useState(initialValue);
+
+  let tracked = stateTrackerMap.get(rawSetState);
+  if (!tracked) {
+    const meta = createStateMeta(location, componentName, stateName);
+    let value =
+      typeof initialValue === "function" ? /** @type {() => T} */ (initialValue)() : initialValue;
+    const wrapper = (/** @type {T | ((prev: T) => T)} */ valueOrUpdater) => {
+      const newValue =
+        typeof valueOrUpdater === "function"
+          ? /** @type {(prev: T) => T} */ (valueOrUpdater)(value)
+          : valueOrUpdater;
+      if (
+        value !== newValue &&
+        !trackStateUpdate(meta, "useState", newValue, { prevValue: value })
+      ) {
+        return;
+      }
+      value = newValue;
+      rawSetState(valueOrUpdater);
+    };
+    tracked = { wrapper, meta };
+    stateTrackerMap.set(rawSetState, tracked);
+  }
+
+  return [state, /** @type {(value: T | ((prev: T) => T)) => void} */ (tracked.wrapper)];
+}
+
+/**
+ * @template S
+ * @template A
+ * @param {(state: S, action: A) => S} reducer
+ * @param {any} initialArg
+ * @param {((arg: any) => S) | undefined} init
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {[S, (action: A) => void]}
+ */
+export function __trackedUseReducer(reducer, initialArg, init, location, componentName, stateName) {
+  const [state, rawDispatch] = init
+    ? useReducer(reducer, initialArg, init)
+    : useReducer(reducer, initialArg);
+
+  let tracked = reducerTrackerMap.get(rawDispatch);
+  if (!tracked) {
+    const meta = createStateMeta(location, componentName, stateName);
+    let trackedState = state;
+    const wrapper = (/** @type {A} */ action) => {
+      const nextState = reducer(trackedState, action);
+
+      if (
+        trackedState !== nextState &&
+        !trackStateUpdate(meta, "useReducer", nextState, {
+          action: options.valuePreviews ? getActionType(action) : null,
+          prevValue: trackedState,
+        })
+      ) {
+        return;
+      }
+
+      trackedState = nextState;
+      rawDispatch(action);
+    };
+    tracked = { wrapper, meta };
+    reducerTrackerMap.set(rawDispatch, tracked);
+  }
+
+  return [state, /** @type {(action: A) => void} */ (tracked.wrapper)];
+}
+
+/**
+ * Snapshot changes are reported when the store notifies its subscribers while an effect runs.
+ * Like with {@link traceStore}, `loopDetection.action: "halt"` can't stop the store's updates,
+ * so the component is always notified.
+ * @template T
+ * @param {(onStoreChange: () => void) => () => void} subscribe
+ * @param {() => T} getSnapshot
+ * @param {(() => T) | undefined} getServerSnapshot
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {T}
+ */
+export function __trackedUseSyncExternalStore(
+  subscribe,
+  getSnapshot,
+  getServerSnapshot,
+  location,
+  componentName,
+  stateName,
+) {
+  /** @type {{ current: { subscribe: typeof subscribe | null; wrapper: typeof subscribe | null; meta: StateMeta | null; getSnapshot: () => T; snapshot: T | undefined } }} */
+  const trackedRef = useRef({
+    subscribe: null,
+    wrapper: null,
+    meta: null,
+    getSnapshot,
+    snapshot: undefined,
+  });
+  const tracked = trackedRef.current;
+  tracked.getSnapshot = getSnapshot;
+  if (!tracked.meta) {
+    tracked.meta = createStateMeta(location, componentName, stateName);
+  }
+  const meta = tracked.meta;
+
+  // Keep the wrapper stable as long as the store's subscribe is stable
+  if (tracked.subscribe !== subscribe) {
+    tracked.subscribe = subscribe;
+    tracked.wrapper = (onStoreChange) =>
+      subscribe(() => {
+        const nextSnapshot = tracked.getSnapshot();
+        if (!Object.is(tracked.snapshot, nextSnapshot)) {
+          const prevSnapshot = tracked.snapshot;
+          tracked.snapshot = nextSnapshot;
+          trackStateUpdate(meta, "useSyncExternalStore", nextSnapshot, { prevValue: prevSnapshot });
+        }
+        // The store already changed, dropping the notification would only tear the UI
+        onStoreChange();
+      });
+  }
+
+  const snapshot = useSyncExternalStore(
+    /** @type {typeof subscribe} */ (tracked.wrapper),
+    getSnapshot,
+    getServerSnapshot,
+  );
+  tracked.snapshot = snapshot;
+  return snapshot;
+}
+
+/**
+ * Starting a transition from an effect is reported as a change of its pending state.
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {[boolean, (callback: () => void | Promise<void>) => void]}
+ */
+export function __trackedUseTransition(location, componentName, stateName) {
+  const [isPending, rawStartTransition] = useTransition();
+
+  let tracked = stateTrackerMap.get(rawStartTransition);
+  if (!tracked) {
+    const meta = createStateMeta(location, componentName, stateName);
+    const wrapper = (/** @type {() => void | Promise<void>} */ callback) => {
+      // The pending state is not a value the app could pass on as a dep
+      if (!trackStateUpdate(meta, "useTransition", UNKNOWN_VALUE)) return;
+      rawStartTransition(/** @type {() => void} */ (callback));
+    };
+    tracked = { wrapper, meta };
+    stateTrackerMap.set(rawStartTransition, tracked);
+  }
+
+  return [
+    isPending,
+    /** @type {(callback: () => void | Promise<void>) => void} */ (tracked.wrapper),
+  ];
+}
+
+/**
+ * Read a React 19 hook from the namespace, named imports of it would break loading the
+ * runtime with React 18 in ESM-strict bundlers.
+ * Only called by the tracked hooks, which replace calls of the same hook.
+ * @template {"useOptimistic" | "useActionState"} K
+ * @param {K} name
+ * @returns {(typeof React)[K]}
+ */
+function getReact19Hook(name) {
+  const hook = /** @type {Record<string, unknown>} */ (/** @type {unknown} */ (React))[name];
+  if (typeof hook !== "function") {
+    throw new Error(`${name} is not available in React ${React.version}, it requires React 19`);
+  }
+  return /** @type {(typeof React)[K]} */ (hook);
+}
+
+/**
+ * @template S
+ * @template A
+ * @param {S} passthrough
+ * @param {((state: S, action: A) => S) | undefined} reducer
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {[S, (action: A) => void]}
+ */
+export function __trackedUseOptimistic(passthrough, reducer, location, componentName, stateName) {
+  const useOptimistic = getReact19Hook("useOptimistic");
+  const [optimisticState, rawAddOptimistic] = reducer
+    ? useOptimistic(passthrough, reducer)
+    : useOptimistic(passthrough);
+
+  /** @type {{ current: { wrapper: ((action: A) => void) | null; state: S } }} */
+  const trackedRef = useRef({ wrapper: null, state: optimisticState });
+  const tracked = trackedRef.current;
+  tracked.state = optimisticState;
+  if (!tracked.wrapper) {
+    const meta = createStateMeta(location, componentName, stateName);
+    tracked.wrapper = (action) => {
+      const nextState = reducer
+        ? reducer(tracked.state, action)
+        : typeof action === "function"
+          ? /** @type {(pendingState: S) => S} */ (action)(tracked.state)
+          : /** @type {S} */ (/** @type {unknown} */ (action));
+      if (
+        !Object.is(tracked.state, nextState) &&
+        !trackStateUpdate(meta, "useOptimistic", nextState, { prevValue: tracked.state })
+      ) {
+        return;
+      }
+      tracked.state = nextState;
+      /** @type {(action: A) => void} */ (rawAddOptimistic)(action);
+    };
+  }
+
+  return [optimisticState, tracked.wrapper];
+}
+
+/**
+ * Dispatching an action from an effect is reported as a change of the action state.
+ * @template S
+ * @template P
+ * @param {(state: Awaited<S>, payload: P) => S | Promise<S>} action
+ * @param {Awaited<S>} initialState
+ * @param {string | undefined} permalink
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {[Awaited<S>, (payload: P) => void, boolean]}
+ */
+export function __trackedUseActionState(
+  action,
+  initialState,
+  permalink,
+  location,
+  componentName,
+  stateName,
+) {
+  const useActionState = getReact19Hook("useActionState");
+  const [state, rawDispatch, isPending] = useActionState(action, initialState, permalink);
+
+  let tracked = reducerTrackerMap.get(rawDispatch);
+  if (!tracked) {
+    const meta = createStateMeta(location, componentName, stateName);
+    const wrapper = (/** @type {P} */ payload) => {
+      if (!trackStateUpdate(meta, "useActionState", UNKNOWN_VALUE)) return;
+      rawDispatch(payload);
+    };
+    tracked = { wrapper, meta };
+    reducerTrackerMap.set(rawDispatch, tracked);
+  }
+
+  return [state, /** @type {(payload: P) => void} */ (tracked.wrapper), isPending];
+}
+
+/**
+ * Shared implementation for tracked effect hooks.
+ * @param {(effect: React.EffectCallback, deps?: React.DependencyList) => void} effectHook
+ * @param {EffectHookKind} hook
+ * @param {() => (void | (() => void))} callback
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string[] | null} depNames
+ */
+function trackedEffectImpl(effectHook, hook, callback, deps, location, componentName, depNames) {
+  effectHook(
+    useTrackedEffectCallback(hook, callback, deps, location, componentName, depNames),
+    deps,
+  );
+}
+
+/**
+ * Wrap an effect callback so that it runs as the current effect tracker.
+ * Must be called during render, once per effect.
+ * @param {EffectHookKind} hook
+ * @param {(...args: any[]) => (void | (() => void))} callback
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string[] | null} depNames
+ * @returns {(...args: any[]) => (void | (() => void))}
+ */
+function useTrackedEffectCallback(hook, callback, deps, location, componentName, depNames) {
+  /** @type {{ current: ReadonlyArray<unknown> | undefined }} */
+  const prevDepsRef = useRef(undefined);
+  const isInitialRef = useRef(true);
+  // Effect-like hooks may skip the run on mount (e.g. `useUpdateEffect`)
+  /** @type {{ current: ReadonlyArray<unknown> | undefined | null }} */
+  const mountDepsRef = useRef(null);
+  if (mountDepsRef.current === null) mountDepsRef.current = deps ? [...deps] : undefined;
+  const lastRunRef = useRef(0);
+  const hadCleanupRef = useRef(false);
+  /** @type {{ current: ChurnState }} */
+  const churnRef = useRef({ runs: [], trippedAt: -Infinity });
+  const instanceIdRef = useRef(0);
+  if (instanceIdRef.current === 0) instanceIdRef.current = nextInstanceId++;
+  const renderChain = getRenderChain(componentName);
+  /** @type {{ current: RenderDeps | null }} */
+  const renderDepsRef = useRef(null);
+  const unstableDeps = getUnstableDeps(renderDepsRef, deps, depNames);
+
+  return (...args) => {
+    if (!isTracingActive()) return callback(...args);
+
+    /** @type {string[] | null} */
+    let changedDeps = null;
+    /** @type {string[]} */
+    let deepEqualDeps = [];
+    /** @type {StateCause | null} */
+    let cause = null;
+
+    if (isInitialRef.current) {
+      const mountDeps = mountDepsRef.current ?? undefined;
+      const changedSinceMount = getChangedDeps(mountDeps, deps, depNames);
+      if (changedSinceMount && changedSinceMount.length > 0) {
+        changedDeps = changedSinceMount;
+        deepEqualDeps = getDeepEqualDeps(mountDeps, deps, depNames);
+        cause = findCause(mountDeps, deps, 0, depNames);
+      }
+      isInitialRef.current = false;
+    } else {
+      changedDeps = getChangedDeps(prevDepsRef.current, deps, depNames);
+      if (changedDeps === null) changedDeps = [];
+      if (changedDeps.length > 0) {
+        deepEqualDeps = getDeepEqualDeps(prevDepsRef.current, deps, depNames);
+      }
+      cause = findCause(prevDepsRef.current, deps, lastRunRef.current, depNames);
+    }
+    lastRunRef.current = now();
+
+    prevDepsRef.current = deps ? [...deps] : undefined;
+
+    if (options.asyncTracking) installAsyncTracking();
 
     const previousTracker = globals.__effectTracker;
     /** @type {EffectTracker} */
     const tracker = {
+      instanceId: instanceIdRef.current,
       location,
-      componentName,
+      componentName: renderChain,
+      hook,
       changedDeps,
+      deepEqualDeps,
+      unstableDeps: changedDeps ? unstableDeps.filter((name) => changedDeps.includes(name)) : [],
       depNames,
+      cause,
+      async: null,
+      cleanup: false,
       stateWasSet: false,
     };
     globals.__effectTracker = tracker;
 
     /** @type {void | (() => void)} */
     let cleanup;
-    const startTime = typeof performance !== "undefined" ? performance.now() : 0;
+    const startTime = now();
     try {
-      cleanup = callback();
+      cleanup = callback(...args);
     } finally {
       globals.__effectTracker = previousTracker;
     }
 
     // Slow effect detection (>=8ms)
-    if (startTime > 0) {
-      const duration = performance.now() - startTime;
-      if (duration >= 8) {
-        log(
-          `Slow effect: useEffect ${location} in ${componentName} took ${Math.round(duration)}ms`,
-          "slow-effect",
-          location,
-          `${location}:${componentName}`,
-        );
-      }
+    const duration = startTime > 0 ? now() - startTime : 0;
+    recordEffectRun(tracker, duration);
+    recordHydrationActivity(tracker, "effectRuns");
+    if (options.userTiming) measureEffectRun(tracker, startTime, duration);
+    recordTraceEffectRun(tracker, startTime, duration);
+    if (duration >= 8) {
+      log(createEvent("slow-effect", tracker, { duration }));
     }
 
     // Non-loop effects: log for long task visibility only
     if (!tracker.stateWasSet) {
-      const reason =
-        changedDeps === null
-          ? "it was initially mounted"
-          : changedDeps.length === 0
-            ? "it re-ran (no deps changed detected)"
-            : `${changedDeps.join(", ")} changed`;
-      log(
-        `useEffect ${location} in ${componentName} ran because ${reason}`,
-        "effect-run",
-        location,
-        `${location}:${componentName}`,
-      );
+      log(createEvent("effect-run", tracker, { duration }));
     }
 
-    return cleanup;
-  }, deps);
+    // Re-running after a cleanup means the effect tore down and re-subscribed
+    if (hadCleanupRef.current && changedDeps !== null) {
+      detectEffectChurn(tracker, churnRef.current);
+    }
+    hadCleanupRef.current = typeof cleanup === "function";
+
+    return typeof cleanup === "function" ? trackCleanup(cleanup, tracker) : cleanup;
+  };
 }
 
 /**
@@ -461,7 +2849,7 @@ function trackedEffectImpl(effectHook, callback, deps, location, componentName,
  * @param {string[] | null} depNames
  */
 export function __trackedUseEffect(callback, deps, location, componentName, depNames) {
-  trackedEffectImpl(useEffect, callback, deps, location, componentName, depNames);
+  trackedEffectImpl(useEffect, "useEffect", callback, deps, location, componentName, depNames);
 }
 
 /**
@@ -472,5 +2860,267 @@ export function __trackedUseEffect(callback, deps, location, componentName, depN
  * @param {string[] | null} depNames
  */
 export function __trackedUseLayoutEffect(callback, deps, location, componentName, depNames) {
-  trackedEffectImpl(useLayoutEffect, callback, deps, location, componentName, depNames);
+  trackedEffectImpl(
+    useLayoutEffect,
+    "useLayoutEffect",
+    callback,
+    deps,
+    location,
+    componentName,
+    depNames,
+  );
+}
+
+/**
+ * @param {() => (void | (() => void))} callback
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string[] | null} depNames
+ */
+export function __trackedUseInsertionEffect(callback, deps, location, componentName, depNames) {
+  trackedEffectImpl(
+    useInsertionEffect,
+    "useInsertionEffect",
+    callback,
+    deps,
+    location,
+    componentName,
+    depNames,
+  );
+}
+
+// ─── Memo recomputations ─────────────────────────────────────────────
+
+/**
+ * Report a recomputation of a useMemo or useCallback, and when it recomputed on each of the
+ * last {@link UNSTABLE_RENDER_STREAK} renders.
+ * Must be called during render, once per hook.
+ * @param {"useMemo" | "useCallback"} hook
+ * @param {boolean} recomputed whether React computed a new value during this render
+ * @param {number | null} duration how long the factory took, `null` for useCallback
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string[] | null} depNames
+ */
+function useTrackedMemo(hook, recomputed, duration, deps, location, componentName, depNames) {
+  /** @type {{ current: ReadonlyArray<unknown> | undefined }} */
+  const prevDepsRef = useRef(undefined);
+  const isInitialRef = useRef(true);
+  const lastRunRef = useRef(0);
+  // Renders in a row which recomputed the value
+  const streakRef = useRef(0);
+  /** @type {{ current: RenderDeps | null }} */
+  const renderDepsRef = useRef(null);
+  const renderChain = getRenderChain(componentName);
+  const unstableDeps = getUnstableDeps(renderDepsRef, deps, depNames);
+
+  if (!recomputed) {
+    streakRef.current = 0;
+    return;
+  }
+  const prevDeps = prevDepsRef.current;
+  prevDepsRef.current = deps ? [...deps] : undefined;
+  const lastRun = lastRunRef.current;
+  lastRunRef.current = now();
+  // The first computation on mount is not a recomputation
+  if (isInitialRef.current) {
+    isInitialRef.current = false;
+    return;
+  }
+  if (!isTracingActive()) return;
+
+  const changedDeps = getChangedDeps(prevDeps, deps, depNames) ?? [];
+  const memo = {
+    location,
+    componentName: renderChain,
+    hook,
+    changedDeps,
+    deepEqualDeps: changedDeps.length > 0 ? getDeepEqualDeps(prevDeps, deps, depNames) : [],
+    unstableDeps: unstableDeps.filter((name) => changedDeps.includes(name)),
+    depNames,
+    cause: findCause(prevDeps, deps, lastRun, depNames),
+    async: null,
+    cleanup: false,
+  };
+  log(createEvent("memo-recompute", memo, duration === null ? {} : { duration }));
+
+  streakRef.current++;
+  if (streakRef.current === UNSTABLE_RENDER_STREAK) {
+    log(createEvent("unstable-memo", memo));
+  }
+}
+
+/**
+ * @template T
+ * @param {() => T} factory
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string[] | null} depNames
+ * @returns {T}
+ */
+export function __trackedUseMemo(factory, deps, location, componentName, depNames) {
+  /** @type {{ current: number | null }} */
+  const durationRef = useRef(null);
+  durationRef.current = null;
+  const value = useMemo(() => {
+    const startTime = now();
+    const result = factory();
+    durationRef.current = now() - startTime;
+    return result;
+    // Without deps React recomputes on every render
+  }, /** @type {import("react").DependencyList} */ (deps));
+  const duration = durationRef.current;
+  useTrackedMemo("useMemo", duration !== null, duration, deps, location, componentName, depNames);
+  return value;
+}
+
+/**
+ * @template {Function} T
+ * @param {T} callback
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string[] | null} depNames
+ * @returns {T}
+ */
+export function __trackedUseCallback(callback, deps, location, componentName, depNames) {
+  const memoized = useCallback(callback, /** @type {import("react").DependencyList} */ (deps));
+  /** @type {{ current: T | null }} */
+  const previousRef = useRef(null);
+  const recomputed = !Object.is(previousRef.current, memoized);
+  previousRef.current = memoized;
+  useTrackedMemo("useCallback", recomputed, null, deps, location, componentName, depNames);
+  return memoized;
+}
+
+// ─── External stores ─────────────────────────────────────────────────
+
+/**
+ * Set while a tracked dispatch forwards an action, so the store subscription
+ * of {@link traceStore} doesn't report the same update twice.
+ */
+let isTrackedDispatch = false;
+
+/**
+ * Describe a dispatched action: the `type` of plain actions, the name of thunks.
+ * @param {unknown} action
+ * @returns {string | null}
+ */
+function getActionType(action) {
+  if (typeof action === "function") return action.name || "thunk";
+  if (action && typeof action === "object" && "type" in action && typeof action.type === "string") {
+    return action.type;
+  }
+  return null;
+}
+
+/**
+ * Wraps the dispatch function returned by react-redux's `useDispatch`.
+ * Dispatching from an effect is reported with the action type.
+ * @template {Function} D
+ * @param {D} dispatch
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string} stateName
+ * @returns {D}
+ */
+export function __trackedUseDispatch(dispatch, location, componentName, stateName) {
+  /** @type {{ current: { dispatch: D | null; wrapper: D | null; meta: StateMeta | null } }} */
+  const trackedRef = useRef({ dispatch: null, wrapper: null, meta: null });
+  const tracked = trackedRef.current;
+  if (!tracked.meta) {
+    tracked.meta = createStateMeta(location, componentName, stateName);
+  }
+  const meta = tracked.meta;
+
+  // Keep the wrapper stable as long as the store's dispatch is stable
+  if (tracked.dispatch !== dispatch) {
+    tracked.dispatch = dispatch;
+    tracked.wrapper = /** @type {D} */ (
+      /** @type {unknown} */ (
+        (/** @type {unknown} */ action) => {
+          if (
+            !trackStateUpdate(meta, "useDispatch", UNKNOWN_VALUE, { action: getActionType(action) })
+          ) {
+            return undefined;
+          }
+          isTrackedDispatch = true;
+          try {
+            return dispatch(action);
+          } finally {
+            isTrackedDispatch = false;
+          }
+        }
+      )
+    );
+  }
+
+  return /** @type {D} */ (tracked.wrapper);
+}
+
+/**
+ * Trace an external store, e.g. a Redux store or a zustand store (or the hook returned by `create`).
+ * Every store update that happens while an effect is active is reported as a change of
+ * `storeName`. Stores with a `dispatch` function additionally report the action type.
+ *
+ * Unlike tracked React setters, store updates already happened once the store notifies,
+ * so `loopDetection.action: "halt"` can only stop dispatches made through `useDispatch`.
+ *
+ * @template {{ subscribe: (listener: () => void) => unknown }} T
+ * @param {T} store
+ * @param {string} storeName
+ * @returns {T}
+ */
+export function traceStore(store, storeName) {
+  /** @type {StateMeta} */
+  const meta = {
+    id: nextInstanceId++,
+    location: storeName,
+    componentName: storeName,
+    stateName: storeName,
+  };
+  /** @type {string | null} */
+  let pendingAction = null;
+
+  const dispatchable = /** @type {{ dispatch?: unknown }} */ (store);
+  const rawDispatch = dispatchable.dispatch;
+  if (typeof rawDispatch === "function") {
+    dispatchable.dispatch = (/** @type {unknown} */ action) => {
+      const previousAction = pendingAction;
+      pendingAction = getActionType(action);
+      try {
+        return rawDispatch.call(store, action);
+      } finally {
+        pendingAction = previousAction;
+      }
+    };
+  }
+
+  store.subscribe(() => {
+    if (isTrackedDispatch || !globals.__effectTracker) return;
+    trackStateUpdate(meta, "store", UNKNOWN_VALUE, { action: pendingAction });
+  });
+
+  return store;
+}
+
+/**
+ * Wraps the callback of a user-defined effect-like hook (e.g. `useDeepCompareEffect`)
+ * configured with the `effectHooks` option of the Babel plugin.
+ * @template {(...args: any[]) => (void | (() => void))} C
+ * @param {C} callback
+ * @param {ReadonlyArray<unknown> | undefined} deps
+ * @param {string} location
+ * @param {string} componentName
+ * @param {string[] | null} depNames
+ * @param {string} hook name of the effect-like hook
+ * @returns {C}
+ */
+export function __trackedEffectCallback(callback, deps, location, componentName, depNames, hook) {
+  return /** @type {C} */ (
+    useTrackedEffectCallback(hook, callback, deps, location, componentName, depNames)
+  );
 }
@@ -0,0 +1,122 @@
+/// @ts-check
+
+/**
+ * The public runtime API for production builds which are not instrumented.
+ *
+ * Resolved through the `production` condition of the package's `./runtime` export,
+ * so app code like `traceStore(createStore(reducer), "store")` can import the runtime
+ * statically without shipping it. Nothing is traced: every function is a no-op or returns
+ * an empty result. Builds instrumented with `production: true` resolve the real runtime.
+ *
+ * @typedef {import("./runtime.js").TraceEvent} TraceEvent
+ * @typedef {import("./runtime.js").TraceListener} TraceListener
+ * @typedef {import("./runtime.js").TraceSummary} TraceSummary
+ * @typedef {import("./runtime.js").HydrationReport} HydrationReport
+ * @typedef {import("./runtime.js").TraceFile} TraceFile
+ * @typedef {import("./runtime.js").StateCause} StateCause
+ */
+
+/**
+ * @param {Parameters<typeof import("./runtime.js").configure>[0]} _newOptions
+ */
+export function configure(_newOptions) {}
+
+/**
+ * @param {string} _location
+ * @returns {string | null}
+ */
+export function getEditorLink(_location) {
+  return null;
+}
+
+/**
+ * @param {TraceListener} _listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribe(_listener) {
+  return () => {};
+}
+
+/**
+ * @param {TraceEvent} _event
+ * @returns {string}
+ */
+export function formatEvent(_event) {
+  return "";
+}
+
+/**
+ * @returns {TraceSummary}
+ */
+export function getSummary() {
+  return { components: [], effects: [] };
+}
+
+export function resetSummary() {}
+
+export function printSummary() {}
+
+/**
+ * @returns {HydrationReport | null}
+ */
+export function getHydrationReport() {
+  return null;
+}
+
+/**
+ * @returns {TraceFile}
+ */
+export function getTrace() {
+  return { traceEvents: [], displayTimeUnit: "ms", otherData: {} };
+}
+
+export function clearTrace() {}
+
+/**
+ * @returns {TraceEvent[]}
+ */
+export function getRecordedEvents() {
+  return [];
+}
+
+/**
+ * @param {string} [_filename]
+ * @returns {TraceFile}
+ */
+export function exportTrace(_filename) {
+  return getTrace();
+}
+
+/**
+ * @param {Pick<TraceEvent, "cause">} _event
+ * @returns {StateCause[]}
+ */
+export function getCauseChain(_event) {
+  return [];
+}
+
+/**
+ * Never thrown in production builds, exported for `instanceof` checks.
+ */
+export class RenderLoopError extends Error {
+  /**
+   * @param {string} message
+   * @param {TraceEvent} event
+   */
+  constructor(message, event) {
+    super(message);
+    this.name = "RenderLoopError";
+    this.event = event;
+  }
+}
+
+/**
+ * Returns the store untouched.
+ * @template {{ subscribe: (listener: () => void) => unknown }} T
+ * @param {T} store
+ * @param {string} _storeName
+ * @returns {T}
+ */
+export function traceStore(store, _storeName) {
+  return store;
+}
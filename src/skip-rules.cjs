@@ -0,0 +1,41 @@
+/// @ts-check
+
+const ignoredFolders = [
+  "/node_modules/react-dom/",
+  "/node_modules/react/",
+  "/compiled/react-dom/",
+  "/compiled/react/",
+  "/compiled/react-server-dom-webpack/",
+  "compiled/next-devtools/",
+  "react-refresh/cjs/react-refresh-runtime.development.js",
+];
+
+/** The runtime and overlay of this package */
+const packageSources = __dirname.split("\\").join("/") + "/";
+
+/**
+ * The import of the runtime helpers the Babel plugin injects, ESM or CommonJS:
+ * `import { __trackedUseState, __enterRender } from "@jantimon/react-render-loop-tracer/runtime"`
+ * Imports of the public API like `configure` are not matched.
+ */
+const instrumentedImport =
+  /\b__\w+\s*\}\s*(?:from\s*|=\s*require\(\s*)["']@jantimon\/react-render-loop-tracer\/runtime["']/;
+
+/**
+ * Files which are passed through untouched by every bundler integration:
+ * React itself, this package's runtime, sources which don't reference "react" at all,
+ * and files already transformed by the plugin.
+ *
+ * @param {string} filename absolute path, with either slash style
+ * @param {string} source
+ * @returns {boolean}
+ */
+function shouldSkipFile(filename, source) {
+  const normalized = filename.split("\\").join("/");
+  if (ignoredFolders.some((folder) => normalized.includes(folder))) return true;
+  if (normalized.startsWith(packageSources)) return true;
+  if (!source.includes("react")) return true;
+  return instrumentedImport.test(source);
+}
+
+module.exports = { shouldSkipFile };
@@ -0,0 +1,4 @@
+import type { Plugin } from "vite";
+import type { RenderLoopTracerOptions } from "./index.js";
+
+export function renderLoopTracer(tracerOptions?: RenderLoopTracerOptions): Plugin;
@@ -0,0 +1,77 @@
+/// @ts-check
+
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { transformAsync } from "@babel/core";
+import { SOURCE_FILE_PATTERN } from "./file-matcher.js";
+import skipRules from "./skip-rules.cjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const RUNTIME_IMPORT = "@jantimon/react-render-loop-tracer/runtime";
+
+/**
+ * @typedef {import("./babel-plugin.js").PluginOptions} PluginOptions
+ */
+
+/**
+ * Vite plugin for React render loop tracing, e.g. for Vite SPAs and Remix.
+ *
+ * Usage in vite.config.js:
+ *
+ *   import react from "@vitejs/plugin-react";
+ *   import { renderLoopTracer } from "@jantimon/react-render-loop-tracer/vite";
+ *   export default defineConfig({ plugins: [renderLoopTracer(), react()] });
+ *
+ * Only client code of the dev server is transformed — builds and SSR modules are left
+ * untouched unless `production: true` is set.
+ * All other tracer options are passed on to the Babel plugin, see {@link PluginOptions}.
+ *
+ * @param {PluginOptions & { production?: boolean }} [tracerOptions]
+ * @returns {import("vite").Plugin}
+ */
+export function renderLoopTracer(tracerOptions = {}) {
+  const { production = false, ...pluginOptions } = tracerOptions;
+  /** @type {string | undefined} */
+  let root;
+
+  return {
+    name: "react-render-loop-tracer",
+    enforce: "pre",
+    apply: (_config, env) => env.command === "serve" || production,
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    resolveId(id) {
+      if (id === RUNTIME_IMPORT) {
+        return path.resolve(__dirname, "./runtime.js");
+      }
+      return null;
+    },
+
+    async transform(code, id, options) {
+      if (options?.ssr) return null;
+      // Skip virtual modules and strip queries like `?v=123`
+      if (id.startsWith("\0")) return null;
+      const filename = id.split("?")[0];
+      if (!SOURCE_FILE_PATTERN.test(filename) || skipRules.shouldSkipFile(filename, code)) {
+        return null;
+      }
+
+      const result = await transformAsync(code, {
+        filename,
+        root,
+        babelrc: false,
+        configFile: false,
+        plugins: [[path.resolve(__dirname, "./babel-plugin.js"), pluginOptions]],
+        parserOpts: { plugins: ["jsx", "typescript"] },
+        sourceType: "unambiguous",
+        sourceMaps: true,
+      });
+      if (!result?.code) return null;
+      return { code: result.code, map: result.map };
+    },
+  };
+}
@@ -0,0 +1,21 @@
+import type { RenderLoopTracerOptions } from "./index.js";
+
+/** The parts of a webpack or Rspack compiler the plugin touches */
+export interface Compiler {
+  options: {
+    context?: string;
+    mode?: string;
+    target?: string | string[] | false;
+    module: { rules?: unknown[] };
+    resolve: {
+      alias?:
+        | Record<string, string | false | string[]>
+        | { name: string; alias: string | false | string[] }[];
+    };
+  };
+}
+
+export class RenderLoopTracerWebpackPlugin {
+  constructor(tracerOptions?: RenderLoopTracerOptions);
+  apply(compiler: Compiler): void;
+}
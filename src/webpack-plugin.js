@@ -0,0 +1,84 @@
+/// @ts-check
+
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { SOURCE_FILE_PATTERN } from "./file-matcher.js";
+import { createLoaderOptions } from "./loader-options.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const RUNTIME_IMPORT = "@jantimon/react-render-loop-tracer/runtime";
+
+/**
+ * @typedef {import("./babel-plugin.js").PluginOptions} PluginOptions
+ */
+
+/**
+ * The parts of a webpack or Rspack compiler the plugin touches
+ *
+ * @typedef {object} Compiler
+ * @property {object} options
+ * @property {string} [options.context]
+ * @property {string} [options.mode]
+ * @property {string | string[] | false} [options.target]
+ * @property {{ rules?: unknown[] }} options.module
+ * @property {{ alias?: Record<string, string | false | string[]> | { name: string; alias: string | false | string[] }[] }} options.resolve
+ */
+
+/**
+ * Webpack and Rspack plugin for React render loop tracing outside of Next.js,
+ * e.g. for Storybook, Module Federation or ejected CRA setups.
+ *
+ * Usage in webpack.config.js / rspack.config.js:
+ *
+ *   import { RenderLoopTracerWebpackPlugin } from "@jantimon/react-render-loop-tracer/webpack";
+ *   export default { plugins: [new RenderLoopTracerWebpackPlugin()] };
+ *
+ * Only development builds for the browser are instrumented — production builds and
+ * node targets are left untouched unless `production: true` is set.
+ * All other tracer options are passed on to the Babel plugin, see {@link PluginOptions}.
+ */
+export class RenderLoopTracerWebpackPlugin {
+  /**
+   * @param {PluginOptions & { production?: boolean }} [tracerOptions]
+   */
+  constructor(tracerOptions = {}) {
+    const { production = false, ...pluginOptions } = tracerOptions;
+    this.production = production;
+    this.pluginOptions = pluginOptions;
+  }
+
+  /**
+   * @param {Compiler} compiler
+   */
+  apply(compiler) {
+    const { options } = compiler;
+    // Plugins are applied before defaults, webpack and Rspack default to production
+    const isDevelopment = options.mode === "development";
+    const targets = typeof options.target === "string" ? [options.target] : options.target || [];
+    const isServer = targets.some((target) => /^(async-)?node|^electron-main/.test(target));
+    if (!this.production && (!isDevelopment || isServer)) {
+      return;
+    }
+
+    options.module.rules ??= [];
+    options.module.rules.push({
+      test: SOURCE_FILE_PATTERN,
+      enforce: "pre",
+      use: {
+        loader: path.resolve(__dirname, "./react-hook-babel-loader.cjs"),
+        // Locations relative to the project like in Next.js, not to the working directory
+        options: createLoaderOptions({ root: options.context, ...this.pluginOptions }),
+      },
+    });
+
+    // Resolve the runtime from this package, also for symlinked or federated builds
+    const runtime = path.resolve(__dirname, "./runtime.js");
+    const alias = options.resolve.alias;
+    if (Array.isArray(alias)) {
+      alias.push({ name: RUNTIME_IMPORT, alias: runtime });
+    } else {
+      options.resolve.alias = { [RUNTIME_IMPORT]: runtime, ...alias };
+    }
+  }
+}
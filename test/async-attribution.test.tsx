@@ -0,0 +1,260 @@
+import { useState, useEffect } from "react";
+import { render, act, screen } from "@testing-library/react";
+
+describe("Async Attribution", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (msg.includes("changed useState")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  const wait = (ms: number) =>
+    act(async () => {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+    });
+
+  it("attributes setState inside setTimeout to the effect", async () => {
+    function Delayed() {
+      const [value, setValue] = useState(0);
+      useEffect(() => {
+        const timer = setTimeout(() => setValue(1), 1);
+        return () => clearTimeout(timer);
+      }, []);
+      return <div>{value}</div>;
+    }
+
+    await act(async () => {
+      render(<Delayed />);
+    });
+    await wait(20);
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('in Delayed changed useState "value" asynchronously (setTimeout)');
+    expect(logs[0]).toContain("initially mounted");
+  });
+
+  it("attributes setState inside promise callbacks to the effect", async () => {
+    function Fetcher({ url }: { url: string }) {
+      const [data, setData] = useState("");
+      useEffect(() => {
+        Promise.resolve(url)
+          .then((result) => result.toUpperCase())
+          .then(setData);
+      }, [url]);
+      return <div>{data}</div>;
+    }
+
+    await act(async () => {
+      render(<Fetcher url="/api" />);
+    });
+    await wait(5);
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('changed useState "data" asynchronously (promise)');
+  });
+
+  it("attributes setState after await to the effect", async () => {
+    function Loader({ id }: { id: number }) {
+      const [user, setUser] = useState("");
+      useEffect(() => {
+        async function load() {
+          const name = await new Promise<string>((resolve) =>
+            setTimeout(() => resolve(`user-${id}`), 1),
+          );
+          setUser(name);
+        }
+        load();
+      }, [id]);
+      return <div>{user}</div>;
+    }
+
+    await act(async () => {
+      render(<Loader id={1} />);
+    });
+    await wait(20);
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('in Loader changed useState "user" asynchronously (await)');
+  });
+
+  it("attributes setState in catch after a rejected await to the effect", async () => {
+    function Loader() {
+      const [error, setError] = useState("");
+      useEffect(() => {
+        async function load() {
+          try {
+            await new Promise((_, reject) => setTimeout(() => reject(new Error("offline")), 1));
+          } catch (e) {
+            setError((e as Error).message);
+          }
+        }
+        load();
+      }, []);
+      return <div>{error}</div>;
+    }
+
+    await act(async () => {
+      render(<Loader />);
+    });
+    await wait(20);
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('in Loader changed useState "error" asynchronously (await)');
+    expect(globalThis.__effectTracker).toBeNull();
+  });
+
+  it("does not leak the effect context into code running after an await", async () => {
+    let outsideTracker: unknown = "unset";
+    function Loader() {
+      const [user, setUser] = useState("");
+      useEffect(() => {
+        async function load() {
+          await Promise.resolve();
+          setUser("loaded");
+        }
+        load();
+      }, []);
+      return <div>{user}</div>;
+    }
+
+    await act(async () => {
+      render(<Loader />);
+    });
+    await wait(5);
+    outsideTracker = globalThis.__effectTracker;
+
+    expect(outsideTracker).toBeNull();
+    expect(logs).toHaveLength(1);
+  });
+
+  it("attributes setState inside event listeners registered by the effect", async () => {
+    function Visibility() {
+      const [changes, setChanges] = useState(0);
+      useEffect(() => {
+        const update = () => setChanges((count) => count + 1);
+        document.addEventListener("visibilitychange", update);
+        return () => document.removeEventListener("visibilitychange", update);
+      }, []);
+      return <div data-testid="changes">{changes}</div>;
+    }
+
+    const { unmount } = await act(async () => render(<Visibility />));
+
+    await act(async () => {
+      document.dispatchEvent(new Event("visibilitychange"));
+    });
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('changed useState "changes" asynchronously (addEventListener)');
+    expect(screen.getByTestId("changes").textContent).toBe("1");
+
+    // removeEventListener still removes the wrapped listener
+    unmount();
+    logs.length = 0;
+    document.dispatchEvent(new Event("visibilitychange"));
+    expect(logs).toHaveLength(0);
+  });
+
+  it("attributes a shared event listener to each effect which registered it", async () => {
+    const updates = new Map<EventTarget | null, () => void>();
+    const handleEvent = (event: Event) => updates.get(event.currentTarget)?.();
+    function Header() {
+      const [width, setWidth] = useState(0);
+      useEffect(() => {
+        updates.set(document.body, () => setWidth((value) => value + 1));
+        document.body.addEventListener("resize", handleEvent);
+        return () => document.body.removeEventListener("resize", handleEvent);
+      }, []);
+      return <div>{width}</div>;
+    }
+    function Footer() {
+      const [scrolls, setScrolls] = useState(0);
+      useEffect(() => {
+        updates.set(document, () => setScrolls((value) => value + 1));
+        document.addEventListener("scroll", handleEvent);
+        return () => document.removeEventListener("scroll", handleEvent);
+      }, []);
+      return <div>{scrolls}</div>;
+    }
+
+    const { unmount } = await act(async () =>
+      render(
+        <>
+          <Header />
+          <Footer />
+        </>,
+      ),
+    );
+    await act(async () => {
+      document.body.dispatchEvent(new Event("resize"));
+      document.dispatchEvent(new Event("scroll"));
+    });
+
+    expect(logs).toEqual([
+      expect.stringMatching(
+        / in Header changed useState "width" asynchronously \(addEventListener\)/,
+      ),
+      expect.stringMatching(
+        / in Footer changed useState "scrolls" asynchronously \(addEventListener\)/,
+      ),
+    ]);
+
+    unmount();
+    logs.length = 0;
+    document.body.dispatchEvent(new Event("resize"));
+    document.dispatchEvent(new Event("scroll"));
+    expect(logs).toHaveLength(0);
+  });
+
+  it("attributes setState inside observers created by the effect", async () => {
+    function Mutations() {
+      const [count, setCount] = useState(0);
+      useEffect(() => {
+        const observer = new MutationObserver(() => setCount((c) => c + 1));
+        observer.observe(document.body, { attributes: true });
+        return () => observer.disconnect();
+      }, []);
+      return <div>{count}</div>;
+    }
+
+    await act(async () => {
+      render(<Mutations />);
+    });
+    await act(async () => {
+      document.body.setAttribute("data-mutated", "true");
+    });
+    await wait(5);
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('changed useState "count" asynchronously (MutationObserver)');
+  });
+
+  it("does not attribute timers scheduled outside of effects", async () => {
+    function Clicker() {
+      const [count, setCount] = useState(0);
+      return (
+        <button data-testid="later" onClick={() => setTimeout(() => setCount((c) => c + 1), 1)}>
+          {count}
+        </button>
+      );
+    }
+
+    await act(async () => {
+      render(<Clicker />);
+    });
+    await act(async () => {
+      screen.getByTestId("later").click();
+    });
+    await wait(20);
+
+    expect(logs).toHaveLength(0);
+  });
+});
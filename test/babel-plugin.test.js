@@ -5,10 +5,11 @@ import plugin from "../src/babel-plugin.js";
 /**
  * @param {string} code
  * @param {string} [filename]
+ * @param {import("../src/babel-plugin.js").PluginOptions} [pluginOptions]
  */
-function transform(code, filename = "Component.tsx") {
+function transform(code, filename = "Component.tsx", pluginOptions = {}) {
   const result = transformSync(code, {
-    plugins: [plugin],
+    plugins: [[plugin, pluginOptions]],
     presets: [],
     parserOpts: {
       plugins: ["jsx", "typescript"],
@@ -33,7 +34,7 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState } from "react";
       function Counter() {
-        const [count, setCount] = __trackedUseState(0, "Component.tsx:4", "Counter", "count");
+        const [count, setCount] = __trackedUseState(0, "Component.tsx:4:35", "Counter", "count");
         return <div>{count}</div>;
       }"
     `);
@@ -54,10 +55,10 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState, useEffect } from "react";
       function Tracker() {
-        const [x, setX] = __trackedUseState(0, "Component.tsx:4", "Tracker", "x");
+        const [x, setX] = __trackedUseState(0, "Component.tsx:4:27", "Tracker", "x");
         __trackedUseEffect(() => {
           console.log(x);
-        }, [x], "Component.tsx:5", "Tracker", ["x"]);
+        }, [x], "Component.tsx:5:9", "Tracker", ["x"]);
         return <div>{x}</div>;
       }"
     `);
@@ -79,7 +80,7 @@ describe("babel-plugin transform", () => {
       function Measure() {
         __trackedUseLayoutEffect(() => {
           console.log("layout");
-        }, [], "Component.tsx:4", "Measure", []);
+        }, [], "Component.tsx:4:9", "Measure", []);
         return <div />;
       }"
     `);
@@ -101,7 +102,7 @@ describe("babel-plugin transform", () => {
       function Logger() {
         __trackedUseEffect(() => {
           console.log("every render");
-        }, undefined, "Component.tsx:4", "Logger", null);
+        }, undefined, "Component.tsx:4:9", "Logger", null);
         return <div />;
       }"
     `);
@@ -123,7 +124,7 @@ describe("babel-plugin transform", () => {
       function MountOnly() {
         __trackedUseEffect(() => {
           console.log("mount");
-        }, [], "Component.tsx:4", "MountOnly", []);
+        }, [], "Component.tsx:4:9", "MountOnly", []);
         return <div />;
       }"
     `);
@@ -147,7 +148,7 @@ describe("babel-plugin transform", () => {
       }) {
         __trackedUseEffect(() => {
           console.log(props.foo);
-        }, [props.foo, props.bar.baz], "Component.tsx:4", "Watcher", ["props.foo", "props.bar.baz"]);
+        }, [props.foo, props.bar.baz], "Component.tsx:4:9", "Watcher", ["props.foo", "props.bar.baz"]);
         return <div />;
       }"
     `);
@@ -165,7 +166,7 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState } from "react";
       const ArrowComp = () => {
-        const [val, setVal] = __trackedUseState(0, "Component.tsx:4", "ArrowComp", "val");
+        const [val, setVal] = __trackedUseState(0, "Component.tsx:4:31", "ArrowComp", "val");
         return <div>{val}</div>;
       };"
     `);
@@ -183,7 +184,7 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState } from "react";
       export default function MyPage() {
-        const [val, setVal] = __trackedUseState(0, "Component.tsx:4", "MyPage", "val");
+        const [val, setVal] = __trackedUseState(0, "Component.tsx:4:31", "MyPage", "val");
         return <div>{val}</div>;
       }"
     `);
@@ -207,13 +208,13 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect, __trackedUseLayoutEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState, useEffect, useLayoutEffect } from "react";
       function App() {
-        const [count, setCount] = __trackedUseState(0, "Component.tsx:4", "App", "count");
+        const [count, setCount] = __trackedUseState(0, "Component.tsx:4:35", "App", "count");
         __trackedUseEffect(() => {
           console.log(count);
-        }, [count], "Component.tsx:5", "App", ["count"]);
+        }, [count], "Component.tsx:5:9", "App", ["count"]);
         __trackedUseLayoutEffect(() => {
           console.log("layout");
-        }, [], "Component.tsx:8", "App", []);
+        }, [], "Component.tsx:8:9", "App", []);
         return <div>{count}</div>;
       }"
     `);
@@ -234,10 +235,10 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import React from "react";
       function Qualified() {
-        const [val, setVal] = __trackedUseState(0, "Component.tsx:4", "Qualified", "val");
+        const [val, setVal] = __trackedUseState(0, "Component.tsx:4:31", "Qualified", "val");
         __trackedUseEffect(() => {
           console.log(val);
-        }, [val], "Component.tsx:5", "Qualified", ["val"]);
+        }, [val], "Component.tsx:5:9", "Qualified", ["val"]);
         return <div>{val}</div>;
       }"
     `);
@@ -255,7 +256,7 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseReducer } from "@jantimon/react-render-loop-tracer/runtime";
       import { useReducer } from "react";
       function Counter() {
-        const [count, dispatch] = __trackedUseReducer((s, a) => s + a, 0, undefined, "Component.tsx:4", "Counter", "count");
+        const [count, dispatch] = __trackedUseReducer((s, a) => s + a, 0, undefined, "Component.tsx:4:35", "Counter", "count");
         return <div>{count}</div>;
       }"
     `);
@@ -273,7 +274,7 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseReducer } from "@jantimon/react-render-loop-tracer/runtime";
       import { useReducer } from "react";
       function Counter() {
-        const [count, dispatch] = __trackedUseReducer((s, a) => s + a, 0, n => n * 10, "Component.tsx:4", "Counter", "count");
+        const [count, dispatch] = __trackedUseReducer((s, a) => s + a, 0, n => n * 10, "Component.tsx:4:35", "Counter", "count");
         return <div>{count}</div>;
       }"
     `);
@@ -291,7 +292,7 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseReducer } from "@jantimon/react-render-loop-tracer/runtime";
       import React from "react";
       function Counter() {
-        const [count, dispatch] = __trackedUseReducer((s, a) => s + a, 0, undefined, "Component.tsx:4", "Counter", "count");
+        const [count, dispatch] = __trackedUseReducer((s, a) => s + a, 0, undefined, "Component.tsx:4:35", "Counter", "count");
         return <div>{count}</div>;
       }"
     `);
@@ -312,10 +313,10 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState, useEffect } from "react";
       function useCounter() {
-        const [count, setCount] = __trackedUseState(0, "Component.tsx:4", "useCounter", "count");
+        const [count, setCount] = __trackedUseState(0, "Component.tsx:4:35", "useCounter", "count");
         __trackedUseEffect(() => {
           document.title = count;
-        }, [count], "Component.tsx:5", "useCounter", ["count"]);
+        }, [count], "Component.tsx:5:9", "useCounter", ["count"]);
         return [count, setCount];
       }"
     `);
@@ -338,12 +339,12 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState, useEffect } from "react";
       function useForm() {
-        const [name, setName] = __trackedUseState("", "Component.tsx:4", "useForm", "name");
-        const [email, setEmail] = __trackedUseState("", "Component.tsx:5", "useForm", "email");
-        const [isValid, setIsValid] = __trackedUseState(false, "Component.tsx:6", "useForm", "isValid");
+        const [name, setName] = __trackedUseState("", "Component.tsx:4:33", "useForm", "name");
+        const [email, setEmail] = __trackedUseState("", "Component.tsx:5:35", "useForm", "email");
+        const [isValid, setIsValid] = __trackedUseState(false, "Component.tsx:6:39", "useForm", "isValid");
         __trackedUseEffect(() => {
           setIsValid(name.length > 0 && email.includes("@"));
-        }, [name, email], "Component.tsx:7", "useForm", ["name", "email"]);
+        }, [name, email], "Component.tsx:7:9", "useForm", ["name", "email"]);
         return {
           name,
           setName,
@@ -371,11 +372,11 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState, useEffect } from "react";
       const useDebounce = (value, delay) => {
-        const [debounced, setDebounced] = __trackedUseState(value, "Component.tsx:4", "useDebounce", "debounced");
+        const [debounced, setDebounced] = __trackedUseState(value, "Component.tsx:4:43", "useDebounce", "debounced");
         __trackedUseEffect(() => {
           const timer = setTimeout(() => setDebounced(value), delay);
           return () => clearTimeout(timer);
-        }, [value, delay], "Component.tsx:5", "useDebounce", ["value", "delay"]);
+        }, [value, delay], "Component.tsx:5:9", "useDebounce", ["value", "delay"]);
         return debounced;
       };"
     `);
@@ -401,7 +402,7 @@ describe("babel-plugin transform", () => {
         const [size, setSize] = __trackedUseState({
           width: 0,
           height: 0
-        }, "Component.tsx:4", "useWindowSize", "size");
+        }, "Component.tsx:4:33", "useWindowSize", "size");
         __trackedUseLayoutEffect(() => {
           const update = () => setSize({
             width: window.innerWidth,
@@ -409,7 +410,7 @@ describe("babel-plugin transform", () => {
           });
           window.addEventListener("resize", update);
           return () => window.removeEventListener("resize", update);
-        }, [], "Component.tsx:5", "useWindowSize", []);
+        }, [], "Component.tsx:5:9", "useWindowSize", []);
         return size;
       }"
     `);
@@ -433,13 +434,13 @@ describe("babel-plugin transform", () => {
         const [state, dispatch] = __trackedUseReducer(reducer, {
           loading: true,
           data: null
-        }, undefined, "Component.tsx:4", "useFetch", "state");
+        }, undefined, "Component.tsx:4:35", "useFetch", "state");
         __trackedUseEffect(() => {
           fetch(url).then(r => r.json()).then(data => dispatch({
             type: "done",
             data
           }));
-        }, [url], "Component.tsx:5", "useFetch", ["url"]);
+        }, [url], "Component.tsx:5:9", "useFetch", ["url"]);
         return state;
       }"
     `);
@@ -461,11 +462,11 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import { useState, useEffect } from "react";
       function useLogger(value) {
-        const [count, setCount] = __trackedUseState(0, "Component.tsx:4", "useLogger", "count");
+        const [count, setCount] = __trackedUseState(0, "Component.tsx:4:35", "useLogger", "count");
         __trackedUseEffect(() => {
           console.log("render", value);
           setCount(c => c + 1);
-        }, undefined, "Component.tsx:5", "useLogger", null);
+        }, undefined, "Component.tsx:5:9", "useLogger", null);
         return count;
       }"
     `);
@@ -486,15 +487,489 @@ describe("babel-plugin transform", () => {
       "import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
       import React from "react";
       function useToggle(initial) {
-        const [on, setOn] = __trackedUseState(initial, "Component.tsx:4", "useToggle", "on");
+        const [on, setOn] = __trackedUseState(initial, "Component.tsx:4:29", "useToggle", "on");
         __trackedUseEffect(() => {
           console.log("toggled", on);
-        }, [on], "Component.tsx:5", "useToggle", ["on"]);
+        }, [on], "Component.tsx:5:9", "useToggle", ["on"]);
         return [on, () => setOn(v => !v)];
       }"
     `);
   });
 
+  it("carries the effect context across await inside effect callbacks", () => {
+    const code = `
+      import { useState, useEffect } from "react";
+      function User({ id }) {
+        const [user, setUser] = useState(null);
+        useEffect(() => {
+          const load = async () => setUser(await (await fetch(id)).json());
+          load();
+        }, [id]);
+        return <div>{user}</div>;
+      }
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseState, __trackedUseEffect, __captureEffectContext, __resumeEffectContext, __suspendEffectContext } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useState, useEffect } from "react";
+      function User({
+        id
+      }) {
+        const [user, setUser] = __trackedUseState(null, "Component.tsx:4:33", "User", "user");
+        __trackedUseEffect(() => {
+          const load = async () => {
+            const _effectContext = __captureEffectContext();
+            try {
+              return setUser(__resumeEffectContext(_effectContext, await __suspendEffectContext(_effectContext, __resumeEffectContext(_effectContext, await __suspendEffectContext(_effectContext, fetch(id))).json())));
+            } finally {
+              __suspendEffectContext(_effectContext);
+            }
+          };
+          load();
+        }, [id], "Component.tsx:5:9", "User", ["id"]);
+        return <div>{user}</div>;
+      }"
+    `);
+  });
+
+  it("does not instrument async functions outside of effects", () => {
+    const code = `
+      import { useEffect } from "react";
+      async function load() {
+        await fetch("/");
+      }
+      function Loader() {
+        useEffect(() => {
+          load();
+        }, []);
+        return <div />;
+      }
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useEffect } from "react";
+      async function load() {
+        await fetch("/");
+      }
+      function Loader() {
+        __trackedUseEffect(() => {
+          load();
+        }, [], "Component.tsx:7:9", "Loader", []);
+        return <div />;
+      }"
+    `);
+  });
+
+  it("transforms useInsertionEffect", () => {
+    const code = `
+      import { useInsertionEffect } from "react";
+      function Styled({ color }) {
+        useInsertionEffect(() => {
+          injectStyle(color);
+        }, [color]);
+        return <div />;
+      }
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseInsertionEffect } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useInsertionEffect } from "react";
+      function Styled({
+        color
+      }) {
+        __trackedUseInsertionEffect(() => {
+          injectStyle(color);
+        }, [color], "Component.tsx:4:9", "Styled", ["color"]);
+        return <div />;
+      }"
+    `);
+  });
+
+  it("transforms useMemo and useCallback", () => {
+    const code = `
+      import { useMemo, useCallback } from "react";
+      function Cart({ items, currency }) {
+        const total = useMemo(() => sum(items), [items]);
+        const format = useCallback((value) => value.toFixed(2) + currency, [currency]);
+        const options = useMemo(() => ({ currency }));
+        return <div>{format(total)}</div>;
+      }
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseMemo, __trackedUseCallback } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useMemo, useCallback } from "react";
+      function Cart({
+        items,
+        currency
+      }) {
+        const total = __trackedUseMemo(() => sum(items), [items], "Component.tsx:4:23", "Cart", ["items"]);
+        const format = __trackedUseCallback(value => value.toFixed(2) + currency, [currency], "Component.tsx:5:24", "Cart", ["currency"]);
+        const options = __trackedUseMemo(() => ({
+          currency
+        }), undefined, "Component.tsx:6:25", "Cart", null);
+        return <div>{format(total)}</div>;
+      }"
+    `);
+  });
+
+  it("instruments components with renderReasons", () => {
+    const code = `
+      import { useContext, useState } from "react";
+      export function Cart({ items, currency = "EUR", style: { color }, ...rest }) {
+        const theme = useContext(ThemeContext);
+        const [open, setOpen] = useState(false);
+        return <ul>{items.map((item) => <Row key={item.id} label={item.label} />)}</ul>;
+      }
+      const Row = (props) => <li>{props.label}</li>;
+      function formatPrice(price) {
+        return useContext(CurrencyContext).format(price);
+      }
+    `;
+    expect(transform(code, "Component.tsx", { renderReasons: true })).toMatchInlineSnapshot(`
+      "import { __trackedUseState, __trackedUseContext, __beginRender, __endRender } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useContext, useState } from "react";
+      export function Cart({
+        items,
+        currency = "EUR",
+        style: {
+          color
+        },
+        ...rest
+      }) {
+        __beginRender("Cart", "Component.tsx:3:14", {
+          items,
+          currency,
+          ...rest
+        });
+        try {
+          const theme = __trackedUseContext(ThemeContext, "ThemeContext");
+          const [open, setOpen] = __trackedUseState(false, "Component.tsx:5:33", "Cart", "open");
+          return <ul>{items.map(item => <Row key={item.id} label={item.label} />)}</ul>;
+        } finally {
+          __endRender();
+        }
+      }
+      const Row = props => {
+        __beginRender("Row", "Component.tsx:8:19", props);
+        try {
+          return <li>{props.label}</li>;
+        } finally {
+          __endRender();
+        }
+      };
+      function formatPrice(price) {
+        return __trackedUseContext(CurrencyContext, "CurrencyContext").format(price);
+      }"
+    `);
+  });
+
+  it("does not add render reason hooks to render helpers called as functions", () => {
+    const code = `
+      function Row(item) {
+        return <li>{item.label}</li>;
+      }
+      const Empty = () => <p>empty</p>;
+      export function List({ items }) {
+        return <ul>{items.length > 0 ? items.map((item) => Row(item)) : Empty()}</ul>;
+      }
+    `;
+    const output = transform(code, "Component.tsx", { renderReasons: true });
+    expect(output).toContain('__beginRender("List"');
+    expect(output).not.toContain('__beginRender("Row"');
+    expect(output).not.toContain('__beginRender("Empty"');
+  });
+
+  it("does not add render reason hooks to render props passed by reference", () => {
+    const code = `
+      import { memo } from "react";
+      function Row({ item }) {
+        return <li>{item.label}</li>;
+      }
+      const Cell = (props) => <td>{props.value}</td>;
+      const Column = (column) => <th>{column.title}</th>;
+      function Header() {
+        return <h1>Items</h1>;
+      }
+      function Footer() {
+        return <footer />;
+      }
+      const MemoFooter = memo(Footer);
+      function Toolbar() {
+        return <menu />;
+      }
+      export { Toolbar };
+      export default function Table({ items, columns }) {
+        return (
+          <VirtualList items={items} renderItem={Row} cellRenderer={Cell}>
+            <Header />
+            {columns.map(Column)}
+            <MemoFooter />
+          </VirtualList>
+        );
+      }
+    `;
+    const output = transform(code, "Table.tsx", { renderReasons: true });
+    expect(output).not.toContain('__beginRender("Row"');
+    expect(output).not.toContain('__beginRender("Cell"');
+    expect(output).not.toContain('__beginRender("Column"');
+    expect(output).toContain('__beginRender("Header"');
+    expect(output).toContain('__beginRender("Footer"');
+    expect(output).toContain('__beginRender("Toolbar"');
+    expect(output).toContain('__beginRender("Table"');
+  });
+
+  it("leaves components and useContext untouched without renderReasons", () => {
+    const code = `
+      import { useContext } from "react";
+      function Cart() {
+        const theme = useContext(ThemeContext);
+        return <div>{theme}</div>;
+      }
+    `;
+    expect(transform(code)).not.toContain("__beginRender");
+    expect(transform(code)).not.toContain("__trackedUseContext");
+  });
+
+  it("transforms useSyncExternalStore, useTransition, useOptimistic and useActionState", () => {
+    const code = `
+      import { useSyncExternalStore, useTransition, useOptimistic, useActionState } from "react";
+      function Cart() {
+        const items = useSyncExternalStore(store.subscribe, store.getSnapshot);
+        const [isPending, startTransition] = useTransition();
+        const [optimisticItems, addItem] = useOptimistic(items, (state, item) => [...state, item]);
+        const [error, submit] = useActionState(checkout, null);
+        return <div />;
+      }
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseSyncExternalStore, __trackedUseTransition, __trackedUseOptimistic, __trackedUseActionState } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useSyncExternalStore, useTransition, useOptimistic, useActionState } from "react";
+      function Cart() {
+        const items = __trackedUseSyncExternalStore(store.subscribe, store.getSnapshot, undefined, "Component.tsx:4:23", "Cart", "items");
+        const [isPending, startTransition] = __trackedUseTransition("Component.tsx:5:46", "Cart", "isPending");
+        const [optimisticItems, addItem] = __trackedUseOptimistic(items, (state, item) => [...state, item], "Component.tsx:6:44", "Cart", "optimisticItems");
+        const [error, submit] = __trackedUseActionState(checkout, null, undefined, "Component.tsx:7:33", "Cart", "error");
+        return <div />;
+      }"
+    `);
+  });
+
+  it("wraps react-redux useDispatch", () => {
+    const code = `
+      import { useDispatch } from "react-redux";
+      function Counter() {
+        const dispatch = useDispatch();
+        return <div />;
+      }
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseDispatch, __enterRender, __exitRender } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useDispatch } from "react-redux";
+      function Counter() {
+        __enterRender("Counter");
+        try {
+          const dispatch = __trackedUseDispatch(useDispatch(), "Component.tsx:4:26", "Counter", "dispatch");
+          return <div />;
+        } finally {
+          __exitRender();
+        }
+      }"
+    `);
+  });
+
+  it("pushes components and hooks which call custom hooks to the render chain", () => {
+    const code = `
+      import { useEffect, useState } from "react";
+      function useDebouncedValue(value) {
+        const [debounced, setDebounced] = useState(value);
+        return debounced;
+      }
+      const useCartTotal = (items) => useDebouncedValue(items.length);
+      export const CartDrawer = memo(({ items }) => {
+        const total = useCartTotal(items);
+        return <div>{total}</div>;
+      });
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseState, __enterRender, __exitRender } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useEffect, useState } from "react";
+      function useDebouncedValue(value) {
+        const [debounced, setDebounced] = __trackedUseState(value, "Component.tsx:4:43", "useDebouncedValue", "debounced");
+        return debounced;
+      }
+      const useCartTotal = items => {
+        __enterRender("useCartTotal");
+        try {
+          return useDebouncedValue(items.length);
+        } finally {
+          __exitRender();
+        }
+      };
+      export const CartDrawer = memo(({
+        items
+      }) => {
+        __enterRender("CartDrawer");
+        try {
+          const total = useCartTotal(items);
+          return <div>{total}</div>;
+        } finally {
+          __exitRender();
+        }
+      });"
+    `);
+  });
+
+  it("reports locations relative to the project root", () => {
+    const code = `
+      import { useState } from "react";
+      function Button() {
+        const [pressed, setPressed] = useState(false);
+        return <button />;
+      }
+    `;
+    expect(transform(code, "/project/src/components/Button.tsx", { root: "/project" })).toContain(
+      `__trackedUseState(false, "src/components/Button.tsx:4:39", "Button", "pressed")`,
+    );
+  });
+
+  it("skips files outside of include and inside of exclude", () => {
+    const code = `
+      import { useState } from "react";
+      function Counter() {
+        const [count, setCount] = useState(0);
+        return <div>{count}</div>;
+      }
+    `;
+    const options = { root: "/project", include: ["src/**"], exclude: ["**/*.generated.tsx"] };
+    expect(transform(code, "/project/src/Counter.tsx", options)).toContain("__trackedUseState");
+    expect(transform(code, "/project/lib/Counter.tsx", options)).not.toContain("__trackedUseState");
+    expect(transform(code, "/project/src/Counter.generated.tsx", options)).not.toContain(
+      "__trackedUseState",
+    );
+  });
+
+  it("still lets presets compile excluded files", () => {
+    const code = `
+      import { useState } from "react";
+      function Counter(): JSX.Element {
+        const [count, setCount] = useState<number>(0);
+        return <div>{count}</div>;
+      }
+    `;
+    const result = transformSync(code, {
+      plugins: [[plugin, { root: "/project", exclude: ["**/*.generated.tsx"] }]],
+      presets: [
+        ["@babel/preset-react", { runtime: "automatic" }],
+        ["@babel/preset-typescript", { isTSX: true, allExtensions: true }],
+      ],
+      filename: "/project/src/Counter.generated.tsx",
+      configFile: false,
+      babelrc: false,
+    });
+    const output = /** @type {string} */ (result?.code);
+    expect(output).not.toContain("__trackedUseState");
+    expect(output).toContain("_jsx(");
+    expect(output).not.toContain("<div>");
+    expect(output).not.toContain("JSX.Element");
+  });
+
+  it("wraps callbacks of user-defined effect hooks", () => {
+    const code = `
+      function Search({ filter, query }) {
+        useDeepCompareEffect(() => {
+          load(filter);
+        }, [filter]);
+        useDebouncedEffect(300, () => {
+          load(query);
+        }, getDeps(query));
+        return <div />;
+      }
+    `;
+    expect(
+      transform(code, "Component.tsx", {
+        effectHooks: {
+          useDeepCompareEffect: { callback: 0, deps: 1 },
+          useDebouncedEffect: { callback: 1, deps: 2 },
+        },
+      }),
+    ).toMatchInlineSnapshot(`
+      "import { __trackedEffectCallback, __enterRender, __exitRender } from "@jantimon/react-render-loop-tracer/runtime";
+      function Search({
+        filter,
+        query
+      }) {
+        __enterRender("Search");
+        try {
+          useDeepCompareEffect(__trackedEffectCallback(() => {
+            load(filter);
+          }, [filter], "Component.tsx:3:9", "Search", ["filter"], "useDeepCompareEffect"), [filter]);
+          useDebouncedEffect(300, __trackedEffectCallback(() => {
+            load(query);
+          }, undefined, "Component.tsx:6:9", "Search", null, "useDebouncedEffect"), getDeps(query));
+          return <div />;
+        } finally {
+          __exitRender();
+        }
+      }"
+    `);
+  });
+
+  it("resolves aliased, namespace and require imports of react", () => {
+    const code = `
+      import { useEffect as useE } from "react";
+      import * as R from "react";
+      const { useLayoutEffect } = require("react");
+      function Panel() {
+        const [open, setOpen] = R.useState(false);
+        useE(() => setOpen(true), []);
+        useLayoutEffect(() => {}, [open]);
+        return <div />;
+      }
+    `;
+    expect(transform(code)).toMatchInlineSnapshot(`
+      "import { __trackedUseState, __trackedUseEffect, __trackedUseLayoutEffect } from "@jantimon/react-render-loop-tracer/runtime";
+      import { useEffect as useE } from "react";
+      import * as R from "react";
+      const {
+        useLayoutEffect
+      } = require("react");
+      function Panel() {
+        const [open, setOpen] = __trackedUseState(false, "Component.tsx:6:33", "Panel", "open");
+        __trackedUseEffect(() => setOpen(true), [], "Component.tsx:7:9", "Panel", []);
+        __trackedUseLayoutEffect(() => {}, [open], "Component.tsx:8:9", "Panel", ["open"]);
+        return <div />;
+      }"
+    `);
+  });
+
+  it("ignores hooks which are not imported from react", () => {
+    const code = `
+      import { useState } from "./state";
+      function useEffect(callback) {
+        callback();
+      }
+      function Panel({ store }) {
+        const [open, setOpen] = useState(false);
+        const [value] = store.useState();
+        useEffect(() => setOpen(true));
+        return <div />;
+      }
+    `;
+    expect(transform(code)).not.toContain("__tracked");
+  });
+
+  it("resolves hooks re-exported by configured modules", () => {
+    const code = `
+      import { useState } from "preact/hooks";
+      function Counter() {
+        const [count, setCount] = useState(0);
+        return <div>{count}</div>;
+      }
+    `;
+    expect(transform(code)).not.toContain("__trackedUseState");
+    expect(transform(code, "Component.tsx", { reactModules: ["preact/hooks"] })).toContain(
+      `__trackedUseState(0, "Component.tsx:4:35", "Counter", "count")`,
+    );
+  });
+
   it("leaves code unchanged when there are no hooks", () => {
     const code = `
       function Static() {
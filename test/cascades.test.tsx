@@ -0,0 +1,348 @@
+import { render, act, screen } from "@testing-library/react";
+import { vi } from "vitest";
+import type { TraceEvent, TraceGroup } from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Cascades", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    globalThis.__effectTracker = null;
+  });
+
+  async function renderCheckout() {
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    // the hydration report would end up in the console spies
+    runtime.configure({ hydrationReport: false });
+    const events: (TraceEvent | TraceGroup)[] = [];
+    runtime.subscribe((event) => events.push(event));
+
+    function CheckoutButton({ total }: { total: number }) {
+      const [disabled, setDisabled] = runtime.__trackedUseState(
+        false,
+        "CheckoutButton.tsx:3",
+        "CheckoutButton",
+        "disabled",
+      );
+      runtime.__trackedUseEffect(
+        () => {
+          setDisabled(total > 5);
+        },
+        [total],
+        "CheckoutButton.tsx:5",
+        "CheckoutButton",
+        ["total"],
+      );
+      return <button disabled={disabled}>checkout</button>;
+    }
+
+    function CartDrawer({ formattedPrice }: { formattedPrice: string }) {
+      const [total, setTotal] = runtime.__trackedUseState(
+        0,
+        "useCartTotal.ts:3",
+        "CartDrawer",
+        "total",
+      );
+      runtime.__trackedUseEffect(
+        () => {
+          setTotal(formattedPrice.length);
+        },
+        [formattedPrice],
+        "useCartTotal.ts:18",
+        "CartDrawer",
+        ["formattedPrice"],
+      );
+      return <CheckoutButton total={total} />;
+    }
+
+    function PriceDisplay({ locale }: { locale: string }) {
+      const [formattedPrice, setFormattedPrice] = runtime.__trackedUseState(
+        "",
+        "PriceDisplay.tsx:3",
+        "PriceDisplay",
+        "formattedPrice",
+      );
+      runtime.__trackedUseEffect(
+        () => {
+          setFormattedPrice(locale === "de" ? "42,00 €" : "$42");
+        },
+        [locale],
+        "PriceDisplay.tsx:42",
+        "PriceDisplay",
+        ["locale"],
+      );
+      return <CartDrawer formattedPrice={formattedPrice} />;
+    }
+
+    function LocaleProvider() {
+      const [locale, setLocale] = runtime.__trackedUseState(
+        "en",
+        "LocaleProvider.tsx:3",
+        "LocaleProvider",
+        "locale",
+      );
+      return (
+        <>
+          <button data-testid="de" onClick={() => setLocale("de")}>
+            de
+          </button>
+          <PriceDisplay locale={locale} />
+        </>
+      );
+    }
+
+    await act(async () => {
+      render(<LocaleProvider />);
+    });
+    await vi.advanceTimersByTimeAsync(200);
+
+    return { runtime, events };
+  }
+
+  it("links effect re-runs to the state change which caused them", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+    const { runtime, events } = await renderCheckout();
+    events.length = 0;
+
+    await act(async () => {
+      screen.getByTestId("de").click();
+    });
+
+    const stateChanges = events.filter(
+      (event): event is TraceEvent => event.type === "state-change",
+    );
+    expect(stateChanges.map((event) => event.stateName)).toEqual([
+      "formattedPrice",
+      "total",
+      "disabled",
+    ]);
+
+    const chain = runtime.getCauseChain(stateChanges[2]);
+    expect(chain.map((cause) => cause.stateName)).toEqual(["locale", "formattedPrice", "total"]);
+    expect(chain[0]).toMatchObject({ componentName: "LocaleProvider", effect: null, parent: null });
+    expect(chain[1].effect).toEqual({
+      location: "PriceDisplay.tsx:42",
+      componentName: "PriceDisplay",
+      hook: "useEffect",
+    });
+    expect(chain[1].eventId).toBe(stateChanges[0].id);
+  });
+
+  it("prints a cascade as one tree", async () => {
+    const logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    const groupSpy = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    const groupEndSpy = vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+    await renderCheckout();
+    logSpy.mockClear();
+    groupSpy.mockClear();
+    groupEndSpy.mockClear();
+
+    await act(async () => {
+      screen.getByTestId("de").click();
+    });
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(groupSpy).toHaveBeenCalledTimes(1);
+    expect(groupSpy.mock.calls[0][0]).toBe(
+      "Cascade — root cause: locale changed in LocaleProvider → 3 cascading renders",
+    );
+    expect(logSpy.mock.calls.map(([message]) => message)).toEqual([
+      '[state-change] useEffect PriceDisplay.tsx:42 in PriceDisplay changed useState "formattedPrice" because locale changed',
+      '↳ [state-change] useEffect useCartTotal.ts:18 in CartDrawer changed useState "total" because formattedPrice changed',
+      '  ↳ [state-change] useEffect CheckoutButton.tsx:5 in CheckoutButton changed useState "disabled" because total changed',
+    ]);
+    expect(groupEndSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it("uses a mount-time effect as the root of its cascade", async () => {
+    const logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    const groupSpy = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
+
+    function App() {
+      const [locale, setLocale] = runtime.__trackedUseState("", "App.tsx:3", "App", "locale");
+      const [label, setLabel] = runtime.__trackedUseState("", "App.tsx:4", "App", "label");
+      runtime.__trackedUseEffect(
+        () => {
+          setLocale("de");
+        },
+        [],
+        "App.tsx:6",
+        "App",
+        [],
+      );
+      runtime.__trackedUseEffect(
+        () => {
+          if (locale) setLabel(`label-${locale}`);
+        },
+        [locale],
+        "App.tsx:9",
+        "App",
+        ["locale"],
+      );
+      return <div>{label}</div>;
+    }
+
+    await act(async () => {
+      render(<App />);
+    });
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(groupSpy).toHaveBeenCalledTimes(1);
+    expect(groupSpy.mock.calls[0][0]).toBe(
+      'Cascade — root cause: useEffect App.tsx:6 in App changed "locale" → 1 cascading render',
+    );
+    expect(logSpy.mock.calls.map(([message]) => message)).toEqual([
+      '[state-change] useEffect App.tsx:6 in App changed useState "locale" because it was initially mounted',
+      '↳ [state-change] useEffect App.tsx:9 in App changed useState "label" because locale changed',
+    ]);
+  });
+
+  it("does not link deps to unrelated states with the same primitive value", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
+    const events: TraceEvent[] = [];
+    runtime.subscribe((event) => {
+      if (event.type === "state-change") events.push(event as TraceEvent);
+    });
+
+    function Toggle() {
+      const [checked, setChecked] = runtime.__trackedUseState(
+        false,
+        "Toggle.tsx:2",
+        "Toggle",
+        "checked",
+      );
+      return <button onClick={() => setChecked(true)}>{String(checked)}</button>;
+    }
+
+    function Panel({ open }: { open: boolean }) {
+      const [height, setHeight] = runtime.__trackedUseState(0, "Panel.tsx:2", "Panel", "height");
+      runtime.__trackedUseEffect(
+        () => {
+          setHeight(open ? 100 : 0);
+        },
+        [open],
+        "Panel.tsx:3",
+        "Panel",
+        ["open"],
+      );
+      return <div>{height}</div>;
+    }
+
+    // `open` comes from an untracked parent, `checked` happens to be `true` as well
+    const { rerender } = await act(async () =>
+      render(
+        <>
+          <Toggle />
+          <Panel open={false} />
+        </>,
+      ),
+    );
+    await act(async () => {
+      screen.getByRole("button").click();
+    });
+    await act(async () => {
+      rerender(
+        <>
+          <Toggle />
+          <Panel open={true} />
+        </>,
+      );
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ stateName: "height", cause: null });
+  });
+
+  it("names the effect hook of the root cause", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const groupSpy = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
+
+    function Measure() {
+      const [width, setWidth] = runtime.__trackedUseState(0, "Measure.tsx:3", "Measure", "width");
+      const [label, setLabel] = runtime.__trackedUseState("", "Measure.tsx:4", "Measure", "label");
+      runtime.__trackedUseLayoutEffect(
+        () => {
+          setWidth(100);
+        },
+        [],
+        "Measure.tsx:6",
+        "Measure",
+        [],
+      );
+      runtime.__trackedUseEffect(
+        () => {
+          if (width) setLabel(`${width}px`);
+        },
+        [width],
+        "Measure.tsx:9",
+        "Measure",
+        ["width"],
+      );
+      return <div>{label}</div>;
+    }
+
+    await act(async () => {
+      render(<Measure />);
+    });
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(groupSpy.mock.calls[0][0]).toBe(
+      'Cascade — root cause: useLayoutEffect Measure.tsx:6 in Measure changed "width" → 1 cascading render',
+    );
+  });
+
+  it("prints unrelated state changes individually", async () => {
+    const logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    const groupSpy = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
+
+    function App() {
+      const [a, setA] = runtime.__trackedUseState(0, "App.tsx:3", "App", "a");
+      runtime.__trackedUseEffect(
+        () => {
+          setA(1);
+        },
+        [],
+        "App.tsx:5",
+        "App",
+        [],
+      );
+      return <div>{a}</div>;
+    }
+
+    await act(async () => {
+      render(<App />);
+    });
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(groupSpy).not.toHaveBeenCalled();
+    expect(logSpy).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,191 @@
+import { render, act, cleanup } from "@testing-library/react";
+import { vi } from "vitest";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  assertRenderLoopBudget,
+  checkBudget,
+  collectRoutes,
+  formatBudgetReport,
+  RenderLoopBudgetError,
+  type BrowserPage,
+} from "../src/ci.js";
+
+/**
+ * A page which "loads" a route by rendering it with a fresh runtime, like a real page load.
+ * `evaluate` runs in the jsdom window just like Playwright runs it in the browser.
+ */
+function createPage(routes: Record<string, number>): BrowserPage & { visited: string[] } {
+  const visited: string[] = [];
+  return {
+    visited,
+    async goto(url) {
+      const { pathname } = new URL(url);
+      visited.push(pathname);
+      cleanup();
+      vi.resetModules();
+      const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+      runtime.configure({ hydrationReport: false, summary: false });
+
+      function Item({ index }: { index: number }) {
+        const [ready, setReady] = runtime.__trackedUseState(false, "Item.tsx:2", "Item", "ready");
+        runtime.__trackedUseEffect(
+          () => {
+            setReady(true);
+          },
+          [],
+          "Item.tsx:3",
+          "Item",
+          [],
+        );
+        return <li data-index={index}>{String(ready)}</li>;
+      }
+
+      await act(async () => {
+        render(
+          <ul>
+            {Array.from({ length: routes[pathname] }, (_, index) => (
+              <Item key={index} index={index} />
+            ))}
+          </ul>,
+        );
+      });
+    },
+    evaluate: async (fn) => fn(),
+  };
+}
+
+describe("CI budgets", () => {
+  beforeEach(() => {
+    globalThis.__effectTrackerLogger = () => {};
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  it("collects the entries of every route after hydration", async () => {
+    const page = createPage({ "/": 1, "/checkout": 3 });
+    const results = await collectRoutes(page, {
+      baseUrl: "http://localhost:3000",
+      routes: ["/", "/checkout"],
+    });
+
+    expect(page.visited).toEqual(["/", "/checkout"]);
+    expect(results.map(({ route, hydration }) => [route, hydration?.stateChanges])).toEqual([
+      ["/", 1],
+      ["/checkout", 3],
+    ]);
+    expect(results[1].events[0]).toMatchObject({
+      type: "state-change",
+      phase: "hydration",
+      componentName: "Item",
+      message:
+        'useEffect Item.tsx:3 in Item changed useState "ready" because it was initially mounted',
+    });
+    expect(results[1].events[0]).not.toHaveProperty("cause");
+  });
+
+  it("checks state changes per route and per component", async () => {
+    const page = createPage({ "/": 1, "/checkout": 3 });
+    const results = await collectRoutes(page, {
+      baseUrl: "http://localhost:3000",
+      routes: ["/", "/checkout"],
+    });
+
+    const violations = checkBudget(results, {
+      default: { maxStateChanges: 2 },
+      routes: { "/checkout": { maxStateChangesPerComponent: 1 } },
+    });
+
+    expect(
+      violations.map(({ route, rule, limit, actual }) => [route, rule, limit, actual]),
+    ).toEqual([
+      ["/checkout", "maxStateChanges", 2, 3],
+      ["/checkout", "maxStateChangesPerComponent", 1, 3],
+    ]);
+    expect(formatBudgetReport(results, violations).replace(/\d+ms/g, "Xms")).toBe(
+      [
+        "Render loop budget exceeded — 2 violations",
+        "",
+        "✓ / — 1 effect→setState during hydration in Xms",
+        "✗ /checkout — 3 effect→setState during hydration in Xms",
+        "    3 effect→setState during hydration (budget 2)",
+        "    3 effect→setState in Item during hydration (budget 1)",
+        "    top components: Item 3",
+      ].join("\n"),
+    );
+  });
+
+  it("fails on render loops and slow effects", () => {
+    const base = {
+      location: "Counter.tsx:8",
+      componentName: "Counter",
+      phase: "hydration" as const,
+    };
+    const results = [
+      {
+        route: "/",
+        hydration: null,
+        events: [
+          { ...base, type: "render-loop", message: "Render loop: useEffect Counter.tsx:8" },
+          {
+            ...base,
+            type: "slow-effect",
+            duration: 30,
+            message: "Slow effect: useEffect Counter.tsx:8 in Counter took 30ms",
+          },
+        ],
+      },
+    ] as unknown as Parameters<typeof checkBudget>[0];
+
+    expect(checkBudget(results, { default: { maxEffectDuration: 16 } })).toEqual([
+      {
+        route: "/",
+        rule: "allowLoops",
+        limit: 0,
+        actual: 1,
+        message: "Render loop: useEffect Counter.tsx:8",
+      },
+      {
+        route: "/",
+        rule: "maxEffectDuration",
+        limit: 16,
+        actual: 30,
+        message: "Slow effect: useEffect Counter.tsx:8 in Counter took 30ms (budget 16ms)",
+      },
+    ]);
+    expect(checkBudget(results, { default: { allowLoops: true } })).toEqual([]);
+  });
+
+  it("loads the routes of a budget file and throws a readable report", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "render-loop-budget-"));
+    const budgetFile = path.join(dir, "budget.json");
+    await writeFile(
+      budgetFile,
+      JSON.stringify({
+        routes: { "/": { maxStateChanges: 5 }, "/search": { maxStateChanges: 1 } },
+      }),
+    );
+
+    const page = createPage({ "/": 1, "/search": 2 });
+    const error = await assertRenderLoopBudget(page, {
+      baseUrl: "http://localhost:3000",
+      budget: budgetFile,
+    }).catch((error: unknown) => error);
+
+    expect(page.visited).toEqual(["/", "/search"]);
+    expect(error).toBeInstanceOf(RenderLoopBudgetError);
+    expect((error as RenderLoopBudgetError).violations).toHaveLength(1);
+    expect((error as Error).message).toContain("✗ /search — 2 effect→setState during hydration");
+  });
+
+  it("explains a missing runtime", async () => {
+    const page: BrowserPage = { goto: async () => {}, evaluate: async () => null as never };
+    await expect(
+      collectRoutes(page, { baseUrl: "http://localhost:3000", routes: ["/"], timeout: 0 }),
+    ).rejects.toThrow("The render loop tracer runtime was not found on /");
+  });
+});
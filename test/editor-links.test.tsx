@@ -0,0 +1,77 @@
+import { render, act } from "@testing-library/react";
+import {
+  __trackedUseState,
+  __trackedUseEffect,
+  configure,
+  getEditorLink,
+} from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Editor Links", () => {
+  afterEach(() => {
+    configure({ editorLink: false });
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  it("is disabled by default", () => {
+    expect(getEditorLink("src/Button.tsx:12:5")).toBeNull();
+  });
+
+  it("builds vscode links from the project root", () => {
+    configure({ editorLink: { template: "vscode", root: "/Users/me/app/" } });
+    expect(getEditorLink("src/Button.tsx:12:5")).toBe(
+      "vscode://file/Users/me/app/src/Button.tsx:12:5",
+    );
+  });
+
+  it("supports windows roots", () => {
+    configure({ editorLink: { template: "cursor", root: "C:\\projects\\app" } });
+    expect(getEditorLink("src/Button.tsx:12:5")).toBe(
+      "cursor://file/C:/projects/app/src/Button.tsx:12:5",
+    );
+  });
+
+  it("fills custom URL templates", () => {
+    configure({
+      editorLink: {
+        template: "/__nextjs_launch-editor?file={file}&lineNumber={line}&column={column}",
+      },
+    });
+    expect(getEditorLink("src/Button.tsx:12")).toBe(
+      "/__nextjs_launch-editor?file=src%2FButton.tsx&lineNumber=12&column=1",
+    );
+  });
+
+  it("needs a root for absolute paths", () => {
+    configure({ editorLink: { template: "vscode" } });
+    expect(getEditorLink("src/Button.tsx:12:5")).toBeNull();
+  });
+
+  it("appends the link to logged messages", async () => {
+    configure({ editorLink: { template: "vscode", root: "/app" } });
+    const logs: string[] = [];
+    globalThis.__effectTrackerLogger = (msg: string) => logs.push(msg);
+
+    function Toggle() {
+      const [on, setOn] = __trackedUseState(false, "src/Toggle.tsx:3:21", "Toggle", "on");
+      __trackedUseEffect(
+        () => {
+          setOn(true);
+        },
+        [],
+        "src/Toggle.tsx:4:3",
+        "Toggle",
+        [],
+      );
+      return <div>{String(on)}</div>;
+    }
+
+    await act(async () => {
+      render(<Toggle />);
+    });
+
+    expect(logs).toContain(
+      'useEffect src/Toggle.tsx:4:3 in Toggle changed useState "on" because it was initially mounted vscode://file/app/src/Toggle.tsx:4:3',
+    );
+  });
+});
@@ -0,0 +1,168 @@
+import { useState } from "react";
+import { render, act, screen } from "@testing-library/react";
+import {
+  __trackedUseState,
+  __trackedUseEffect,
+  configure,
+} from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Effect Cleanup Tracking", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => logs.push(msg);
+  });
+
+  afterEach(() => {
+    configure({ churnDetection: {} });
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  it("logs state changes made by a cleanup", async () => {
+    function Child({ onClose }: { onClose: () => void }) {
+      __trackedUseEffect(() => onClose, [onClose], "Child.tsx:3", "Child", ["onClose"]);
+      return null;
+    }
+
+    function Parent() {
+      const [open, setOpen] = useState(true);
+      const [closed, setClosed] = __trackedUseState(0, "Parent.tsx:3", "Parent", "closed");
+      return (
+        <>
+          <button data-testid="close" onClick={() => setOpen(false)}>
+            {closed}
+          </button>
+          {open && <Child onClose={() => setClosed((count) => count + 1)} />}
+        </>
+      );
+    }
+
+    await act(async () => {
+      render(<Parent />);
+    });
+    logs.length = 0;
+
+    await act(async () => {
+      screen.getByTestId("close").click();
+    });
+
+    expect(logs).toEqual(['cleanup of useEffect Child.tsx:3 in Child changed useState "closed"']);
+    expect(screen.getByTestId("close").textContent).toBe("1");
+  });
+
+  it("reports slow cleanups", async () => {
+    function Slow() {
+      __trackedUseEffect(
+        () => () => {
+          const start = performance.now();
+          while (performance.now() - start < 10) {
+            // spin
+          }
+        },
+        [],
+        "Slow.tsx:3",
+        "Slow",
+        [],
+      );
+      return null;
+    }
+
+    const { unmount } = await act(async () => render(<Slow />));
+    logs.length = 0;
+    unmount();
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatch(/^Slow cleanup: useEffect Slow\.tsx:3 in Slow took \d+ms$/);
+  });
+
+  function Subscriber({ filter }: { filter: { query: string } }) {
+    __trackedUseEffect(
+      () => {
+        const listener = () => filter.query;
+        document.addEventListener("keydown", listener);
+        return () => document.removeEventListener("keydown", listener);
+      },
+      [filter],
+      "Subscriber.tsx:3",
+      "Subscriber",
+      ["filter"],
+    );
+    return null;
+  }
+
+  function Search() {
+    const [query, setQuery] = useState("");
+    return (
+      <>
+        <button data-testid="type" onClick={() => setQuery((q) => q + "a")}>
+          {query}
+        </button>
+        {/* unstable dep: a new object on every render */}
+        <Subscriber filter={{ query: "" }} />
+      </>
+    );
+  }
+
+  it("reports effects which re-subscribe many times", async () => {
+    await act(async () => {
+      render(<Search />);
+    });
+
+    for (let i = 0; i < 6; i++) {
+      await act(async () => {
+        screen.getByTestId("type").click();
+      });
+    }
+
+    const churnLogs = logs.filter((message) => message.startsWith("Effect churn:"));
+    expect(churnLogs).toEqual([
+      "Effect churn: useEffect Subscriber.tsx:3 in Subscriber was cleaned up and re-subscribed 5 times within 1000ms (filter changed 5×)",
+    ]);
+  });
+
+  it("does not report churn below the threshold", async () => {
+    configure({ churnDetection: { threshold: 10 } });
+    await act(async () => {
+      render(<Search />);
+    });
+
+    for (let i = 0; i < 6; i++) {
+      await act(async () => {
+        screen.getByTestId("type").click();
+      });
+    }
+
+    expect(logs.filter((message) => message.startsWith("Effect churn:"))).toHaveLength(0);
+  });
+
+  it("does not report churn for effects without cleanup", async () => {
+    function NoCleanup({ value }: { value: object }) {
+      __trackedUseEffect(() => {}, [value], "NoCleanup.tsx:3", "NoCleanup", ["value"]);
+      return null;
+    }
+    function Rerender() {
+      const [count, setCount] = useState(0);
+      return (
+        <>
+          <button data-testid="rerender" onClick={() => setCount((c) => c + 1)}>
+            {count}
+          </button>
+          <NoCleanup value={{}} />
+        </>
+      );
+    }
+
+    await act(async () => {
+      render(<Rerender />);
+    });
+    for (let i = 0; i < 6; i++) {
+      await act(async () => {
+        screen.getByTestId("rerender").click();
+      });
+    }
+
+    expect(logs.filter((message) => message.startsWith("Effect churn:"))).toHaveLength(0);
+  });
+});
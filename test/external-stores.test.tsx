@@ -0,0 +1,170 @@
+import { render, act } from "@testing-library/react";
+import {
+  __trackedUseDispatch,
+  __trackedUseEffect,
+  traceStore,
+} from "@jantimon/react-render-loop-tracer/runtime";
+
+type Action = { type: "INCREMENT" } | ((dispatch: (action: Action) => void) => void);
+
+/** A minimal Redux-like store */
+function createReduxStore() {
+  let count = 0;
+  const listeners = new Set<() => void>();
+  const store = {
+    getState: () => count,
+    subscribe: (listener: () => void) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    dispatch: (action: Action): unknown => {
+      if (typeof action === "function") return action(store.dispatch);
+      count++;
+      listeners.forEach((listener) => listener());
+      return action;
+    },
+  };
+  return store;
+}
+
+/** A minimal zustand-like store */
+function createZustandStore() {
+  let state = { items: 0 };
+  const listeners = new Set<() => void>();
+  return {
+    getState: () => state,
+    setState: (partial: Partial<typeof state>) => {
+      state = { ...state, ...partial };
+      listeners.forEach((listener) => listener());
+    },
+    subscribe: (listener: () => void) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+describe("External Stores", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (!msg.includes("ran because") && !msg.startsWith("Slow")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  it("reports useDispatch dispatches from effects with the action type", async () => {
+    const store = traceStore(createReduxStore(), "store");
+
+    function Counter() {
+      const dispatch = __trackedUseDispatch(store.dispatch, "Counter.tsx:3", "Counter", "dispatch");
+      __trackedUseEffect(
+        () => {
+          dispatch({ type: "INCREMENT" });
+        },
+        [],
+        "Counter.tsx:4",
+        "Counter",
+        [],
+      );
+      return null;
+    }
+
+    await act(async () => {
+      render(<Counter />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Counter.tsx:4 in Counter changed useDispatch "dispatch" (action "INCREMENT") because it was initially mounted',
+    ]);
+    expect(store.getState()).toBe(1);
+  });
+
+  it("names dispatched thunks", async () => {
+    const store = createReduxStore();
+
+    function Loader() {
+      const dispatch = __trackedUseDispatch(store.dispatch, "Loader.tsx:3", "Loader", "dispatch");
+      __trackedUseEffect(
+        () => {
+          dispatch(function loadItems(innerDispatch) {
+            innerDispatch({ type: "INCREMENT" });
+          });
+        },
+        [],
+        "Loader.tsx:4",
+        "Loader",
+        [],
+      );
+      return null;
+    }
+
+    await act(async () => {
+      render(<Loader />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Loader.tsx:4 in Loader changed useDispatch "dispatch" (action "loadItems") because it was initially mounted',
+    ]);
+    expect(store.getState()).toBe(1);
+  });
+
+  it("reports direct dispatches to a traced Redux store", async () => {
+    const store = traceStore(createReduxStore(), "store");
+
+    function Counter() {
+      __trackedUseEffect(
+        () => {
+          store.dispatch({ type: "INCREMENT" });
+        },
+        [],
+        "Counter.tsx:4",
+        "Counter",
+        [],
+      );
+      return null;
+    }
+
+    await act(async () => {
+      render(<Counter />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Counter.tsx:4 in Counter changed store "store" (action "INCREMENT") because it was initially mounted',
+    ]);
+  });
+
+  it("reports updates of a traced zustand store", async () => {
+    const cart = traceStore(createZustandStore(), "cart");
+
+    function Cart() {
+      __trackedUseEffect(
+        () => {
+          cart.setState({ items: 1 });
+        },
+        [],
+        "Cart.tsx:4",
+        "Cart",
+        [],
+      );
+      return null;
+    }
+
+    await act(async () => {
+      render(<Cart />);
+    });
+    await act(async () => {
+      cart.setState({ items: 2 });
+    });
+
+    expect(logs).toEqual([
+      'useEffect Cart.tsx:4 in Cart changed store "cart" because it was initially mounted',
+    ]);
+  });
+});
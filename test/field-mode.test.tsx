@@ -0,0 +1,133 @@
+import { render, act, screen } from "@testing-library/react";
+import { vi } from "vitest";
+
+describe("Field Mode", () => {
+  beforeEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    globalThis.__effectTracker = null;
+  });
+
+  async function loadRuntime(field: Record<string, unknown>, random = 0) {
+    vi.resetModules();
+    vi.spyOn(Math, "random").mockReturnValue(random);
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ field });
+
+    function Counter({ updates }: { updates: number }) {
+      const [count, setCount] = runtime.__trackedUseState(0, "Counter.tsx:2", "Counter", "count");
+      const effect = vi.fn(() => {
+        for (let i = 1; i <= updates; i++) setCount(i);
+      });
+      runtime.__trackedUseEffect(effect, [], "Counter.tsx:3", "Counter", []);
+      return <div>{count}</div>;
+    }
+
+    return { runtime, Counter };
+  }
+
+  function hidePage() {
+    window.dispatchEvent(new Event("pagehide"));
+  }
+
+  it("reports compact events in batches instead of printing them", async () => {
+    const reporter = vi.fn();
+    const log = vi.spyOn(console, "log");
+    const { Counter } = await loadRuntime({ sampleRate: 0.5, reporter });
+
+    await act(async () => {
+      render(<Counter updates={1} />);
+    });
+    hidePage();
+
+    expect(reporter).toHaveBeenCalledTimes(1);
+    expect(reporter.mock.calls[0][0]).toEqual({
+      url: "/",
+      session: expect.any(String),
+      dropped: 0,
+      hydration: null,
+      events: [
+        {
+          t: "state-change",
+          l: "Counter.tsx:3",
+          c: "Counter",
+          s: "count",
+          h: "useState",
+          p: "hydration",
+          ts: expect.any(Number),
+        },
+      ],
+    });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it("sends the hydration report once it is available", async () => {
+    const reporter = vi.fn();
+    const { runtime, Counter } = await loadRuntime({ sampleRate: 1, reporter });
+
+    await act(async () => {
+      render(<Counter updates={1} />);
+    });
+    await vi.waitFor(() => expect(runtime.getHydrationReport()).not.toBeNull());
+
+    expect(reporter).toHaveBeenCalledTimes(1);
+    expect(reporter.mock.calls[0][0].hydration).toMatchObject({ stateChanges: 1, effectRuns: 1 });
+    hidePage();
+    expect(reporter).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps a bounded ring buffer", async () => {
+    const reporter = vi.fn();
+    const { runtime, Counter } = await loadRuntime({
+      sampleRate: 1,
+      maxEvents: 3,
+      reporter,
+    });
+    runtime.configure({ loopDetection: false });
+
+    await act(async () => {
+      render(<Counter updates={5} />);
+    });
+    hidePage();
+
+    const batch = reporter.mock.calls[0][0];
+    expect(batch.events).toHaveLength(3);
+    expect(batch.dropped).toBe(2);
+  });
+
+  it("skips tracing on page loads which were not sampled", async () => {
+    const reporter = vi.fn();
+    const subscriber = vi.fn();
+    const { runtime, Counter } = await loadRuntime({ sampleRate: 0.1, reporter }, 0.5);
+    runtime.subscribe(subscriber);
+
+    await act(async () => {
+      render(<Counter updates={1} />);
+    });
+    hidePage();
+
+    expect(screen.getByText("1")).toBeInTheDocument();
+    expect(subscriber).not.toHaveBeenCalled();
+    expect(reporter).not.toHaveBeenCalled();
+  });
+
+  it("sends batches to an endpoint with sendBeacon", async () => {
+    const sendBeacon = vi.fn((_url: string, _data: string) => true);
+    vi.stubGlobal("navigator", { ...navigator, sendBeacon });
+    const { Counter } = await loadRuntime({ sampleRate: 1, endpoint: "/api/render-loops" });
+
+    await act(async () => {
+      render(<Counter updates={1} />);
+    });
+    hidePage();
+
+    expect(sendBeacon).toHaveBeenCalledWith("/api/render-loops", expect.any(String));
+    expect(JSON.parse(sendBeacon.mock.calls[0][1]).events).toHaveLength(1);
+  });
+});
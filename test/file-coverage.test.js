@@ -0,0 +1,160 @@
+// @vitest-environment node
+
+import { createRequire } from "node:module";
+import path from "node:path";
+import { globToRegExp, SOURCE_FILE_GLOBS, SOURCE_FILE_PATTERN } from "../src/file-matcher.js";
+import { withRenderLoopTracer } from "../src/index.js";
+import { compileFixture, PROJECT } from "./helpers/webpack.js";
+
+const require = createRequire(import.meta.url);
+
+const fixture = {
+  "/project/src/index.js": `export * from "./components/Button.tsx";
+export * from "./components/Legacy.jsx";
+export * from "./generated/Api.generated.tsx";
+export * from "./hooks/useDebounced.ts";
+export * from "./hooks/useToggle.js";
+export * from "./utils/format.ts";
+`,
+  "/project/src/components/Button.tsx": `import { useState } from "react";
+export function Button({ label }: { label: string }) {
+  const [pressed, setPressed] = useState(false);
+  return <button onClick={() => setPressed(true)}>{pressed ? "✓" : label}</button>;
+}
+`,
+  "/project/src/components/Legacy.jsx": `import { useEffect, useState } from "react";
+export function Legacy() {
+  const [ready, setReady] = useState(false);
+  useEffect(() => setReady(true), []);
+  return <div>{String(ready)}</div>;
+}
+`,
+  "/project/src/generated/Api.generated.tsx": `import { useState } from "react";
+export function useApi() {
+  return useState(null);
+}
+`,
+  // Custom hooks in .ts/.js files were missing under Turbopack
+  "/project/src/hooks/useDebounced.ts": `import { useEffect, useState } from "react";
+export function useDebounced<T>(value: T, delay: number) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebounced(value), <number>delay);
+    return () => clearTimeout(timeout);
+  }, [value, delay]);
+  return debounced;
+}
+`,
+  "/project/src/hooks/useToggle.js": `import { useState } from "react";
+export function useToggle() {
+  const [on, setOn] = useState(false);
+  return [on, () => setOn(!on)];
+}
+`,
+  "/project/src/utils/format.ts": `export const format = (value: number) => value.toFixed(2);
+`,
+};
+
+/**
+ * Next.js resolves the loader path relative to the project, the fixture project only
+ * exists in memory
+ * @param {any} loaderConfig
+ */
+function resolveLoader(loaderConfig) {
+  return { ...loaderConfig, loader: path.resolve(loaderConfig.loader) };
+}
+
+/**
+ * @param {ReturnType<typeof withRenderLoopTracer>} config
+ * @returns {any[]}
+ */
+function getWebpackRules(config) {
+  return config.webpack({ module: { rules: [] }, resolve: {} }, { dev: true, isServer: false })
+    .module.rules;
+}
+
+/**
+ * Compile the fixture with the given tracer rules and return the modules the tracer transformed
+ * @param {import("webpack").RuleSetRule[]} tracerRules
+ * @returns {Promise<string[]>}
+ */
+async function getTransformedModules(tracerRules) {
+  const { stats } = await compileFixture(fixture, {
+    mode: "development",
+    output: { path: "/dist", filename: "bundle.js" },
+    externalsType: "commonjs",
+    externals: ["react", "react/jsx-runtime", "@jantimon/react-render-loop-tracer/runtime"],
+    cache: false,
+    module: {
+      rules: [
+        ...tracerRules,
+        // Stands in for Next.js' SWC transform after the tracer
+        {
+          test: SOURCE_FILE_PATTERN,
+          include: PROJECT,
+          use: {
+            loader: require.resolve("babel-loader"),
+            options: {
+              babelrc: false,
+              configFile: false,
+              presets: [
+                ["@babel/preset-react", { runtime: "automatic" }],
+                "@babel/preset-typescript",
+              ],
+            },
+          },
+        },
+      ],
+    },
+  });
+  const { modules = [] } = stats.toJson({ modules: true, source: true });
+  return modules
+    .filter((module) => String(module.source).includes("__trackedUse"))
+    .map((module) => String(module.name))
+    .sort();
+}
+
+describe("file coverage of webpack and Turbopack", () => {
+  const tracerOptions = { root: PROJECT, exclude: ["**/*.generated.tsx"] };
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("derives the webpack rule and the Turbopack rules from the same extensions", () => {
+    vi.stubEnv("NODE_ENV", "development");
+    const config = withRenderLoopTracer({}, tracerOptions);
+    const [webpackRule] = getWebpackRules(config);
+    const turboGlobs = Object.keys(config.turbopack.rules);
+
+    expect(turboGlobs).toEqual(SOURCE_FILE_GLOBS);
+    for (const file of ["a.js", "a.jsx", "a.ts", "a.tsx", "a.mjs", "a.d.css", "a.json"]) {
+      const matchedByTurbopack = turboGlobs.some((glob) => globToRegExp(glob).test(file));
+      expect(webpackRule.test.test(file), file).toBe(matchedByTurbopack);
+    }
+  });
+
+  it("transforms the same files under webpack and Turbopack", async () => {
+    vi.stubEnv("NODE_ENV", "development");
+    const config = withRenderLoopTracer({}, tracerOptions);
+    const webpackRules = getWebpackRules(config).map((rule) => ({
+      ...rule,
+      use: resolveLoader(rule.use),
+    }));
+    // Turbopack matches its rule keys against the file name
+    const turboRules = Object.entries(config.turbopack.rules).map(([glob, rule]) => ({
+      test: (/** @type {string} */ file) => globToRegExp(glob).test(path.basename(file)),
+      enforce: /** @type {const} */ ("pre"),
+      use: rule.loaders.map(resolveLoader),
+    }));
+
+    const expected = [
+      "./src/components/Button.tsx",
+      "./src/components/Legacy.jsx",
+      "./src/hooks/useDebounced.ts",
+      "./src/hooks/useToggle.js",
+    ];
+    expect(await getTransformedModules(webpackRules)).toEqual(expected);
+    expect(await getTransformedModules(turboRules)).toEqual(expected);
+  });
+});
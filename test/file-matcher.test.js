@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { createFileMatcher, globToRegExp } from "../src/file-matcher.js";
+
+describe("file matcher", () => {
+  it("converts globs to regular expressions", () => {
+    expect(globToRegExp("src/**/*.tsx").test("src/components/Button.tsx")).toBe(true);
+    expect(globToRegExp("src/**/*.tsx").test("src/Button.tsx")).toBe(true);
+    expect(globToRegExp("src/*.tsx").test("src/components/Button.tsx")).toBe(false);
+    expect(globToRegExp("**/*.{ts,tsx}").test("app/page.ts")).toBe(true);
+    expect(globToRegExp("**/*.{ts,tsx}").test("app/page.jsx")).toBe(false);
+    expect(globToRegExp("app/page?.tsx").test("app/page2.tsx")).toBe(true);
+    expect(
+      globToRegExp("node_modules/@acme/ui/**").test("node_modules/@acme/ui/dist/index.js"),
+    ).toBe(true);
+  });
+
+  it("matches every file without options", () => {
+    const matches = createFileMatcher();
+    expect(matches("src/Button.tsx")).toBe(true);
+    expect(matches("node_modules/lib/index.js")).toBe(true);
+  });
+
+  it("restricts files to includes and skips excludes", () => {
+    const matches = createFileMatcher({
+      include: ["src/**", "node_modules/@acme/ui/**"],
+      exclude: ["**/*.generated.tsx"],
+    });
+    expect(matches("src/Button.tsx")).toBe(true);
+    expect(matches("node_modules/@acme/ui/Button.js")).toBe(true);
+    expect(matches("node_modules/other/index.js")).toBe(false);
+    expect(matches("src/api/client.generated.tsx")).toBe(false);
+  });
+});
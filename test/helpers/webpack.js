@@ -0,0 +1,57 @@
+import fs from "node:fs";
+import { createFsFromVolume, Volume } from "memfs";
+import webpack from "webpack";
+
+/** Root of the in-memory fixture projects */
+export const PROJECT = "/project";
+
+/**
+ * Fixture files from memory, everything else (the runtime, loaders, webpack's own modules) from disk
+ * @param {import("memfs").IFs} memory
+ */
+function createInputFileSystem(memory) {
+  /** @param {"readFile" | "stat" | "lstat" | "readdir" | "readlink" | "realpath"} method */
+  const route =
+    (method) =>
+    /** @param {string} file @param {...any} args */
+    (file, ...args) => {
+      const target = String(file).startsWith(PROJECT) ? memory : fs;
+      return /** @type {Function} */ (target[method]).call(target, file, ...args);
+    };
+  return {
+    readFile: route("readFile"),
+    stat: route("stat"),
+    lstat: route("lstat"),
+    readdir: route("readdir"),
+    readlink: route("readlink"),
+    realpath: route("realpath"),
+  };
+}
+
+/**
+ * Compile a fixture project from `PROJECT/src/index.js`, emitting into memory as well
+ * @param {Record<string, string>} fixture file paths → contents
+ * @param {import("webpack").Configuration} config
+ * @returns {Promise<{ stats: import("webpack").Stats; memory: import("memfs").IFs }>}
+ */
+export async function compileFixture(fixture, config) {
+  const memory = createFsFromVolume(Volume.fromJSON(fixture));
+  const compiler = webpack({
+    context: PROJECT,
+    entry: "./src/index.js",
+    devtool: false,
+    ...config,
+  });
+  compiler.inputFileSystem = /** @type {any} */ (createInputFileSystem(memory));
+  compiler.outputFileSystem = /** @type {any} */ (memory);
+
+  /** @type {import("webpack").Stats} */
+  const stats = await new Promise((resolve, reject) => {
+    compiler.run((error, stats) => (error || !stats ? reject(error) : resolve(stats)));
+  });
+  await new Promise((resolve) => compiler.close(resolve));
+  if (stats.hasErrors()) {
+    throw new Error(stats.toString("errors-only"));
+  }
+  return { stats, memory };
+}
@@ -0,0 +1,165 @@
+import { render, act, screen } from "@testing-library/react";
+import { vi } from "vitest";
+import type { TraceEvent, TraceGroup } from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Hydration Phase", () => {
+  beforeEach(() => {
+    globalThis.__effectTrackerLogger = () => {};
+    globalThis.__effectTracker = null;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  async function renderApp() {
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    const events: TraceEvent[] = [];
+    runtime.subscribe((event: TraceEvent | TraceGroup) => {
+      if (event.type === "state-change") events.push(event);
+    });
+
+    function Label({ count }: { count: number }) {
+      const [label, setLabel] = runtime.__trackedUseState("", "Label.tsx:2", "Label", "label");
+      runtime.__trackedUseEffect(
+        () => {
+          setLabel(`${count} items`);
+        },
+        [count],
+        "Label.tsx:3",
+        "Label",
+        ["count"],
+      );
+      return <span>{label}</span>;
+    }
+
+    function App() {
+      const [count, setCount] = runtime.__trackedUseState(0, "App.tsx:2", "App", "count");
+      const [ready, setReady] = runtime.__trackedUseState(false, "App.tsx:3", "App", "ready");
+      runtime.__trackedUseEffect(
+        () => {
+          setReady(true);
+        },
+        [],
+        "App.tsx:4",
+        "App",
+        [],
+      );
+      return (
+        <button onClick={() => setCount(count + 1)}>
+          {String(ready)} <Label count={count} />
+        </button>
+      );
+    }
+
+    await act(async () => {
+      render(<App />);
+    });
+
+    return { runtime, events };
+  }
+
+  it("tags mount-time entries with the hydration phase and later ones as interactive", async () => {
+    vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    vi.spyOn(console, "table").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+    const { runtime, events } = await renderApp();
+
+    expect(events.map((event) => [event.stateName, event.phase])).toEqual([
+      ["label", "hydration"],
+      ["ready", "hydration"],
+    ]);
+
+    await vi.waitFor(() => expect(runtime.getHydrationReport()).not.toBeNull());
+    events.length = 0;
+
+    await act(async () => {
+      screen.getByRole("button").click();
+    });
+
+    expect(events.map((event) => [event.stateName, event.phase])).toEqual([
+      ["label", "interactive"],
+    ]);
+  });
+
+  it("reports the hydration window once", async () => {
+    const group = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    const table = vi.spyOn(console, "table").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+    const { runtime } = await renderApp();
+
+    await vi.waitFor(() => expect(runtime.getHydrationReport()).not.toBeNull());
+
+    expect(runtime.getHydrationReport()).toEqual({
+      duration: expect.any(Number),
+      stateChanges: 2,
+      effectRuns: 2,
+      components: [
+        { componentName: "Label", stateChanges: 1, effectRuns: 1 },
+        { componentName: "App", stateChanges: 1, effectRuns: 1 },
+      ],
+    });
+    expect(group).toHaveBeenCalledTimes(1);
+    expect(group.mock.calls[0][0]).toMatch(
+      /^hydration: 2 effect→setState across 2 components, \d+ms$/,
+    );
+    expect(table.mock.calls[0][0]).toEqual([
+      { component: "Label", "state changes": 1, "effect runs": 1 },
+      { component: "App", "state changes": 1, "effect runs": 1 },
+    ]);
+
+    await act(async () => {
+      screen.getByRole("button").click();
+    });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(group).toHaveBeenCalledTimes(1);
+  });
+
+  it("ends hydration of pages without tracked effects without printing a report", async () => {
+    const group = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    const table = vi.spyOn(console, "table").mockImplementation(() => {});
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+
+    function StaticPage() {
+      const [title] = runtime.__trackedUseState("Home", "StaticPage.tsx:2", "StaticPage", "title");
+      return <h1>{title}</h1>;
+    }
+
+    await act(async () => {
+      render(<StaticPage />);
+    });
+
+    await vi.waitFor(() =>
+      expect(runtime.getHydrationReport()).toEqual({
+        duration: 0,
+        stateChanges: 0,
+        effectRuns: 0,
+        components: [],
+      }),
+    );
+    expect(group).not.toHaveBeenCalled();
+    expect(table).not.toHaveBeenCalled();
+  });
+
+  it("can be configured to not print the report", async () => {
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
+    const group = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+
+    function Mounted() {
+      runtime.__trackedUseEffect(() => {}, [], "Mounted.tsx:2", "Mounted", []);
+      return null;
+    }
+    await act(async () => {
+      render(<Mounted />);
+    });
+
+    await vi.waitFor(() => expect(runtime.getHydrationReport()).not.toBeNull());
+    expect(group).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 import { render, act } from "@testing-library/react";
 import { vi } from "vitest";
+import type { TraceEvent, TraceGroup } from "@jantimon/react-render-loop-tracer/runtime";
 
 describe("Long Task Grouping", () => {
   let observerCallbacks: Map<string, PerformanceObserverCallback>;
@@ -42,6 +43,8 @@ describe("Long Task Grouping", () => {
     // We need to trigger the module's initLongTaskObserver()
     vi.resetModules();
     const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    // the hydration report would end up in the console spies
+    runtime.configure({ hydrationReport: false });
 
     // Record timestamps around rendering
     const beforeRender = performance.now();
@@ -112,6 +115,7 @@ describe("Long Task Grouping", () => {
 
     vi.resetModules();
     const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
 
     function App() {
       const [a, setA] = runtime.__trackedUseState(0, "App.tsx:3", "App", "a");
@@ -154,6 +158,7 @@ describe("Long Task Grouping", () => {
 
     vi.resetModules();
     const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
 
     const beforeRender = performance.now();
 
@@ -231,6 +236,7 @@ describe("Long Task Grouping", () => {
 
     vi.resetModules();
     const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
 
     function App() {
       // Effect without setState — produces only an effect-run entry
@@ -253,4 +259,65 @@ describe("Long Task Grouping", () => {
 
     vi.useRealTimers();
   });
+
+  it("emits a long-task group to subscribers and tags grouped events", async () => {
+    vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
+    const received: (TraceEvent | TraceGroup)[] = [];
+    const unsubscribe = runtime.subscribe((event) => received.push(event));
+
+    const beforeRender = performance.now();
+
+    function App() {
+      const [a, setA] = runtime.__trackedUseState(0, "App.tsx:3", "App", "a");
+
+      runtime.__trackedUseEffect(
+        () => {
+          setA(1);
+        },
+        [],
+        "App.tsx:5",
+        "App",
+        [],
+      );
+
+      return null;
+    }
+
+    await act(async () => {
+      render(<App />);
+    });
+
+    const afterRender = performance.now();
+
+    observerCallbacks.get("longtask")!(
+      {
+        getEntries: () => [
+          {
+            entryType: "longtask",
+            startTime: beforeRender - 1,
+            duration: afterRender - beforeRender + 10,
+            name: "self",
+            toJSON: () => ({}),
+          },
+        ],
+      } as unknown as PerformanceObserverEntryList,
+      {} as PerformanceObserver,
+    );
+
+    const group = received.find((event) => event.type === "long-task");
+    const stateChange = received.find((event) => event.type === "state-change");
+    expect(group).toBeDefined();
+    expect(stateChange).toBeDefined();
+    if (group?.type !== "long-task" || stateChange?.type !== "state-change") return;
+    expect(group.events).toContain(stateChange);
+    expect(stateChange.groupId).toBe(group.groupId);
+
+    unsubscribe();
+  });
 });
@@ -0,0 +1,192 @@
+import { render, act } from "@testing-library/react";
+import { vi } from "vitest";
+import {
+  __trackedUseMemo,
+  __trackedUseCallback,
+  subscribe,
+} from "@jantimon/react-render-loop-tracer/runtime";
+import type { TraceEvent, TraceGroup } from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Memo recomputations", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (msg.includes("useMemo") || msg.includes("useCallback")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  function Cart({ items, currency }: { items: number[]; currency: string }) {
+    const total = __trackedUseMemo(
+      () => items.reduce((sum, item) => sum + item, 0),
+      [items],
+      "Cart.tsx:2",
+      "Cart",
+      ["items"],
+    );
+    __trackedUseCallback(() => `${total} ${currency}`, [total, currency], "Cart.tsx:3", "Cart", [
+      "total",
+      "currency",
+    ]);
+    return null;
+  }
+
+  it("reports recomputes with their changed deps and duration", async () => {
+    const items = [1, 2];
+    const { rerender } = await act(async () => render(<Cart items={items} currency="EUR" />));
+    expect(logs).toEqual([]);
+
+    // Same deps — nothing to report
+    await act(async () => {
+      rerender(<Cart items={items} currency="EUR" />);
+    });
+    expect(logs).toEqual([]);
+
+    await act(async () => {
+      rerender(<Cart items={[1, 3]} currency="USD" />);
+    });
+    expect(logs).toEqual([
+      expect.stringMatching(
+        /^useMemo Cart\.tsx:2 in Cart recomputed \(took [\d.]+ms\) because items changed$/,
+      ),
+      "useCallback Cart.tsx:3 in Cart recreated because total, currency changed",
+    ]);
+  });
+
+  it("emits structured events with the factory duration", async () => {
+    const events: TraceEvent[] = [];
+    const unsubscribe = subscribe((event) => {
+      if (event.type === "memo-recompute") events.push(event as TraceEvent);
+    });
+    const { rerender } = await act(async () => render(<Cart items={[1]} currency="EUR" />));
+    await act(async () => {
+      rerender(<Cart items={[1]} currency="EUR" />);
+    });
+    unsubscribe();
+
+    expect(events).toEqual([
+      expect.objectContaining({
+        hook: "useMemo",
+        location: "Cart.tsx:2",
+        changedDeps: ["items"],
+        deepEqualDeps: ["items"],
+        duration: expect.any(Number),
+      }),
+    ]);
+  });
+
+  it("warns when a memo recomputes on every render", async () => {
+    function Filters({ page }: { page: number }) {
+      const options = { page };
+      __trackedUseMemo(() => ({ ...options }), [options], "Filters.tsx:3", "Filters", ["options"]);
+      return null;
+    }
+
+    const { rerender } = await act(async () => render(<Filters page={1} />));
+    for (let render = 0; render < 4; render++) {
+      await act(async () => {
+        rerender(<Filters page={1} />);
+      });
+    }
+
+    expect(logs.filter((message) => message.startsWith("Unstable memo"))).toEqual([
+      "Unstable memo: useMemo Filters.tsx:3 in Filters recomputed on each of the last 3 renders " +
+        "(options changed identity on every render but is deep-equal — unstable reference)",
+    ]);
+  });
+
+  it("reports memos without deps array", async () => {
+    function Clock({ tick }: { tick: number }) {
+      __trackedUseMemo(() => tick * 2, undefined, "Clock.tsx:2", "Clock", null);
+      return null;
+    }
+
+    const { rerender } = await act(async () => render(<Clock tick={0} />));
+    for (let tick = 1; tick <= 3; tick++) {
+      await act(async () => {
+        rerender(<Clock tick={tick} />);
+      });
+    }
+
+    expect(logs.slice(-2)).toEqual([
+      expect.stringMatching(
+        /^useMemo Clock\.tsx:2 in Clock recomputed .* because it has no deps array$/,
+      ),
+      "Unstable memo: useMemo Clock.tsx:2 in Clock recomputed on each of the last 3 renders (it has no deps array)",
+    ]);
+  });
+});
+
+describe("Memo recomputations in long tasks", () => {
+  let longTaskCallback: PerformanceObserverCallback | undefined;
+
+  beforeEach(() => {
+    vi.stubGlobal(
+      "PerformanceObserver",
+      class MockPerformanceObserver {
+        constructor(private callback: PerformanceObserverCallback) {}
+        observe(options: { type: string }) {
+          if (options.type === "longtask") longTaskCallback = this.callback;
+        }
+        disconnect() {}
+      },
+    );
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it("only prints recomputes inside a long task group", async () => {
+    vi.useFakeTimers();
+    const groupSpy = vi.spyOn(console, "groupCollapsed").mockImplementation(() => {});
+    const infoSpy = vi.spyOn(console, "info").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+
+    vi.resetModules();
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+    runtime.configure({ hydrationReport: false });
+    const groups: TraceGroup[] = [];
+    runtime.subscribe((event) => {
+      if (event.type === "long-task") groups.push(event as TraceGroup);
+    });
+
+    function Total({ items }: { items: number[] }) {
+      runtime.__trackedUseMemo(() => items.length, [items], "Total.tsx:2", "Total", ["items"]);
+      return null;
+    }
+
+    const { rerender } = render(<Total items={[1]} />);
+    // Outside of a long task the recompute is not printed
+    rerender(<Total items={[2]} />);
+    vi.advanceTimersByTime(200);
+    expect(infoSpy).not.toHaveBeenCalled();
+
+    const taskStart = performance.now();
+    rerender(<Total items={[3]} />);
+    longTaskCallback!(
+      {
+        getEntries: () => [
+          { entryType: "longtask", startTime: taskStart, duration: 60, name: "self" },
+        ],
+      } as unknown as PerformanceObserverEntryList,
+      {} as PerformanceObserver,
+    );
+
+    expect(groupSpy).toHaveBeenCalledWith(expect.stringContaining("1 memo recompute"));
+    expect(infoSpy).toHaveBeenCalledWith(
+      expect.stringContaining("[memo-recompute] useMemo Total.tsx:2 in Total recomputed"),
+    );
+    expect(groups[0].events.map((event) => event.type)).toEqual(["memo-recompute"]);
+  });
+});
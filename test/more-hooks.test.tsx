@@ -0,0 +1,289 @@
+import { startTransition, useEffect as useReactEffect, useRef as useReactRef } from "react";
+import { render, act, screen } from "@testing-library/react";
+import {
+  __trackedUseSyncExternalStore,
+  __trackedUseTransition,
+  __trackedUseOptimistic,
+  __trackedUseActionState,
+  __trackedUseInsertionEffect,
+  __trackedUseEffect,
+  __trackedEffectCallback,
+  __trackedUseState,
+  subscribe,
+  formatEvent,
+} from "@jantimon/react-render-loop-tracer/runtime";
+import type { TraceEvent, TraceGroup } from "@jantimon/react-render-loop-tracer/runtime";
+
+function createStore<T>(initial: T) {
+  let value = initial;
+  const listeners = new Set<() => void>();
+  return {
+    subscribe: (listener: () => void) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => value,
+    set: (next: T) => {
+      value = next;
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+describe("Hook Coverage", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (!msg.includes("ran because") && !msg.startsWith("Slow")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  it("attributes external store updates to the effect that wrote the store", async () => {
+    const store = createStore(0);
+
+    function Counter() {
+      const count = __trackedUseSyncExternalStore(
+        store.subscribe,
+        store.getSnapshot,
+        undefined,
+        "Counter.tsx:3",
+        "Counter",
+        "count",
+      );
+      __trackedUseEffect(
+        () => {
+          if (store.getSnapshot() === 0) store.set(1);
+        },
+        [],
+        "Counter.tsx:4",
+        "Counter",
+        [],
+      );
+      return <div data-testid="count">{count}</div>;
+    }
+
+    await act(async () => {
+      render(<Counter />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Counter.tsx:4 in Counter changed useSyncExternalStore "count" because it was initially mounted',
+    ]);
+    expect(screen.getByTestId("count").textContent).toBe("1");
+  });
+
+  it("does not report store updates outside of effects", async () => {
+    const store = createStore("a");
+
+    function Label() {
+      const label = __trackedUseSyncExternalStore(
+        store.subscribe,
+        store.getSnapshot,
+        undefined,
+        "Label.tsx:3",
+        "Label",
+        "label",
+      );
+      return <div data-testid="label">{label}</div>;
+    }
+
+    await act(async () => {
+      render(<Label />);
+    });
+    await act(async () => {
+      store.set("b");
+    });
+
+    expect(logs).toEqual([]);
+    expect(screen.getByTestId("label").textContent).toBe("b");
+  });
+
+  it("reports transitions started by an effect", async () => {
+    function Search() {
+      const [isPending, startSearch] = __trackedUseTransition(
+        "Search.tsx:3",
+        "Search",
+        "isPending",
+      );
+      __trackedUseEffect(
+        () => {
+          startSearch(() => {});
+        },
+        [],
+        "Search.tsx:4",
+        "Search",
+        [],
+      );
+      return <div>{String(isPending)}</div>;
+    }
+
+    await act(async () => {
+      render(<Search />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Search.tsx:4 in Search changed useTransition "isPending" because it was initially mounted',
+    ]);
+  });
+
+  it("reports optimistic updates made by an effect", async () => {
+    function Likes() {
+      const [likes, addLike] = __trackedUseOptimistic(
+        1,
+        (state: number, amount: number) => state + amount,
+        "Likes.tsx:3",
+        "Likes",
+        "likes",
+      );
+      __trackedUseEffect(
+        () => {
+          startTransition(() => addLike(1));
+        },
+        [],
+        "Likes.tsx:4",
+        "Likes",
+        [],
+      );
+      return <div>{likes}</div>;
+    }
+
+    await act(async () => {
+      render(<Likes />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Likes.tsx:4 in Likes changed useOptimistic "likes" because it was initially mounted',
+    ]);
+  });
+
+  it("reports action dispatches made by an effect", async () => {
+    function Form() {
+      const [saved, save] = __trackedUseActionState(
+        (count: number, amount: number) => count + amount,
+        0,
+        undefined,
+        "Form.tsx:3",
+        "Form",
+        "saved",
+      );
+      __trackedUseEffect(
+        () => {
+          startTransition(() => save(2));
+        },
+        [],
+        "Form.tsx:4",
+        "Form",
+        [],
+      );
+      return <div data-testid="saved">{saved}</div>;
+    }
+
+    await act(async () => {
+      render(<Form />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Form.tsx:4 in Form changed useActionState "saved" because it was initially mounted',
+    ]);
+    expect(screen.getByTestId("saved").textContent).toBe("2");
+  });
+
+  it("tracks useInsertionEffect runs", async () => {
+    const events: (TraceEvent | TraceGroup)[] = [];
+    const unsubscribe = subscribe((event) => events.push(event));
+
+    function Styled({ color }: { color: string }) {
+      __trackedUseInsertionEffect(() => {}, [color], "Styled.tsx:3", "Styled", ["color"]);
+      return null;
+    }
+
+    const { rerender } = await act(async () => render(<Styled color="red" />));
+    events.length = 0;
+    await act(async () => {
+      rerender(<Styled color="blue" />);
+    });
+    unsubscribe();
+
+    expect(events).toMatchObject([
+      {
+        type: "effect-run",
+        hook: "useInsertionEffect",
+        location: "Styled.tsx:3",
+        changedDeps: ["color"],
+      },
+    ]);
+    expect(formatEvent(events[0] as TraceEvent)).toBe(
+      "useInsertionEffect Styled.tsx:3 in Styled ran because color changed",
+    );
+  });
+  it("tracks callbacks of user-defined effect hooks", async () => {
+    /** Skips the first run, like `useUpdateEffect` from react-use */
+    function useUpdateEffect(callback: () => void, deps: unknown[]) {
+      const isFirst = useReactRef(true);
+      useReactEffect(() => {
+        if (isFirst.current) {
+          isFirst.current = false;
+          return;
+        }
+        callback();
+      }, deps);
+    }
+
+    function Filter({ query }: { query: string }) {
+      const [page, setPage] = __trackedUseState(2, "Filter.tsx:3", "Filter", "page");
+      useUpdateEffect(
+        __trackedEffectCallback(
+          () => {
+            setPage(1);
+          },
+          [query],
+          "Filter.tsx:4",
+          "Filter",
+          ["query"],
+          "useUpdateEffect",
+        ),
+        [query],
+      );
+      return <div>{page}</div>;
+    }
+
+    const { rerender } = await act(async () => render(<Filter query="a" />));
+    expect(logs).toEqual([]);
+
+    await act(async () => {
+      rerender(<Filter query="b" />);
+    });
+
+    expect(logs).toEqual([
+      'useUpdateEffect Filter.tsx:4 in Filter changed useState "page" because query changed',
+    ]);
+  });
+});
+
+describe("React 18", () => {
+  afterEach(() => {
+    vi.doUnmock("react");
+    vi.resetModules();
+  });
+
+  it("loads the runtime without the React 19 hooks", async () => {
+    vi.resetModules();
+    vi.doMock("react", async (importOriginal) => {
+      const react = await importOriginal<typeof import("react")>();
+      // Missing exports read as `undefined` from the namespace
+      return { ...react, useOptimistic: undefined, useActionState: undefined, version: "18.3.1" };
+    });
+    const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+
+    expect(() =>
+      runtime.__trackedUseOptimistic(0, undefined, "Cart.tsx:2", "Cart", "optimistic"),
+    ).toThrow("useOptimistic is not available in React 18.3.1, it requires React 19");
+  });
+});
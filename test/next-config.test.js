@@ -0,0 +1,96 @@
+import path from "node:path";
+import { withRenderLoopTracer } from "../src/index.js";
+
+const RUNTIME_IMPORT = "@jantimon/react-render-loop-tracer/runtime";
+const runtime = path.resolve(__dirname, "../src/runtime.js");
+
+describe("withRenderLoopTracer", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  /**
+   * @param {ReturnType<typeof withRenderLoopTracer>} config
+   * @param {{ dev: boolean; isServer?: boolean }} context
+   * @returns {any[]}
+   */
+  function getRules(config, { dev, isServer = false }) {
+    return config.webpack({ module: { rules: [] }, resolve: {} }, { dev, isServer }).module.rules;
+  }
+
+  /**
+   * @param {ReturnType<typeof withRenderLoopTracer>} config
+   * @param {{ dev: boolean }} context
+   * @returns {Record<string, string> | undefined}
+   */
+  function getAliases(config, { dev }) {
+    return config.webpack({ module: { rules: [] }, resolve: {} }, { dev, isServer: false }).resolve
+      .alias;
+  }
+
+  it("instruments client builds in development", () => {
+    vi.stubEnv("NODE_ENV", "development");
+    const config = withRenderLoopTracer({}, { exclude: ["**/*.generated.tsx"] });
+
+    const rules = getRules(config, { dev: true });
+    expect(rules).toHaveLength(1);
+    expect(rules[0].use.options.plugins[0][1]).toEqual({ exclude: ["**/*.generated.tsx"] });
+    expect(Object.keys(config.turbopack.rules)).toEqual(["*.js", "*.jsx", "*.ts", "*.tsx"]);
+    expect(getRules(config, { dev: true, isServer: true })).toHaveLength(0);
+  });
+
+  it("leaves production builds untouched by default", () => {
+    vi.stubEnv("NODE_ENV", "production");
+    const config = withRenderLoopTracer({ turbopack: { rules: { "*.svg": {} } } });
+
+    expect(getRules(config, { dev: false })).toHaveLength(0);
+    expect(config.turbopack.rules).toEqual({ "*.svg": {} });
+    // the `production` export condition resolves the runtime stub
+    expect(getAliases(config, { dev: false })).toBeUndefined();
+    expect(config.turbopack.resolveAlias).toEqual({});
+  });
+
+  it("instruments production builds with production: true", () => {
+    vi.stubEnv("NODE_ENV", "production");
+    const config = withRenderLoopTracer({}, { production: true });
+
+    const rules = getRules(config, { dev: false });
+    expect(rules).toHaveLength(1);
+    // build options are not passed on to the Babel plugin
+    expect(rules[0].use.options.plugins[0][1]).toEqual({});
+    expect(Object.keys(config.turbopack.rules)).toEqual(["*.js", "*.jsx", "*.ts", "*.tsx"]);
+  });
+
+  it("appends the tracer loader to existing Turbopack rules of the same glob", () => {
+    vi.stubEnv("NODE_ENV", "development");
+    const config = withRenderLoopTracer({
+      turbopack: {
+        rules: {
+          "*.tsx": { loaders: ["@acme/i18n-loader"], as: "*.tsx" },
+          "*.js": ["@acme/banner-loader"],
+          "*.svg": ["@svgr/webpack"],
+        },
+      },
+    });
+    const { rules } = config.turbopack;
+    const [tracerLoader] = rules["*.ts"].loaders;
+
+    expect(rules["*.tsx"]).toEqual({ loaders: ["@acme/i18n-loader", tracerLoader], as: "*.tsx" });
+    expect(rules["*.js"]).toEqual({ loaders: ["@acme/banner-loader", tracerLoader], as: "*.js" });
+    expect(rules["*.svg"]).toEqual(["@svgr/webpack"]);
+  });
+
+  it("resolves the real runtime for instrumented builds", () => {
+    vi.stubEnv("NODE_ENV", "production");
+    const config = withRenderLoopTracer(
+      { turbopack: { resolveAlias: { fs: "./mocked-fs.js" } } },
+      { production: true },
+    );
+
+    expect(getAliases(config, { dev: false })).toEqual({ [RUNTIME_IMPORT]: runtime });
+    expect(config.turbopack.resolveAlias).toEqual({
+      fs: "./mocked-fs.js",
+      [RUNTIME_IMPORT]: "./" + path.relative(process.cwd(), runtime),
+    });
+  });
+});
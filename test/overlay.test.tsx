@@ -0,0 +1,173 @@
+import { render, act, fireEvent, getByText } from "@testing-library/react";
+import {
+  __trackedUseState,
+  __trackedUseEffect,
+  configure,
+  formatEvent,
+  getEditorLink,
+  type TraceEvent,
+  type TraceListener,
+} from "@jantimon/react-render-loop-tracer/runtime";
+import { mountOverlay } from "../src/overlay.js";
+
+function getOverlay() {
+  return document.querySelector<HTMLElement>("[data-render-loop-tracer]");
+}
+
+describe("Overlay", () => {
+  afterEach(() => {
+    configure({ overlay: false, editorLink: false });
+    globalThis.__effectTracker = null;
+  });
+
+  function Toggle() {
+    const [on, setOn] = __trackedUseState(false, "src/Toggle.tsx:3:21", "Toggle", "on");
+    __trackedUseEffect(
+      () => {
+        setOn(true);
+      },
+      [],
+      "src/Toggle.tsx:4:3",
+      "Toggle",
+      [],
+    );
+    return <div>{String(on)}</div>;
+  }
+
+  it("lists entries live and unmounts again", async () => {
+    configure({ overlay: true });
+    await act(async () => {
+      render(<Toggle />);
+    });
+
+    expect(getOverlay()).toHaveTextContent(
+      '[state-change] useEffect src/Toggle.tsx:4:3 in Toggle changed useState "on" because it was initially mounted',
+    );
+    expect(getOverlay()).toHaveTextContent("Toggle 1");
+
+    configure({ overlay: false });
+    expect(getOverlay()).toBeNull();
+  });
+
+  it("links locations to the editor", async () => {
+    configure({ overlay: true, editorLink: { template: "vscode", root: "/app" } });
+    await act(async () => {
+      render(<Toggle />);
+    });
+
+    const link = getOverlay()?.querySelector("a");
+    expect(link).toHaveTextContent("src/Toggle.tsx:4:3");
+    expect(link).toHaveAttribute("href", "vscode://file/app/src/Toggle.tsx:4:3");
+  });
+
+  describe("with a custom source", () => {
+    let emit: TraceListener;
+    let unmount: () => void;
+    let exportTrace: () => void;
+
+    beforeEach(() => {
+      exportTrace = vi.fn();
+      unmount = mountOverlay({
+        subscribe: (listener) => {
+          emit = listener;
+          return () => {};
+        },
+        formatMessage: formatEvent,
+        getEditorLink,
+        exportTrace,
+      });
+    });
+
+    afterEach(() => {
+      unmount();
+    });
+
+    let nextId = 1;
+    function createEvent(overrides: Partial<TraceEvent>): TraceEvent {
+      return {
+        id: nextId++,
+        type: "state-change",
+        location: "Cart.tsx:3",
+        componentName: "Cart",
+        hook: "useEffect",
+        stateName: "total",
+        stateHook: "useState",
+        action: null,
+        prevValue: null,
+        nextValue: null,
+        changedDeps: ["items"],
+        deepEqualDeps: [],
+        unstableDeps: [],
+        depNames: ["items"],
+        duration: null,
+        timestamp: 0,
+        phase: "hydration",
+        groupId: null,
+        cause: null,
+        async: null,
+        cleanup: false,
+        ...overrides,
+      };
+    }
+
+    async function flush() {
+      await act(async () => {});
+    }
+
+    it("filters entries by text", async () => {
+      emit(createEvent({}));
+      emit(createEvent({ location: "Menu.tsx:8", componentName: "Menu", stateName: "open" }));
+      await flush();
+
+      fireEvent.input(getOverlay()!.querySelector("input")!, { target: { value: "menu" } });
+      await flush();
+
+      expect(getOverlay()).toHaveTextContent('in Menu changed useState "open"');
+      expect(getOverlay()).not.toHaveTextContent("in Cart");
+    });
+
+    it("holds new entries while paused", async () => {
+      const pause = getOverlay()!.querySelector("button")!;
+      fireEvent.click(pause);
+      emit(createEvent({}));
+      await flush();
+
+      expect(getOverlay()).not.toHaveTextContent("in Cart");
+      expect(pause).toHaveTextContent("Resume (1)");
+
+      fireEvent.click(pause);
+      await flush();
+      expect(getOverlay()).toHaveTextContent('in Cart changed useState "total"');
+    });
+
+    it("exports a trace file", () => {
+      fireEvent.click(getByText(getOverlay()!, "Export"));
+      expect(exportTrace).toHaveBeenCalledTimes(1);
+    });
+
+    it("groups entries by long task and shows per-component counts", async () => {
+      const events = [
+        createEvent({ groupId: 7 }),
+        createEvent({ groupId: 7, type: "effect-run", componentName: "Cart › useTotal" }),
+      ];
+      emit(createEvent({ type: "effect-run", componentName: "Header" }));
+      events.forEach(emit);
+      emit({
+        type: "long-task",
+        groupId: 7,
+        name: "self",
+        timestamp: 0,
+        duration: 83.4,
+        events,
+      });
+      await flush();
+
+      const group = getOverlay()!.querySelector("details");
+      expect(group?.querySelector("summary")).toHaveTextContent("Long Task (83ms) — 2 entries");
+      expect(group?.children).toHaveLength(3);
+      expect(getOverlay()).toHaveTextContent("Cart 2");
+      // effects without state changes are only shown as part of a group
+      expect(getOverlay()).not.toHaveTextContent("Header");
+    });
+  });
+});
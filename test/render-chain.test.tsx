@@ -0,0 +1,146 @@
+import { Component, useState, useEffect, type ReactNode } from "react";
+import { render, act } from "@testing-library/react";
+
+describe("Render Chain", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (msg.includes(" changed useState")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  it("reports the owning component and custom hook chain", async () => {
+    function useDebouncedValue(value: number) {
+      const [debounced, setDebounced] = useState(0);
+      useEffect(() => {
+        setDebounced(value);
+      }, [value]);
+      return debounced;
+    }
+
+    function useCartTotal(items: number[]) {
+      return useDebouncedValue(items.reduce((sum, item) => sum + item, 0));
+    }
+
+    function CartDrawer({ items }: { items: number[] }) {
+      const total = useCartTotal(items);
+      return <div>{total}</div>;
+    }
+
+    await act(async () => {
+      render(<CartDrawer items={[1, 2]} />);
+    });
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain(
+      'in CartDrawer › useCartTotal › useDebouncedValue changed useState "debounced"',
+    );
+  });
+
+  it("distinguishes components sharing the same hook", async () => {
+    function useFlag() {
+      const [flag, setFlag] = useState(false);
+      useEffect(() => {
+        setFlag(true);
+      }, []);
+      return flag;
+    }
+
+    function Header() {
+      useFlag();
+      return null;
+    }
+
+    function Footer() {
+      useFlag();
+      return null;
+    }
+
+    await act(async () => {
+      render(
+        <>
+          <Header />
+          <Footer />
+        </>,
+      );
+    });
+
+    expect(logs).toHaveLength(2);
+    expect(logs[0]).toContain('in Header › useFlag changed useState "flag"');
+    expect(logs[1]).toContain('in Footer › useFlag changed useState "flag"');
+  });
+
+  it("keeps the plain component name for hooks called directly", async () => {
+    function useNothing() {
+      return null;
+    }
+
+    function Direct() {
+      useNothing();
+      const [ready, setReady] = useState(false);
+      useEffect(() => {
+        setReady(true);
+      }, []);
+      return <div>{String(ready)}</div>;
+    }
+
+    await act(async () => {
+      render(<Direct />);
+    });
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('in Direct changed useState "ready"');
+  });
+
+  it("unwinds the chain when a component throws", async () => {
+    function useBroken(): never {
+      throw new Error("broken");
+    }
+
+    function Broken() {
+      useBroken();
+      return null;
+    }
+
+    function Healthy() {
+      const [ready, setReady] = useState(false);
+      useEffect(() => {
+        setReady(true);
+      }, []);
+      return <div>{String(ready)}</div>;
+    }
+
+    class Boundary extends Component<{ children: ReactNode }, { failed: boolean }> {
+      state = { failed: false };
+      static getDerivedStateFromError() {
+        return { failed: true };
+      }
+      render() {
+        return this.state.failed ? null : this.props.children;
+      }
+    }
+
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    await act(async () => {
+      render(
+        <>
+          <Boundary>
+            <Broken />
+          </Boundary>
+          <Healthy />
+        </>,
+      );
+    });
+    error.mockRestore();
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toContain('in Healthy changed useState "ready"');
+  });
+});
@@ -0,0 +1,241 @@
+import { Component, type ReactNode } from "react";
+import { render, act, screen } from "@testing-library/react";
+import { vi } from "vitest";
+import {
+  __trackedUseState,
+  __trackedUseEffect,
+  __trackedUseSyncExternalStore,
+  subscribe,
+  configure,
+  RenderLoopError,
+} from "@jantimon/react-render-loop-tracer/runtime";
+import type { TraceEvent, TraceGroup } from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Render Loop Detection", () => {
+  let logs: string[];
+  let events: (TraceEvent | TraceGroup)[];
+  let unsubscribe: () => void;
+
+  beforeEach(() => {
+    logs = [];
+    events = [];
+    globalThis.__effectTrackerLogger = (msg: string) => logs.push(msg);
+    unsubscribe = subscribe((event) => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    configure({ loopDetection: {} });
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  const loops = () => events.filter((event): event is TraceEvent => event.type === "render-loop");
+
+  /** An effect that keeps incrementing its own dependency until `limit` */
+  function SelfLoop({ limit }: { limit: number }) {
+    const [count, setCount] = __trackedUseState(0, "SelfLoop.tsx:3", "SelfLoop", "count");
+
+    __trackedUseEffect(
+      () => {
+        if (count < limit) setCount(count + 1);
+      },
+      [count],
+      "SelfLoop.tsx:5",
+      "SelfLoop",
+      ["count"],
+    );
+
+    return <div data-testid="count">{count}</div>;
+  }
+
+  it("reports an effect that keeps setting the same state", async () => {
+    await act(async () => {
+      render(<SelfLoop limit={15} />);
+    });
+
+    expect(loops()).toHaveLength(1);
+    expect(loops()[0]).toMatchObject({
+      location: "SelfLoop.tsx:5",
+      componentName: "SelfLoop",
+      stateName: "count",
+      stateHook: "useState",
+      loop: {
+        count: 10,
+        windowMs: 1000,
+        action: "log",
+        cycle: [{ location: "SelfLoop.tsx:5", componentName: "SelfLoop", stateName: "count" }],
+      },
+    });
+
+    const loopLog = logs.find((message) => message.startsWith("Render loop:"));
+    expect(loopLog).toContain('changed useState "count" 10 times within 1000ms');
+    expect(loopLog).toContain('cycle: SelfLoop.tsx:5 sets "count" → SelfLoop.tsx:5 sets "count"');
+    // "log" does not interfere with React
+    expect(screen.getByTestId("count").textContent).toBe("15");
+  });
+
+  it("does not report effects below the threshold", async () => {
+    await act(async () => {
+      render(<SelfLoop limit={9} />);
+    });
+
+    expect(loops()).toHaveLength(0);
+  });
+
+  it("does not confuse many instances of the same component with a loop", async () => {
+    await act(async () => {
+      render(
+        <>
+          {Array.from({ length: 20 }, (_, i) => (
+            <SelfLoop key={i} limit={1} />
+          ))}
+        </>,
+      );
+    });
+
+    expect(loops()).toHaveLength(0);
+  });
+
+  it("describes a cycle across effects", async () => {
+    function PingPong() {
+      const [ping, setPing] = __trackedUseState(0, "PingPong.tsx:3", "PingPong", "ping");
+      const [pong, setPong] = __trackedUseState(0, "PingPong.tsx:4", "PingPong", "pong");
+
+      __trackedUseEffect(
+        () => {
+          if (ping < 20) setPong(ping + 1);
+        },
+        [ping],
+        "PingPong.tsx:6",
+        "PingPong",
+        ["ping"],
+      );
+
+      __trackedUseEffect(
+        () => {
+          if (pong > 0) setPing(pong);
+        },
+        [pong],
+        "PingPong.tsx:10",
+        "PingPong",
+        ["pong"],
+      );
+
+      return <div>{ping + pong}</div>;
+    }
+
+    await act(async () => {
+      render(<PingPong />);
+    });
+
+    // Both effects are part of the same cycle → reported once
+    expect(loops()).toHaveLength(1);
+    expect(loops()[0].loop?.cycle.map((step) => step.stateName)).toEqual(["pong", "ping"]);
+    expect(logs.find((message) => message.startsWith("Render loop:"))).toContain(
+      'PingPong.tsx:6 sets "pong" → PingPong.tsx:10 sets "ping" → PingPong.tsx:6 sets "pong"',
+    );
+  });
+
+  it("halts the loop by not forwarding the setter call", async () => {
+    configure({ loopDetection: { threshold: 5, action: "halt" } });
+
+    await act(async () => {
+      render(<SelfLoop limit={1000} />);
+    });
+
+    expect(loops()).toHaveLength(1);
+    expect(loops()[0].loop).toMatchObject({ count: 5, action: "halt" });
+    expect(logs.find((message) => message.startsWith("Render loop:"))).toContain("halted");
+    // The 5th update was dropped
+    expect(screen.getByTestId("count").textContent).toBe("4");
+  });
+
+  it("keeps components in sync with external stores it can't halt", async () => {
+    configure({ loopDetection: { threshold: 5, action: "halt" } });
+    let value = 0;
+    const listeners = new Set<() => void>();
+    const store = {
+      subscribe: (listener: () => void) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      getSnapshot: () => value,
+      set: (next: number) => {
+        value = next;
+        listeners.forEach((listener) => listener());
+      },
+    };
+
+    function StoreLoop() {
+      const count = __trackedUseSyncExternalStore(
+        store.subscribe,
+        store.getSnapshot,
+        undefined,
+        "StoreLoop.tsx:3",
+        "StoreLoop",
+        "count",
+      );
+      __trackedUseEffect(
+        () => {
+          if (count < 10) store.set(count + 1);
+        },
+        [count],
+        "StoreLoop.tsx:4",
+        "StoreLoop",
+        ["count"],
+      );
+      return <div data-testid="count">{count}</div>;
+    }
+
+    await act(async () => {
+      render(<StoreLoop />);
+    });
+
+    expect(loops()).toHaveLength(1);
+    // The store was updated anyway, the component must not show a stale snapshot
+    expect(screen.getByTestId("count").textContent).toBe("10");
+  });
+
+  it("throws a RenderLoopError", async () => {
+    configure({ loopDetection: { threshold: 5, action: "throw" } });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    let caught: unknown = null;
+    class Boundary extends Component<{ children: ReactNode }, { failed: boolean }> {
+      state = { failed: false };
+      static getDerivedStateFromError() {
+        return { failed: true };
+      }
+      componentDidCatch(error: unknown) {
+        caught = error;
+      }
+      render() {
+        return this.state.failed ? <div data-testid="failed" /> : this.props.children;
+      }
+    }
+
+    await act(async () => {
+      render(
+        <Boundary>
+          <SelfLoop limit={1000} />
+        </Boundary>,
+      );
+    });
+
+    expect(screen.getByTestId("failed")).toBeInTheDocument();
+    expect(caught).toBeInstanceOf(RenderLoopError);
+    expect((caught as RenderLoopError).event.loop?.action).toBe("throw");
+    vi.restoreAllMocks();
+  });
+
+  it("can be disabled", async () => {
+    configure({ loopDetection: false });
+
+    await act(async () => {
+      render(<SelfLoop limit={15} />);
+    });
+
+    expect(loops()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,218 @@
+import {
+  StrictMode,
+  createContext,
+  useEffect,
+  useLayoutEffect,
+  useState,
+  type ReactNode,
+} from "react";
+import { render, act } from "@testing-library/react";
+import {
+  __beginRender,
+  __endRender,
+  __trackedUseContext,
+  subscribe,
+} from "@jantimon/react-render-loop-tracer/runtime";
+import type { TraceEvent } from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Render reasons", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (msg.includes(" re-rendered ")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  const ThemeContext = createContext("light");
+
+  // Instrumented the way the Babel plugin does with `renderReasons: true`
+  function Price({ amount, currency }: { amount: number; currency: string }) {
+    __beginRender("Price", "Price.tsx:1:1", { amount, currency });
+    try {
+      const theme = __trackedUseContext(ThemeContext, "ThemeContext");
+      return <span className={theme}>{`${amount} ${currency}`}</span>;
+    } finally {
+      __endRender();
+    }
+  }
+
+  function Cart({ children }: { children?: ReactNode }) {
+    __beginRender("Cart", "Cart.tsx:1:1", { children });
+    try {
+      const [count, setCount] = useState(0);
+      return (
+        <div>
+          <button onClick={() => setCount(count + 1)}>add</button>
+          <Price amount={count} currency="EUR" />
+        </div>
+      );
+    } finally {
+      __endRender();
+    }
+  }
+
+  it("does not report the first render", async () => {
+    await act(async () => render(<Cart />));
+    expect(logs).toEqual([]);
+  });
+
+  it("attributes re-renders to own state, changed props and the parent", async () => {
+    const { getByText, rerender } = await act(async () => render(<Cart />));
+
+    await act(async () => {
+      getByText("add").click();
+    });
+    // Reported once committed, children first
+    expect(logs).toEqual([
+      "Price Price.tsx:1:1 re-rendered (render #2) because props amount changed",
+      'Cart Cart.tsx:1:1 re-rendered (render #2) because useState "count" changed',
+    ]);
+
+    logs = [];
+    await act(async () => {
+      rerender(<Cart />);
+    });
+    expect(logs).toEqual([
+      "Price Price.tsx:1:1 re-rendered (render #3) because its parent re-rendered",
+      "Cart Cart.tsx:1:1 re-rendered (render #3) because its parent re-rendered",
+    ]);
+  });
+
+  it("ignores the double render of StrictMode", async () => {
+    const { getByText } = await act(async () =>
+      render(
+        <StrictMode>
+          <Cart />
+        </StrictMode>,
+      ),
+    );
+    expect(logs).toEqual([]);
+
+    await act(async () => {
+      getByText("add").click();
+    });
+    expect(logs).toEqual([
+      "Price Price.tsx:1:1 re-rendered (render #2) because props amount changed",
+      'Cart Cart.tsx:1:1 re-rendered (render #2) because useState "count" changed',
+    ]);
+  });
+
+  it("attributes re-renders to changed context values", async () => {
+    function App({ theme }: { theme: string }) {
+      return (
+        <ThemeContext.Provider value={theme}>
+          <Price amount={1} currency="EUR" />
+        </ThemeContext.Provider>
+      );
+    }
+
+    const { rerender } = await act(async () => render(<App theme="light" />));
+    await act(async () => {
+      rerender(<App theme="dark" />);
+    });
+
+    expect(logs).toEqual([
+      "Price Price.tsx:1:1 re-rendered (render #2) because context ThemeContext changed",
+    ]);
+  });
+
+  it("names the effect hook which set the state", async () => {
+    function Measure() {
+      __beginRender("Measure", "Measure.tsx:1:1", undefined);
+      try {
+        const [width, setWidth] = useState(0);
+        useLayoutEffect(() => {
+          setWidth(100);
+        }, []);
+        return <div>{width}</div>;
+      } finally {
+        __endRender();
+      }
+    }
+
+    await act(async () => render(<Measure />));
+
+    expect(logs).toEqual([
+      expect.stringMatching(/because useState "width" changed by useLayoutEffect \S+ in Measure$/),
+    ]);
+  });
+
+  it("correlates state set by an effect with the effect", async () => {
+    function Loader() {
+      __beginRender("Loader", "Loader.tsx:1:1", undefined);
+      try {
+        const [ready, setReady] = useState(false);
+        useEffect(() => {
+          setReady(true);
+        }, []);
+        return <div>{String(ready)}</div>;
+      } finally {
+        __endRender();
+      }
+    }
+
+    const events: TraceEvent[] = [];
+    const unsubscribe = subscribe((event) => {
+      if (event.type === "render") events.push(event as TraceEvent);
+    });
+    await act(async () => render(<Loader />));
+    unsubscribe();
+
+    expect(logs).toEqual([
+      expect.stringMatching(
+        /^Loader Loader\.tsx:1:1 re-rendered \(render #2\) because useState "ready" changed by useEffect \S+render-reasons\.test\.tsx:\d+:\d+ in Loader$/,
+      ),
+    ]);
+    expect(events[0].render).toEqual({
+      count: 2,
+      reasons: [
+        {
+          kind: "state",
+          stateName: "ready",
+          stateHook: "useState",
+          effect: {
+            location: expect.stringContaining("render-reasons.test.tsx"),
+            componentName: "Loader",
+            hook: "useEffect",
+          },
+        },
+      ],
+    });
+  });
+
+  it("does not use layout effects on the server", async () => {
+    const useLayoutEffectSpy = vi.fn();
+    vi.resetModules();
+    vi.doMock("react", async (importOriginal) => {
+      const react = await importOriginal<typeof import("react")>();
+      return { ...react, useLayoutEffect: useLayoutEffectSpy };
+    });
+    vi.stubGlobal("window", undefined);
+    try {
+      const runtime = await import("@jantimon/react-render-loop-tracer/runtime");
+      const { renderToString } = await import("react-dom/server");
+      function Title() {
+        runtime.__beginRender("Title", "Title.tsx:1:1", undefined);
+        try {
+          return <h1>title</h1>;
+        } finally {
+          runtime.__endRender();
+        }
+      }
+
+      expect(renderToString(<Title />)).toBe("<h1>title</h1>");
+      expect(useLayoutEffectSpy).not.toHaveBeenCalled();
+    } finally {
+      vi.unstubAllGlobals();
+      vi.doUnmock("react");
+      vi.resetModules();
+    }
+  });
+});
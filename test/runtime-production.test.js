@@ -0,0 +1,26 @@
+import * as runtime from "../src/runtime.js";
+import * as productionRuntime from "../src/runtime.production.js";
+import packageJson from "../package.json";
+
+describe("production runtime", () => {
+  it("is the runtime export of production builds", () => {
+    expect(packageJson.exports["./runtime"]).toEqual({
+      production: "./src/runtime.production.js",
+      default: "./src/runtime.js",
+    });
+  });
+
+  it("exports the public API of the runtime", () => {
+    const publicExports = Object.keys(runtime).filter((name) => !name.startsWith("__"));
+    expect(Object.keys(productionRuntime).sort()).toEqual(publicExports.sort());
+  });
+
+  it("returns stores untouched", () => {
+    const dispatch = () => {};
+    const store = { subscribe: vi.fn(), dispatch };
+
+    expect(productionRuntime.traceStore(store, "store")).toBe(store);
+    expect(store.dispatch).toBe(dispatch);
+    expect(store.subscribe).not.toHaveBeenCalled();
+  });
+});
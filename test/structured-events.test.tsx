@@ -0,0 +1,194 @@
+import { render, act, screen } from "@testing-library/react";
+import { vi } from "vitest";
+import {
+  __trackedUseState,
+  __trackedUseReducer,
+  __trackedUseEffect,
+  __trackedUseLayoutEffect,
+  subscribe,
+  formatEvent,
+} from "@jantimon/react-render-loop-tracer/runtime";
+import type { TraceEvent, TraceGroup } from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Structured Events", () => {
+  let events: (TraceEvent | TraceGroup)[];
+  let unsubscribe: () => void;
+
+  beforeEach(() => {
+    events = [];
+    unsubscribe = subscribe((event) => events.push(event));
+    globalThis.__effectTrackerLogger = () => {};
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  it("emits a state-change event with all fields", async () => {
+    function Price() {
+      const [locale, setLocale] = __trackedUseState("en", "Price.tsx:3", "Price", "locale");
+      const [price, setPrice] = __trackedUseState("", "Price.tsx:4", "Price", "price");
+
+      __trackedUseEffect(
+        () => {
+          setPrice(`${locale}:42`);
+        },
+        [locale],
+        "Price.tsx:6",
+        "Price",
+        ["locale"],
+      );
+
+      return (
+        <button data-testid="de" onClick={() => setLocale("de")}>
+          {price}
+        </button>
+      );
+    }
+
+    await act(async () => {
+      render(<Price />);
+    });
+
+    events.length = 0;
+
+    await act(async () => {
+      screen.getByTestId("de").click();
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: "state-change",
+      location: "Price.tsx:6",
+      componentName: "Price",
+      hook: "useEffect",
+      stateName: "price",
+      stateHook: "useState",
+      changedDeps: ["locale"],
+      depNames: ["locale"],
+      duration: null,
+      groupId: null,
+    });
+    expect(typeof events[0].timestamp).toBe("number");
+  });
+
+  it("emits useReducer and useLayoutEffect hook kinds", async () => {
+    function Reducer() {
+      const [count, dispatch] = __trackedUseReducer(
+        (state: number, action: number) => state + action,
+        0,
+        undefined,
+        "Reducer.tsx:3",
+        "Reducer",
+        "count",
+      );
+
+      __trackedUseLayoutEffect(
+        () => {
+          dispatch(1);
+        },
+        [],
+        "Reducer.tsx:5",
+        "Reducer",
+        [],
+      );
+
+      return <div>{count}</div>;
+    }
+
+    await act(async () => {
+      render(<Reducer />);
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: "state-change",
+      hook: "useLayoutEffect",
+      stateHook: "useReducer",
+      stateName: "count",
+      changedDeps: null,
+    });
+  });
+
+  it("emits effect-run events with their duration", async () => {
+    function Quiet() {
+      __trackedUseEffect(() => {}, [], "Quiet.tsx:3", "Quiet", []);
+      return null;
+    }
+
+    await act(async () => {
+      render(<Quiet />);
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe("effect-run");
+    expect(events[0]).toMatchObject({ location: "Quiet.tsx:3", componentName: "Quiet" });
+    expect(typeof (events[0] as { duration: number }).duration).toBe("number");
+  });
+
+  it("formats events into the console message", async () => {
+    function Located() {
+      const [val, setVal] = __trackedUseState(0, "Located.tsx:3", "Located", "val");
+      __trackedUseEffect(
+        () => {
+          setVal(1);
+        },
+        [],
+        "Located.tsx:5",
+        "Located",
+        [],
+      );
+      return <div>{val}</div>;
+    }
+
+    await act(async () => {
+      render(<Located />);
+    });
+
+    const [event] = events;
+    if (event.type !== "state-change") throw new Error("expected a state-change event");
+    expect(formatEvent(event)).toBe(
+      'useEffect Located.tsx:5 in Located changed useState "val" because it was initially mounted',
+    );
+  });
+
+  it("stops delivering events after unsubscribe", async () => {
+    unsubscribe();
+
+    function Quiet() {
+      __trackedUseEffect(() => {}, [], "Quiet.tsx:3", "Quiet", []);
+      return null;
+    }
+
+    await act(async () => {
+      render(<Quiet />);
+    });
+
+    expect(events).toHaveLength(0);
+  });
+
+  it("does not break the app when a subscriber throws", async () => {
+    const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+    const unsubscribeBroken = subscribe(() => {
+      throw new Error("broken subscriber");
+    });
+
+    function Quiet() {
+      __trackedUseEffect(() => {}, [], "Quiet.tsx:3", "Quiet", []);
+      return <div data-testid="quiet">ok</div>;
+    }
+
+    await act(async () => {
+      render(<Quiet />);
+    });
+
+    expect(screen.getAllByTestId("quiet").length).toBeGreaterThan(0);
+    expect(events).toHaveLength(1);
+    expect(errorSpy).toHaveBeenCalled();
+
+    unsubscribeBroken();
+    errorSpy.mockRestore();
+  });
+});
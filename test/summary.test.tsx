@@ -0,0 +1,138 @@
+import { render, act } from "@testing-library/react";
+import {
+  __trackedUseState,
+  __trackedUseEffect,
+  getSummary,
+  printSummary,
+  resetSummary,
+} from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Summary", () => {
+  beforeEach(() => {
+    resetSummary();
+    globalThis.__effectTrackerLogger = () => {};
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  function Price({ locale }: { locale: string }) {
+    const [formatted, setFormatted] = __trackedUseState("", "Price.tsx:2", "Price", "formatted");
+    __trackedUseEffect(
+      () => {
+        setFormatted(`${locale} 10`);
+      },
+      [locale],
+      "Price.tsx:3",
+      "Price",
+      ["locale"],
+    );
+    __trackedUseEffect(() => {}, [], "Price.tsx:6", "Price", []);
+    return <div>{formatted}</div>;
+  }
+
+  function Footer() {
+    __trackedUseEffect(() => {}, [], "Footer.tsx:2", "Footer", []);
+    return null;
+  }
+
+  it("aggregates per component and per effect location", async () => {
+    const { rerender } = await act(async () =>
+      render(
+        <>
+          <Footer />
+          <Price locale="en" />
+        </>,
+      ),
+    );
+    await act(async () => {
+      rerender(
+        <>
+          <Footer />
+          <Price locale="de" />
+        </>,
+      );
+    });
+
+    const { components, effects } = getSummary();
+    expect(components).toEqual([
+      {
+        componentName: "Price",
+        stateChanges: 2,
+        effectRuns: 3,
+        totalTime: expect.any(Number),
+        slowestRun: expect.any(Number),
+      },
+      {
+        componentName: "Footer",
+        stateChanges: 0,
+        effectRuns: 1,
+        totalTime: expect.any(Number),
+        slowestRun: expect.any(Number),
+      },
+    ]);
+    const counts = effects.map(({ location, stateChanges, effectRuns }) => [
+      location,
+      stateChanges,
+      effectRuns,
+    ]);
+    // most state changes first, then by total effect time
+    expect(counts[0]).toEqual(["Price.tsx:3", 2, 2]);
+    expect(counts.slice(1)).toEqual(
+      expect.arrayContaining([
+        ["Price.tsx:6", 0, 1],
+        ["Footer.tsx:2", 0, 1],
+      ]),
+    );
+  });
+
+  it("groups custom hooks under their owning component", async () => {
+    function Cart() {
+      __trackedUseEffect(() => {}, [], "useTotal.ts:2", "Cart › useTotal", []);
+      return null;
+    }
+
+    await act(async () => {
+      render(<Cart />);
+    });
+
+    const { components, effects } = getSummary();
+    expect(components.map((component) => component.componentName)).toEqual(["Cart"]);
+    expect(effects[0].componentName).toBe("Cart › useTotal");
+  });
+
+  it("prints the summary as tables", async () => {
+    await act(async () => {
+      render(<Price locale="en" />);
+    });
+
+    const group = vi.spyOn(console, "group").mockImplementation(() => {});
+    const groupEnd = vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+    const table = vi.spyOn(console, "table").mockImplementation(() => {});
+    printSummary();
+
+    expect(group).toHaveBeenCalledWith(
+      "Render Loop Tracer summary — 1 effect→setState in 1 component",
+    );
+    expect(table).toHaveBeenCalledTimes(2);
+    expect(table.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ component: "Price", "state changes": 1, "effect runs": 2 }),
+    ]);
+    expect(table.mock.calls[1][0]).toEqual([
+      expect.objectContaining({ effect: "useEffect Price.tsx:3", "state changes": 1 }),
+      expect.objectContaining({ effect: "useEffect Price.tsx:6", "state changes": 0 }),
+    ]);
+    group.mockRestore();
+    groupEnd.mockRestore();
+    table.mockRestore();
+  });
+
+  it("prints nothing without effects", () => {
+    const table = vi.spyOn(console, "table").mockImplementation(() => {});
+    printSummary();
+    expect(table).not.toHaveBeenCalled();
+    table.mockRestore();
+  });
+});
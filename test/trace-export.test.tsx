@@ -0,0 +1,129 @@
+import { render, act } from "@testing-library/react";
+import {
+  __trackedUseState,
+  __trackedUseEffect,
+  clearTrace,
+  exportTrace,
+  getTrace,
+} from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Trace Export", () => {
+  beforeEach(() => {
+    clearTrace();
+    globalThis.__effectTrackerLogger = () => {};
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  function Toggle() {
+    const [on, setOn] = __trackedUseState(false, "Toggle.tsx:2", "Toggle", "on");
+    __trackedUseEffect(
+      () => {
+        setOn(true);
+        return () => {};
+      },
+      [],
+      "Toggle.tsx:3",
+      "Toggle",
+      [],
+    );
+    return <div>{String(on)}</div>;
+  }
+
+  it("names the process and a thread per kind of activity", () => {
+    const { traceEvents, displayTimeUnit } = getTrace();
+
+    expect(displayTimeUnit).toBe("ms");
+    expect(traceEvents.map((event) => [event.name, event.tid, event.args.name])).toEqual([
+      ["process_name", 0, "Render Loop Tracer"],
+      ["thread_name", 1, "Effects"],
+      ["thread_name", 2, "State changes & warnings"],
+      ["thread_name", 3, "Long tasks & interactions"],
+    ]);
+  });
+
+  it("records effect runs, cleanups and state changes", async () => {
+    const { unmount } = await act(async () => render(<Toggle />));
+    await act(async () => {
+      unmount();
+    });
+
+    const events = getTrace().traceEvents.filter(
+      // cold starts may report slow effects
+      (event) => event.ph !== "M" && event.cat !== "slow-effect",
+    );
+    expect(events).toEqual([
+      {
+        name: 'useState "on" changed',
+        cat: "state-change",
+        ph: "i",
+        s: "t",
+        ts: expect.any(Number),
+        pid: 1,
+        tid: 2,
+        args: {
+          message:
+            'useEffect Toggle.tsx:3 in Toggle changed useState "on" because it was initially mounted',
+          component: "Toggle",
+          location: "Toggle.tsx:3",
+          phase: expect.any(String),
+        },
+      },
+      {
+        name: "useEffect Toggle.tsx:3",
+        cat: "effect",
+        ph: "X",
+        ts: expect.any(Number),
+        dur: expect.any(Number),
+        pid: 1,
+        tid: 1,
+        args: {
+          component: "Toggle",
+          location: "Toggle.tsx:3",
+          reason: "it was initially mounted",
+          setState: true,
+          phase: expect.any(String),
+        },
+      },
+      expect.objectContaining({ name: "cleanup of useEffect Toggle.tsx:3", ph: "X", tid: 1 }),
+    ]);
+    // microseconds
+    expect(events[1].ts).toBeGreaterThan(1000);
+  });
+
+  it("downloads the trace as JSON", async () => {
+    await act(async () => {
+      render(<Toggle />);
+    });
+    const { createObjectURL, revokeObjectURL } = URL;
+    const blobs: Blob[] = [];
+    URL.createObjectURL = vi.fn((blob: Blob) => {
+      blobs.push(blob);
+      return "blob:trace";
+    });
+    URL.revokeObjectURL = vi.fn();
+    const click = vi
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(function (this: HTMLAnchorElement) {
+        expect(this.download).toBe("checkout.json");
+        expect(this.href).toBe("blob:trace");
+      });
+
+    const trace = exportTrace("checkout.json");
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(await blobs[0].text())).toEqual(trace);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:trace");
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+  });
+
+  it("is available as a console command", () => {
+    const tracer = (globalThis as unknown as { __renderLoopTracer: Record<string, unknown> })
+      .__renderLoopTracer;
+    expect(tracer.exportTrace).toBe(exportTrace);
+  });
+});
@@ -0,0 +1,93 @@
+import { render, act } from "@testing-library/react";
+import { __trackedUseState, __trackedUseEffect } from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Unstable Dependencies", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (msg.includes("ran because")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  function List({ items, filter }: { items: number[]; filter: string }) {
+    __trackedUseEffect(() => {}, [items, filter], "List.tsx:3", "List", ["items", "filter"]);
+    return null;
+  }
+
+  it("flags deps which changed identity but are deep-equal", async () => {
+    const { rerender } = await act(async () => render(<List items={[1, 2]} filter="a" />));
+    logs.length = 0;
+
+    await act(async () => {
+      rerender(<List items={[1, 2]} filter="a" />);
+    });
+
+    expect(logs).toEqual([
+      "useEffect List.tsx:3 in List ran because items changed identity but is deep-equal — unstable reference",
+    ]);
+  });
+
+  it("keeps reporting real changes as changed", async () => {
+    const { rerender } = await act(async () => render(<List items={[1, 2]} filter="a" />));
+    logs.length = 0;
+
+    await act(async () => {
+      rerender(<List items={[1, 3]} filter="b" />);
+    });
+
+    expect(logs).toEqual(["useEffect List.tsx:3 in List ran because items, filter changed"]);
+  });
+
+  it("compares nested objects and dates", async () => {
+    function Query({ query }: { query: object }) {
+      __trackedUseEffect(() => {}, [query], "Query.tsx:3", "Query", ["query"]);
+      return null;
+    }
+
+    const { rerender } = await act(async () =>
+      render(<Query query={{ page: 1, range: [new Date(0)], tags: { a: true } }} />),
+    );
+    logs.length = 0;
+
+    await act(async () => {
+      rerender(<Query query={{ page: 1, range: [new Date(0)], tags: { a: true } }} />);
+    });
+    await act(async () => {
+      rerender(<Query query={{ page: 1, range: [new Date(1)], tags: { a: true } }} />);
+    });
+
+    expect(logs).toEqual([
+      "useEffect Query.tsx:3 in Query ran because query changed identity but is deep-equal — unstable reference",
+      "useEffect Query.tsx:3 in Query ran because query changed",
+    ]);
+  });
+
+  it("flags deps which change identity on every render", async () => {
+    function Picker({ tick }: { tick: number }) {
+      const [selected] = __trackedUseState(0, "Picker.tsx:2", "Picker", "selected");
+      const onSelect = () => selected + tick;
+      __trackedUseEffect(() => {}, [onSelect], "Picker.tsx:4", "Picker", ["onSelect"]);
+      return null;
+    }
+
+    const { rerender } = await act(async () => render(<Picker tick={0} />));
+    for (let tick = 1; tick <= 3; tick++) {
+      await act(async () => {
+        rerender(<Picker tick={tick} />);
+      });
+    }
+
+    expect(logs.slice(1)).toEqual([
+      "useEffect Picker.tsx:4 in Picker ran because onSelect changed",
+      "useEffect Picker.tsx:4 in Picker ran because onSelect changed",
+      "useEffect Picker.tsx:4 in Picker ran because onSelect changed identity on every render — unstable reference",
+    ]);
+  });
+});
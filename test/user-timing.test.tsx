@@ -0,0 +1,123 @@
+import { render, act } from "@testing-library/react";
+import type { MockInstance } from "vitest";
+import {
+  __trackedUseState,
+  __trackedUseEffect,
+  configure,
+} from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("User Timing", () => {
+  let measure: MockInstance<Performance["measure"]>;
+  let mark: MockInstance<Performance["mark"]>;
+
+  beforeEach(() => {
+    globalThis.__effectTrackerLogger = () => {};
+    measure = vi.spyOn(performance, "measure");
+    mark = vi.spyOn(performance, "mark");
+  });
+
+  afterEach(() => {
+    configure({ userTiming: false });
+    vi.restoreAllMocks();
+    performance.clearMarks();
+    performance.clearMeasures();
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  function Toggle({ onMount }: { onMount?: () => void }) {
+    const [on, setOn] = __trackedUseState(false, "Toggle.tsx:2", "Toggle", "on");
+    __trackedUseEffect(
+      () => {
+        setOn(true);
+        return onMount;
+      },
+      [],
+      "Toggle.tsx:3",
+      "Toggle",
+      [],
+    );
+    return <div>{String(on)}</div>;
+  }
+
+  it("is disabled by default", async () => {
+    await act(async () => {
+      render(<Toggle />);
+    });
+
+    expect(measure).not.toHaveBeenCalled();
+    expect(mark).not.toHaveBeenCalled();
+  });
+
+  it("measures effect runs on their own DevTools track", async () => {
+    configure({ userTiming: true });
+    await act(async () => {
+      render(<Toggle />);
+    });
+
+    expect(measure).toHaveBeenCalledWith("useEffect Toggle.tsx:3", {
+      start: expect.any(Number),
+      duration: expect.any(Number),
+      detail: {
+        devtools: {
+          dataType: "track-entry",
+          track: "Effects",
+          trackGroup: "Render Loop Tracer",
+          color: "warning",
+          tooltipText: "Toggle — it was initially mounted",
+          properties: [
+            ["component", "Toggle"],
+            ["location", "Toggle.tsx:3"],
+            ["reason", "it was initially mounted"],
+            ["set state", "true"],
+          ],
+        },
+      },
+    });
+    // Cleared again so that the entry buffer doesn't grow
+    expect(performance.getEntriesByName("useEffect Toggle.tsx:3", "measure")).toHaveLength(0);
+  });
+
+  it("marks state changes", async () => {
+    configure({ userTiming: true });
+    await act(async () => {
+      render(<Toggle />);
+    });
+
+    expect(mark).toHaveBeenCalledWith('useState "on" changed', {
+      startTime: expect.any(Number),
+      detail: {
+        devtools: {
+          dataType: "marker",
+          color: "warning",
+          tooltipText:
+            'useEffect Toggle.tsx:3 in Toggle changed useState "on" because it was initially mounted',
+          properties: [
+            ["type", "state-change"],
+            ["component", "Toggle"],
+            ["effect", "useEffect Toggle.tsx:3"],
+            ["phase", expect.any(String)],
+          ],
+        },
+      },
+    });
+    expect(performance.getEntriesByType("mark")).toEqual([]);
+  });
+
+  it("measures cleanups", async () => {
+    configure({ userTiming: true });
+    const { unmount } = await act(async () => render(<Toggle onMount={() => {}} />));
+    await act(async () => {
+      unmount();
+    });
+
+    expect(measure).toHaveBeenCalledWith(
+      "cleanup of useEffect Toggle.tsx:3",
+      expect.objectContaining({
+        detail: expect.objectContaining({
+          devtools: expect.objectContaining({ tooltipText: "Toggle — cleanup" }),
+        }),
+      }),
+    );
+  });
+});
@@ -0,0 +1,112 @@
+import { render, act } from "@testing-library/react";
+import {
+  __trackedUseState,
+  __trackedUseReducer,
+  __trackedUseEffect,
+  configure,
+} from "@jantimon/react-render-loop-tracer/runtime";
+
+describe("Value Previews", () => {
+  let logs: string[];
+
+  beforeEach(() => {
+    logs = [];
+    globalThis.__effectTrackerLogger = (msg: string) => {
+      if (msg.includes(" changed ")) logs.push(msg);
+    };
+  });
+
+  afterEach(() => {
+    configure({ valuePreviews: false });
+    delete globalThis.__effectTrackerLogger;
+    globalThis.__effectTracker = null;
+  });
+
+  function Setter({ next }: { next: unknown }) {
+    const [, setValue] = __trackedUseState<unknown>(0, "Setter.tsx:2", "Setter", "value");
+    __trackedUseEffect(
+      () => {
+        setValue(next);
+      },
+      [],
+      "Setter.tsx:3",
+      "Setter",
+      [],
+    );
+    return null;
+  }
+
+  it("is disabled by default", async () => {
+    await act(async () => {
+      render(<Setter next={1} />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Setter.tsx:3 in Setter changed useState "value" because it was initially mounted',
+    ]);
+  });
+
+  it("shows previous and next useState values", async () => {
+    configure({ valuePreviews: true });
+    await act(async () => {
+      render(<Setter next="loaded" />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Setter.tsx:3 in Setter changed useState "value" (0 → "loaded") because it was initially mounted',
+    ]);
+  });
+
+  it.each([
+    ["a".repeat(60), `"${"a".repeat(38)}…`],
+    [[1, 2, 3], "Array(3)"],
+    [{ open: true, id: 4 }, '{"open":true,"id":4}'],
+    [{ user: { id: 1 }, items: [], page: 1, total: 2 }, "{user, items, page, …}"],
+    [function onSelect() {}, "ƒ onSelect"],
+    [new Map([[1, 2]]), "Map(1)"],
+    [new Date(0), "1970-01-01T00:00:00.000Z"],
+    [null, "null"],
+  ])("previews %s", async (next, preview) => {
+    configure({ valuePreviews: true });
+    await act(async () => {
+      // functions are state updaters, wrap them to store them as a value
+      render(<Setter next={typeof next === "function" ? () => next : next} />);
+    });
+
+    expect(logs[0]).toContain(`(0 → ${preview})`);
+  });
+
+  it("shows the action type of reducer dispatches", async () => {
+    configure({ valuePreviews: true });
+
+    function Counter() {
+      const [, dispatch] = __trackedUseReducer(
+        (count: number, action: { type: "INCREMENT" }) =>
+          action.type === "INCREMENT" ? count + 1 : count,
+        0,
+        undefined,
+        "Counter.tsx:2",
+        "Counter",
+        "count",
+      );
+      __trackedUseEffect(
+        () => {
+          dispatch({ type: "INCREMENT" });
+        },
+        [],
+        "Counter.tsx:3",
+        "Counter",
+        [],
+      );
+      return null;
+    }
+
+    await act(async () => {
+      render(<Counter />);
+    });
+
+    expect(logs).toEqual([
+      'useEffect Counter.tsx:3 in Counter changed useReducer "count" (action "INCREMENT", 0 → 1) because it was initially mounted',
+    ]);
+  });
+});
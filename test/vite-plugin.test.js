@@ -0,0 +1,162 @@
+// @vitest-environment node
+// esbuild of the Vite dev server refuses to run with jsdom's TextEncoder
+
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { createServer } from "vite";
+import { renderLoopTracer } from "../src/vite-plugin.js";
+
+const component = `import { useEffect, useState } from "react";
+
+export function Counter() {
+  const [count, setCount] = useState(0);
+  useEffect(() => setCount(1), []);
+  return <div>{count}</div>;
+}
+`;
+
+/**
+ * Call the transform hook like Vite does
+ * @param {import("vite").Plugin} plugin
+ * @param {string} code
+ * @param {string} id
+ * @param {{ ssr?: boolean }} [options]
+ * @returns {Promise<any>}
+ */
+function transform(plugin, code, id, options) {
+  const hook = /** @type {Function} */ (plugin.transform);
+  return hook.call({}, code, id, options);
+}
+
+describe("renderLoopTracer vite plugin", () => {
+  it("applies to the dev server only unless production is set", () => {
+    /** @param {import("vite").Plugin} plugin @param {"serve" | "build"} command */
+    const applies = (plugin, command) =>
+      /** @type {Function} */ (plugin.apply)({}, { command, mode: "development" });
+
+    expect(applies(renderLoopTracer(), "serve")).toBe(true);
+    expect(applies(renderLoopTracer(), "build")).toBe(false);
+    expect(applies(renderLoopTracer({ production: true }), "build")).toBe(true);
+  });
+
+  it("resolves the runtime import", () => {
+    const plugin = renderLoopTracer();
+    const resolveId = /** @type {Function} */ (plugin.resolveId);
+
+    expect(resolveId.call({}, "@jantimon/react-render-loop-tracer/runtime")).toBe(
+      path.resolve(__dirname, "../src/runtime.js"),
+    );
+    expect(resolveId.call({}, "react")).toBeNull();
+  });
+
+  it("instruments client modules and returns a source map", async () => {
+    const result = await transform(renderLoopTracer(), component, "/app/src/Counter.tsx?v=123");
+
+    expect(result.code).toContain("__trackedUseState");
+    expect(result.code).toContain("__trackedUseEffect");
+    expect(result.code).toContain("<div>{count}</div>");
+    expect(result.map.sources).toEqual(["Counter.tsx"]);
+  });
+
+  it("applies the skip rules of the webpack loader", async () => {
+    const plugin = renderLoopTracer();
+
+    expect(await transform(plugin, component, "/app/src/Counter.tsx", { ssr: true })).toBeNull();
+    expect(
+      await transform(plugin, component, "/app/node_modules/react/cjs/react.development.js"),
+    ).toBeNull();
+    expect(await transform(plugin, component, "/app/src/styles.css")).toBeNull();
+    expect(await transform(plugin, "export const a = 1;", "/app/src/constants.ts")).toBeNull();
+    expect(await transform(plugin, component, "\0virtual:Counter.tsx")).toBeNull();
+
+    const { code } = await transform(plugin, component, "/app/src/Counter.tsx");
+    expect(await transform(plugin, code, "/app/src/Counter.tsx")).toBeNull();
+  });
+
+  it("skips files it already transformed", async () => {
+    const plugin = renderLoopTracer({
+      renderReasons: true,
+      reactModules: ["@acme/hooks"],
+      effectHooks: { useAppEffect: {} },
+    });
+    const title = `import { memo } from "react";
+import { useAppEffect } from "@acme/hooks";
+export function Title({ text }) {
+  return <h1>{text}</h1>;
+}
+export const useTitle = (text) => useAppEffect(() => { document.title = text; }, [text]);
+export const MemoTitle = memo(Title);
+`;
+
+    const { code } = await transform(plugin, title, "/app/src/Title.jsx");
+    expect(code).toContain("__beginRender");
+    expect(code).toContain("__trackedEffectCallback");
+    expect(code).not.toContain("__enterRender");
+    expect(await transform(plugin, code, "/app/src/Title.jsx")).toBeNull();
+  });
+
+  it("never transforms the runtime itself", async () => {
+    const runtimePath = path.resolve(__dirname, "../src/runtime.js");
+    const runtime = await readFile(runtimePath, "utf8");
+
+    expect(await transform(renderLoopTracer(), runtime, runtimePath)).toBeNull();
+    expect(
+      await transform(
+        renderLoopTracer({ renderReasons: true, production: true }),
+        runtime,
+        runtimePath,
+      ),
+    ).toBeNull();
+  });
+
+  it("instruments files which import the public runtime API", async () => {
+    const code = `import { configure } from "@jantimon/react-render-loop-tracer/runtime";
+${component}`;
+    const result = await transform(renderLoopTracer(), code, "/app/src/Counter.tsx");
+
+    expect(result.code).toContain("__trackedUseState");
+  });
+
+  it("parses type assertions in .ts files", async () => {
+    const code = `import { useState } from "react";
+export const useValue = () => useState(<number>(<unknown>0));
+`;
+    const result = await transform(renderLoopTracer(), code, "/app/src/useValue.ts");
+
+    expect(result.code).toContain("__trackedUseState");
+  });
+
+  it("passes tracer options on to the Babel plugin", async () => {
+    const plugin = renderLoopTracer({ root: "/app", exclude: ["src/legacy/**"] });
+
+    const legacy = await transform(plugin, component, "/app/src/legacy/Counter.tsx");
+    const current = await transform(plugin, component, "/app/src/Counter.tsx");
+
+    expect(legacy.code).not.toContain("__trackedUseState");
+    expect(current.code).toContain('"src/Counter.tsx:4:29"');
+  });
+
+  it("serves instrumented modules from the Vite dev server", async () => {
+    // Inside the repo so that "react" resolves from its node_modules
+    const root = await mkdtemp(path.join(__dirname, "vite-fixture-"));
+    await writeFile(path.join(root, "Counter.jsx"), component);
+    const server = await createServer({
+      root,
+      configFile: false,
+      logLevel: "silent",
+      server: { middlewareMode: true, hmr: false, ws: false },
+      optimizeDeps: { noDiscovery: true, include: [] },
+      plugins: [renderLoopTracer()],
+    });
+    try {
+      const result = await server.transformRequest("/Counter.jsx");
+
+      expect(result?.code).toContain("__trackedUseState");
+      expect(result?.code).toMatch(/from "\/@fs\/.*\/src\/runtime\.js"/);
+      expect(result?.map).toBeTruthy();
+    } finally {
+      await server.close();
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
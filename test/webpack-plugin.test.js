@@ -0,0 +1,178 @@
+// @vitest-environment node
+
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { rspack } from "@rspack/core";
+import { RenderLoopTracerWebpackPlugin } from "../src/webpack-plugin.js";
+import { compileFixture, PROJECT } from "./helpers/webpack.js";
+
+const fixture = {
+  "/project/src/index.js": `import { Counter } from "./Counter.js";
+import { Legacy } from "./legacy/Legacy.js";
+export { Counter, Legacy };
+`,
+  // No JSX — webpack parses the loader's output
+  "/project/src/Counter.js": `import { createElement, useEffect, useState } from "react";
+
+export function Counter() {
+  const [count, setCount] = useState(0);
+  useEffect(() => setCount(1), []);
+  return createElement("div", null, count);
+}
+`,
+  "/project/src/legacy/Legacy.js": `import { useState } from "react";
+
+export function Legacy() {
+  return useState(0)[0];
+}
+`,
+};
+
+/**
+ * Compile the fixture project and return the emitted bundle
+ * @param {Partial<import("webpack").Configuration>} config
+ * @returns {Promise<string>}
+ */
+async function compile(config) {
+  const { memory } = await compileFixture(fixture, {
+    output: { path: "/dist", filename: "bundle.js", library: { type: "commonjs2" } },
+    externals: { react: "commonjs react" },
+    optimization: { minimize: false },
+    ...config,
+  });
+  return String(memory.readFileSync("/dist/bundle.js", "utf8"));
+}
+
+describe("RenderLoopTracerWebpackPlugin", () => {
+  it("instruments development builds and bundles the runtime", async () => {
+    const bundle = await compile({
+      mode: "development",
+      plugins: [new RenderLoopTracerWebpackPlugin()],
+    });
+
+    expect(bundle).toContain('__trackedUseState)(0, "src/Counter.js:4:29", "Counter", "count")');
+    expect(bundle).toContain("__trackedUseEffect)(() => setCount(1), []");
+    // The runtime import resolves to this package and is bundled
+    expect(bundle).toContain("class RenderLoopError extends Error");
+  });
+
+  it("leaves production builds untouched by default", async () => {
+    const bundle = await compile({
+      mode: "production",
+      plugins: [new RenderLoopTracerWebpackPlugin()],
+    });
+
+    expect(bundle).not.toContain("__trackedUseState");
+  });
+
+  it("instruments production builds with production: true", async () => {
+    const bundle = await compile({
+      mode: "production",
+      plugins: [new RenderLoopTracerWebpackPlugin({ production: true })],
+    });
+
+    expect(bundle).toContain("__trackedUseState");
+  });
+
+  it("leaves node targets untouched", async () => {
+    const bundle = await compile({
+      mode: "development",
+      target: "node",
+      plugins: [new RenderLoopTracerWebpackPlugin()],
+    });
+
+    expect(bundle).not.toContain("__trackedUseState");
+  });
+
+  it("passes tracer options on to the Babel plugin", async () => {
+    const bundle = await compile({
+      mode: "development",
+      plugins: [new RenderLoopTracerWebpackPlugin({ exclude: ["src/legacy/**"] })],
+    });
+
+    expect(bundle).toContain('"src/Counter.js:4:29"');
+    expect(bundle).toContain("return (0,react__WEBPACK_IMPORTED_MODULE_0__.useState)(0)[0];");
+  });
+
+  it("keeps array aliases of the config", () => {
+    /** @type {import("../src/webpack-plugin.js").Compiler} */
+    const compiler = {
+      options: {
+        mode: "development",
+        module: {},
+        resolve: { alias: [{ name: "react", alias: "preact/compat" }] },
+      },
+    };
+    new RenderLoopTracerWebpackPlugin().apply(compiler);
+
+    expect(compiler.options.module.rules).toHaveLength(1);
+    expect(compiler.options.resolve.alias).toEqual([
+      { name: "react", alias: "preact/compat" },
+      {
+        name: "@jantimon/react-render-loop-tracer/runtime",
+        alias: expect.stringMatching(/src[\\/]runtime\.js$/),
+      },
+    ]);
+  });
+});
+
+describe("RenderLoopTracerWebpackPlugin with Rspack", () => {
+  /**
+   * Rspack reads the files natively, so the fixture is written to disk
+   * @param {import("@rspack/core").Configuration} config
+   * @returns {Promise<string>}
+   */
+  async function compileWithRspack(config) {
+    const root = await mkdtemp(path.join(__dirname, "rspack-fixture-"));
+    try {
+      for (const [file, content] of Object.entries(fixture)) {
+        const target = path.join(root, path.relative(PROJECT, file));
+        await mkdir(path.dirname(target), { recursive: true });
+        await writeFile(target, content);
+      }
+      const compiler = rspack({
+        context: root,
+        entry: "./src/index.js",
+        output: {
+          path: path.join(root, "dist"),
+          filename: "bundle.js",
+          library: { type: "commonjs2" },
+        },
+        externals: { react: "commonjs react" },
+        devtool: false,
+        optimization: { minimize: false },
+        ...config,
+      });
+      /** @type {import("@rspack/core").Stats} */
+      const stats = await new Promise((resolve, reject) => {
+        compiler.run((error, stats) => (error || !stats ? reject(error) : resolve(stats)));
+      });
+      await new Promise((resolve) => compiler.close(resolve));
+      if (stats.hasErrors()) {
+        throw new Error(stats.toString("errors-only"));
+      }
+      return await readFile(path.join(root, "dist/bundle.js"), "utf8");
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  }
+
+  it("instruments development builds and bundles the runtime", async () => {
+    const bundle = await compileWithRspack({
+      mode: "development",
+      plugins: [new RenderLoopTracerWebpackPlugin()],
+    });
+
+    expect(bundle).toContain('"src/Counter.js:4:29", "Counter", "count"');
+    expect(bundle).toContain("class RenderLoopError extends Error");
+  });
+
+  it("leaves production builds untouched by default", async () => {
+    const bundle = await compileWithRspack({
+      mode: "production",
+      plugins: [new RenderLoopTracerWebpackPlugin()],
+    });
+
+    expect(bundle).not.toContain("__trackedUseState");
+  });
+});